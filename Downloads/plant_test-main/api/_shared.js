@@ -1,15 +1,26 @@
-const path = require('path');
 const PlantDiagnosisEngine = require('../src/diagnosis-engine');
 const Logger = require('../src/logger');
-
-const CONFIG_PATH = path.join(process.cwd(), 'config.json');
+const DiagnosisSessions = require('../src/diagnosis-sessions');
+const FeedbackStore = require('../src/feedback');
+const GardenStore = require('../src/garden');
+const CareScheduler = require('../src/care-plan');
+const BatchDiagnoser = require('../src/batch');
+const { ApiKeyStore, RateLimiter } = require('../src/access');
 
 let engineInstance;
 let loggerInstance;
+let sessionsInstance;
+let feedbackInstance;
+let gardenInstance;
+let careSchedulerInstance;
+let batchInstance;
+let apiKeysInstance;
+let rateLimiterInstance;
 
 function getEngine() {
   if (!engineInstance) {
-    engineInstance = new PlantDiagnosisEngine(CONFIG_PATH);
+    // Same layers as the server: defaults, config.json (or PLANT_HELPER_CONFIG), PLANT_HELPER_* env
+    engineInstance = new PlantDiagnosisEngine();
   }
   return engineInstance;
 }
@@ -22,8 +33,81 @@ function getLogger() {
   return loggerInstance;
 }
 
+// Session ids carry their own state; PLANT_HELPER_SESSION_SECRET lets every
+// instance accept the ids the others sign
+function getSessions() {
+  if (!sessionsInstance) {
+    if (!process.env[DiagnosisSessions.SESSION_SECRET_ENV]) {
+      console.warn(`⚠️ ${DiagnosisSessions.SESSION_SECRET_ENV} is not set: follow-up answers fail with session_not_found whenever they reach another instance. Set it in the project's environment variables.`);
+    }
+    sessionsInstance = new DiagnosisSessions(getEngine());
+  }
+  return sessionsInstance;
+}
+
+// Read-only deployments keep feedback in memory only, like the logger
+function getFeedback() {
+  if (!feedbackInstance) {
+    feedbackInstance = new FeedbackStore(getEngine(), getLogger());
+  }
+  return feedbackInstance;
+}
+
+function getGarden() {
+  if (!gardenInstance) {
+    gardenInstance = new GardenStore(getEngine(), getLogger());
+  }
+  return gardenInstance;
+}
+
+function getCareScheduler() {
+  if (!careSchedulerInstance) {
+    careSchedulerInstance = new CareScheduler(getEngine(), getGarden());
+  }
+  return careSchedulerInstance;
+}
+
+function getBatch() {
+  if (!batchInstance) {
+    batchInstance = new BatchDiagnoser(getEngine(), getLogger());
+  }
+  return batchInstance;
+}
+
+// Keys are deployed with the function (security.apiKeys.file) and read-only here
+function getApiKeys() {
+  if (!apiKeysInstance) {
+    apiKeysInstance = new ApiKeyStore(getEngine().config);
+  }
+  return apiKeysInstance;
+}
+
+// Rate limits are per warm instance
+function getRateLimiter() {
+  if (!rateLimiterInstance) {
+    rateLimiterInstance = new RateLimiter();
+  }
+  return rateLimiterInstance;
+}
+
+// The services object src/handlers.js expects, created on first use
+const services = {
+  get engine() { return getEngine(); },
+  get logger() { return getLogger(); },
+  get sessions() { return getSessions(); },
+  get feedback() { return getFeedback(); },
+  get garden() { return getGarden(); },
+  get careScheduler() { return getCareScheduler(); },
+  get batch() { return getBatch(); },
+  get apiKeys() { return getApiKeys(); },
+  get rateLimiter() { return getRateLimiter(); }
+};
+
 module.exports = {
   getEngine,
-  getLogger
+  getLogger,
+  getSessions,
+  getFeedback,
+  getGarden,
+  services
 };
-
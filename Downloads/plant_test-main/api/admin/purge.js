@@ -0,0 +1,4 @@
+const { services } = require('../_shared');
+const { vercelHandler } = require('../../src/adapters');
+
+module.exports = vercelHandler('/api/admin/purge', services);
@@ -0,0 +1,5 @@
+const { services } = require('../_shared');
+const { vercelHandler } = require('../../src/adapters');
+
+// Garden entries only live as long as the warm function instance on read-only deployments
+module.exports = vercelHandler('/api/garden', services);
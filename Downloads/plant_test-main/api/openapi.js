@@ -0,0 +1,5 @@
+const { services } = require('./_shared');
+const { vercelHandler } = require('../src/adapters');
+
+// Served at /api/openapi.json through the rewrite in vercel.json
+module.exports = vercelHandler('/api/openapi.json', services);
@@ -0,0 +1,371 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ADMIN_TOKEN_ENV, adminTokenConfigured, isAdminToken } = require('./admin');
+const { validateValue } = require('./plant-schema');
+
+// Access control for the HTTP API, shared by the Express server and the
+// Vercel functions through src/handlers.js: API keys with scopes, per-client
+// token-bucket rate limits, the CORS allow-list and request body limits.
+
+// admin implies every other scope; plants and garden only read, their
+// :write scopes change knowledge-base entries and garden records
+const SCOPES = ['diagnose', 'plants', 'plants:write', 'garden', 'garden:write', 'stats', 'admin'];
+const DEFAULT_KEYS_FILE = './data/api-keys.json';
+const KEY_PREFIX = 'ph_';
+// A diagnosis request carries at most four free-text fields (text, symptoms,
+// plantName, environment) of ui.maxInputLength characters, up to four bytes
+// each in UTF-8, plus the remaining fields and JSON punctuation
+const TEXT_FIELDS = 4;
+const BODY_OVERHEAD_BYTES = 4096;
+// Full buckets are forgotten once this many clients are tracked
+const MAX_BUCKETS = 10000;
+
+const RATE_LIMIT_SCHEMA = {
+  type: 'object',
+  required: ['burst', 'perMinute'],
+  properties: {
+    burst: { type: 'number', integer: true, minimum: 1 },
+    perMinute: { type: 'number', minimum: 0.01 }
+  }
+};
+
+const KEYS_FILE_SCHEMA = {
+  type: 'object',
+  required: ['keys'],
+  properties: {
+    keys: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['label', 'hash', 'scopes'],
+        properties: {
+          label: { type: 'string', minLength: 1 },
+          hash: { type: 'string', pattern: '^sha256:[0-9a-f]{64}$' },
+          scopes: { type: 'array', minItems: 1, items: { type: 'string', enum: SCOPES } },
+          rateLimit: RATE_LIMIT_SCHEMA,
+          createdAt: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+function accessError(code, message, details, headers) {
+  const error = new Error(message);
+  error.code = code;
+  if (details) {
+    error.details = details;
+  }
+  if (headers) {
+    error.headers = headers;
+  }
+  return error;
+}
+
+function hashKey(key) {
+  return `sha256:${crypto.createHash('sha256').update(key).digest('hex')}`;
+}
+
+// API keys in a local JSON file (security.apiKeys.file):
+//   { "keys": [{ "label", "hash": "sha256:<hex>", "scopes": [...], "rateLimit"?: { "burst", "perMinute" } }] }
+// Only a hash of each key is stored; `npm run cli -- keys add` prints the key
+// once. The file is re-read when it changes, so keys added or removed with
+// the CLI apply to a running server.
+class ApiKeyStore {
+  constructor(config) {
+    const file = (config.security && config.security.apiKeys.file) || DEFAULT_KEYS_FILE;
+    this.filePath = path.isAbsolute(file) ? file : path.join(process.cwd(), file);
+    this.keys = [];
+    this.loadedMtime = null;
+    this.load();
+  }
+
+  // Throws invalid_api_keys when the file is unreadable or malformed
+  load() {
+    let stats;
+    try {
+      stats = fs.statSync(this.filePath);
+    } catch (error) {
+      this.keys = [];
+      this.loadedMtime = null;
+      return;
+    }
+    if (stats.mtimeMs === this.loadedMtime) {
+      return;
+    }
+    this.loadedMtime = stats.mtimeMs;
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      throw accessError('invalid_api_keys', `Invalid API key file ${this.filePath}: ${error.message}`);
+    }
+    const errors = validateValue(data, KEYS_FILE_SCHEMA);
+    const labels = Array.isArray(data && data.keys) ? data.keys.map(entry => entry && entry.label) : [];
+    labels.forEach((label, index) => {
+      if (labels.indexOf(label) !== index) {
+        errors.push({ path: `keys[${index}].label`, message: `duplicate label "${label}"` });
+      }
+    });
+    if (errors.length > 0) {
+      throw accessError('invalid_api_keys', `Invalid API key file ${this.filePath}: ${errors[0].path} ${errors[0].message}`, { errors });
+    }
+    this.keys = data.keys;
+  }
+
+  // A broken edit keeps the previous keys and is reported once
+  refresh() {
+    try {
+      this.load();
+    } catch (error) {
+      console.error(`⚠️ ${error.message}; keeping the previous API keys`);
+    }
+  }
+
+  find(key) {
+    this.refresh();
+    const hash = hashKey(key);
+    return this.keys.find(entry => entry.hash === hash) || null;
+  }
+
+  hasScope(scope) {
+    this.refresh();
+    return this.keys.some(entry => entry.scopes.includes(scope));
+  }
+
+  list() {
+    this.refresh();
+    return this.keys.map(({ hash, ...entry }) => entry);
+  }
+
+  // Returns { key, entry }; the key is not stored and cannot be shown again
+  add({ label, scopes = ['diagnose'], rateLimit }) {
+    const key = KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+    const entry = { label, hash: hashKey(key), scopes, ...(rateLimit ? { rateLimit } : {}), createdAt: new Date().toISOString() };
+
+    const errors = validateValue(entry, KEYS_FILE_SCHEMA.properties.keys.items);
+    if (errors.length > 0) {
+      throw accessError('invalid_api_key', `${errors[0].path} ${errors[0].message}`, { errors });
+    }
+    if (this.list().some(existing => existing.label === label)) {
+      throw accessError('conflict', `An API key labelled "${label}" already exists`);
+    }
+
+    this.commit([...this.keys, entry]);
+    const { hash, ...stored } = entry;
+    return { key, entry: stored };
+  }
+
+  remove(label) {
+    const entry = this.list().find(existing => existing.label === label);
+    if (!entry) {
+      throw accessError('not_found', `No API key labelled "${label}"`);
+    }
+    this.commit(this.keys.filter(existing => existing.label !== label));
+    return entry;
+  }
+
+  // Written owner-only, through a temp file like the garden
+  commit(keys) {
+    const tempFile = `${this.filePath}.${process.pid}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tempFile, JSON.stringify({ keys }, null, 2), { mode: 0o600 });
+      fs.renameSync(tempFile, this.filePath);
+    } catch (error) {
+      try {
+        fs.unlinkSync(tempFile);
+      } catch (cleanupError) {
+        // Temp file was never created
+      }
+      throw new Error(`Failed to save API keys: ${error.message}`);
+    }
+
+    this.keys = keys;
+    this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+  }
+}
+
+// In-memory token buckets: a client starts with `burst` requests and earns
+// `perMinute` more per minute. Each Vercel instance keeps its own buckets,
+// so the limit there is per warm instance.
+class RateLimiter {
+  constructor(now = Date.now) {
+    this.now = now;
+    this.buckets = new Map();
+  }
+
+  // Returns { allowed, limit, remaining, retryAfter? } and spends one token when allowed
+  take(clientId, { burst, perMinute }) {
+    const now = this.now();
+    const previous = this.buckets.get(clientId);
+    const earned = previous ? ((now - previous.updatedAt) / 60000) * perMinute : burst;
+    const tokens = Math.min(burst, (previous ? previous.tokens : 0) + earned);
+
+    if (!previous && this.buckets.size >= MAX_BUCKETS) {
+      this.prune(now);
+    }
+
+    if (tokens < 1) {
+      this.buckets.set(clientId, { tokens, updatedAt: now, fullAt: now + ((burst - tokens) / perMinute) * 60000 });
+      return { allowed: false, limit: burst, remaining: 0, retryAfter: Math.ceil(((1 - tokens) / perMinute) * 60) };
+    }
+
+    const left = tokens - 1;
+    this.buckets.set(clientId, { tokens: left, updatedAt: now, fullAt: now + ((burst - left) / perMinute) * 60000 });
+    return { allowed: true, limit: burst, remaining: Math.floor(left) };
+  }
+
+  // A full bucket is the same as no bucket
+  prune(now) {
+    for (const [clientId, bucket] of this.buckets) {
+      if (bucket.fullAt <= now) {
+        this.buckets.delete(clientId);
+      }
+    }
+  }
+}
+
+// Bytes a route accepts, derived from ui.maxInputLength; route.bodyLimit is
+// 'batch' for many records (security.maxBatchBytes) or 'plant' for a
+// knowledge-base document (security.maxPlantBytes)
+function bodyLimit(route, config) {
+  const textLimit = TEXT_FIELDS * config.ui.maxInputLength * 4 + BODY_OVERHEAD_BYTES;
+  if (route.bodyLimit === 'batch') {
+    return config.security.maxBatchBytes;
+  }
+  if (route.bodyLimit === 'plant') {
+    return config.security.maxPlantBytes;
+  }
+  return textLimit;
+}
+
+function payloadTooLarge(limit) {
+  return accessError('payload_too_large', `Request body exceeds the ${limit}-byte limit for this endpoint`, { limit });
+}
+
+// Content-Length when sent, otherwise the size of the (already parsed) body
+function bodySize(request) {
+  const declared = Number(request.headers['content-length']);
+  if (Number.isFinite(declared) && declared > 0) {
+    return declared;
+  }
+  if (request.body === undefined || request.body === null) {
+    return 0;
+  }
+  return Buffer.byteLength(typeof request.body === 'string' ? request.body : JSON.stringify(request.body));
+}
+
+// Authorization: Bearer <key>, or X-API-Key: <key>
+function presentedKey(headers) {
+  const authorization = headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return String(headers['x-api-key'] || '').trim();
+}
+
+// The caller: an API key, the admin token, or an anonymous client known by IP
+function identifyClient(request, apiKeys, security) {
+  const key = presentedKey(request.headers);
+  const anonymous = {
+    id: `ip:${request.ip || 'unknown'}`,
+    label: null,
+    scopes: security.apiKeys.required ? [] : security.apiKeys.anonymousScopes
+  };
+  if (!key) {
+    return anonymous;
+  }
+  if (isAdminToken(key)) {
+    return { id: 'admin-token', label: ADMIN_TOKEN_ENV, scopes: ['admin'] };
+  }
+  const entry = apiKeys.find(key);
+  if (!entry) {
+    return { ...anonymous, unknownKey: true };
+  }
+  return { id: `key:${entry.label}`, label: entry.label, scopes: entry.scopes, rateLimit: entry.rateLimit };
+}
+
+function authorize(client, scope, apiKeys, security) {
+  if (client.unknownKey) {
+    throw accessError('unauthorized', 'Unknown API key');
+  }
+  if (!scope || client.scopes.includes(scope) || client.scopes.includes('admin')) {
+    return;
+  }
+  if (client.label) {
+    throw accessError('forbidden', `API key "${client.label}" does not have the "${scope}" scope`, { scope });
+  }
+  if (scope === 'admin' && !adminTokenConfigured() && !apiKeys.hasScope('admin')) {
+    throw accessError('admin_disabled', `Admin endpoints are disabled. Set ${ADMIN_TOKEN_ENV} or add an API key with the admin scope`);
+  }
+  throw accessError('unauthorized', security.apiKeys.required
+    ? 'An API key is required (Authorization: Bearer <key> or X-API-Key: <key>)'
+    : `An API key with the "${scope}" scope is required`, { scope });
+}
+
+// Checks a request before its body is parsed. Oversized bodies and
+// unauthorized callers are rejected before any rate-limit token is spent,
+// so a bad key gets 401 rather than draining a bucket. Returns
+// { client, headers }; a 429 carries error.headers (rate-limit headers and
+// Retry-After).
+function guardRequest(request, { scope, maxBodyBytes }, { apiKeys, rateLimiter, engine }) {
+  if (bodySize(request) > maxBodyBytes) {
+    throw payloadTooLarge(maxBodyBytes);
+  }
+
+  const { security } = engine.config;
+  const client = identifyClient(request, apiKeys, security);
+  authorize(client, scope, apiKeys, security);
+
+  let headers = {};
+
+  // Public routes (no scope) are not rate limited
+  if (scope && security.rateLimit.enabled) {
+    const limit = client.rateLimit || security.rateLimit;
+    const result = rateLimiter.take(client.id, limit);
+    headers = { 'X-RateLimit-Limit': String(result.limit), 'X-RateLimit-Remaining': String(result.remaining) };
+    if (!result.allowed) {
+      throw accessError('rate_limited', `Too many requests, retry in ${result.retryAfter}s`,
+        { retryAfter: result.retryAfter }, { ...headers, 'Retry-After': String(result.retryAfter) });
+    }
+  }
+
+  return { client, headers };
+}
+
+// CORS headers for an allowed Origin ('*' in security.cors.origins allows
+// any); a preflight also lists the route's methods and accepted headers
+function corsHeaders(request, config, methods) {
+  const { origin } = request.headers;
+  const { origins } = config.security.cors;
+  if (!origin || !(origins.includes('*') || origins.includes(origin))) {
+    return {};
+  }
+
+  const headers = origins.includes('*')
+    ? { 'Access-Control-Allow-Origin': '*' }
+    : { 'Access-Control-Allow-Origin': origin, Vary: 'Origin' };
+  if (request.method === 'OPTIONS') {
+    return {
+      ...headers,
+      'Access-Control-Allow-Methods': methods.join(', '),
+      'Access-Control-Allow-Headers': 'Authorization, Content-Type, X-API-Key',
+      'Access-Control-Max-Age': '600'
+    };
+  }
+  return { ...headers, 'Access-Control-Expose-Headers': 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining' };
+}
+
+module.exports = {
+  ApiKeyStore,
+  DEFAULT_KEYS_FILE,
+  RateLimiter,
+  SCOPES,
+  bodyLimit,
+  corsHeaders,
+  guardRequest,
+  payloadTooLarge
+};
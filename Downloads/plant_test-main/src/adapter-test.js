@@ -0,0 +1,276 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Sends the same requests to the Express server and to the Vercel functions
+// in api/ and fails when any status, content type, compared header or body
+// differs, or when a response breaks the OpenAPI schema (strict validation
+// turns that into a 500). Each side gets its own scratch garden and its own
+// rate-limit buckets; logging is off so nothing lands in ./logs.
+const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plant-helper-adapters-'));
+process.env.PLANT_HELPER_LOGGING_ENABLED = 'false';
+process.env.PLANT_HELPER_API_VALIDATE_RESPONSES = 'strict';
+process.env.PLANT_HELPER_FEEDBACK_FILE = path.join(scratchDir, 'feedback.jsonl');
+process.env.PLANT_HELPER_GARDEN_FILE = path.join(scratchDir, 'vercel-garden.json');
+process.env.PLANT_HELPER_SECURITY_API_KEYS_FILE = path.join(scratchDir, 'api-keys.json');
+process.env.PLANT_HELPER_SECURITY_CORS_ORIGINS = 'https://garden.example';
+process.env.PLANT_HELPER_SECURITY_RATE_LIMIT_BURST = '1000';
+process.env.PLANT_HELPER_SECURITY_MAX_BATCH_BYTES = '65536';
+process.env.PLANT_HELPER_SESSION_SECRET = 'adapter-test-secret';
+delete process.env.PLANT_HELPER_ADMIN_TOKEN;
+
+const PlantHelperAPI = require('./index');
+const { ApiKeyStore } = require('./access');
+const { loadConfig } = require('./config');
+
+const apiKeys = new ApiKeyStore(loadConfig().config);
+const adminKey = apiKeys.add({ label: 'ops', scopes: ['admin'] }).key;
+// Two requests, then one more every minute
+const statsKey = apiKeys.add({ label: 'dashboard', scopes: ['stats'], rateLimit: { burst: 2, perMinute: 1 } }).key;
+const gardenKey = apiKeys.add({ label: 'garden-app', scopes: ['garden', 'garden:write'] }).key;
+const editorKey = apiKeys.add({ label: 'editor', scopes: ['plants', 'plants:write'] }).key;
+const asGarden = { 'x-api-key': gardenKey };
+const asEditor = { 'x-api-key': editorKey };
+
+const API_DIR = path.join(__dirname, '../api');
+
+// [method, path, body, headers, expected status, expected error code]; a
+// string body is sent raw
+const CASES = [
+  ['GET', '/api/openapi.json'],
+  ['POST', '/api/v1/diagnose', { text: 'My tulsi is getting dry and the leaves are turning brown' }],
+  ['POST', '/api/v1/diagnose', { text: '   ' }],
+  ['POST', '/api/v1/diagnose', { text: 'my plant has yellow leaves' }],
+  ['POST', '/api/diagnose', { text: 'My aloe is mushy', tone: 'concise', doNotLog: true }],
+  ['POST', '/api/diagnose?explain=true', { symptoms: 'yellow mushy leaves', plantId: 'snake_plant' }],
+  ['POST', '/api/diagnose', '{"text": "my monstera has brown crispy tips"}', { 'content-type': 'text/plain' }],
+  ['POST', '/api/diagnose', '{"text": ', { 'content-type': 'application/json' }],
+  ['POST', '/api/diagnose', {}],
+  ['POST', '/api/diagnose', { text: 5 }],
+  ['POST', '/api/diagnose', { text: 'dry leaves', tone: 'rude' }, {}, 400, 'invalid_tone'],
+  ['POST', '/api/v1/diagnose/batch', { records: [{ id: 'a', text: 'dry leaves' }], tone: 'rude' }, {}, 400, 'invalid_tone'],
+  ['POST', '/api/diagnose', { text: 'dry leaves', doNotLog: 'yes' }],
+  ['POST', '/api/diagnose', { text: 'my fern is dry', plantId: 'fern' }],
+  ['POST', '/api/diagnose', { sessionId: 'missing', answers: {} }],
+  ['GET', '/api/diagnose'],
+  ['POST', '/api/diagnose/batch', { records: [{ id: 'a', text: 'my tulsi is dry' }, { id: 'b' }] }],
+  ['POST', '/api/diagnose/batch?format=csv', { records: [{ id: 'a', text: 'my aloe is mushy' }] }],
+  ['POST', '/api/diagnose/batch', { records: [] }],
+  ['POST', '/api/diagnose/batch', { records: Array.from({ length: 200 }, (_, index) => ({ id: String(index), text: 'dry leaves '.repeat(40) })) }, {}, 413, 'payload_too_large'],
+  ['GET', '/api/health'],
+  ['GET', '/api/v1/health'],
+  ['DELETE', '/api/health'],
+  ['GET', '/api/stats'],
+  ['GET', '/api/stats?from=soon'],
+  ['GET', '/api/v1/stats?groupBy=month'],
+  ['POST', '/api/feedback', {}],
+  ['POST', '/api/feedback', { interactionId: 'missing', verdict: 'confirmed' }],
+  ['POST', '/api/admin/purge', { text: 'tulsi' }],
+  ['POST', '/api/admin/purge', { text: 'tulsi', dryRun: true }, { authorization: `Bearer ${adminKey}` }],
+  ['POST', '/api/admin/purge', { text: 'tulsi' }, asGarden],
+  ['POST', '/api/diagnose', { text: 'my aloe is mushy' }, { authorization: 'Bearer ph_unknown' }],
+  // Refused requests do not spend the key's two-request burst
+  ['GET', '/api/garden', undefined, { 'x-api-key': statsKey }, 403, 'forbidden'],
+  ['GET', '/api/garden', undefined, { 'x-api-key': statsKey }, 403, 'forbidden'],
+  ['GET', '/api/v1/stats', undefined, { 'x-api-key': statsKey }, 200],
+  ['GET', '/api/v1/stats', undefined, { 'x-api-key': statsKey }, 200],
+  ['GET', '/api/v1/stats', undefined, { 'x-api-key': statsKey }, 429, 'rate_limited'],
+  ['POST', '/api/v1/diagnose', { text: 'dry leaves '.repeat(2000) }],
+  ['OPTIONS', '/api/v1/diagnose', undefined, { origin: 'https://garden.example', 'access-control-request-method': 'POST' }],
+  ['POST', '/api/v1/diagnose', { text: 'my fern is dry' }, { origin: 'https://garden.example' }],
+  ['POST', '/api/v1/diagnose', { text: 'my fern is dry' }, { origin: 'https://elsewhere.example' }],
+  ['GET', '/api/plants'],
+  ['GET', '/api/plants/tulsi'],
+  ['GET', '/api/plants/missing'],
+  ['DELETE', '/api/plants/tulsi', undefined, {}, 401],
+  ['POST', '/api/plants', {}, {}, 401],
+  ['POST', '/api/plants', {}, asEditor],
+  ['PATCH', '/api/plants/missing', { name: 'Missing' }, asEditor],
+  ['DELETE', '/api/plants/generic', undefined, asEditor],
+  ['DELETE', '/api/plants/tulsi', undefined, asGarden, 403],
+  ['POST', '/api/plants/tulsi', {}, asEditor],
+  ['POST', '/api/garden', { name: 'Kitchen Tulsi', plantId: 'tulsi' }, {}, 401],
+  ['POST', '/api/garden', { name: 'Kitchen Tulsi', plantId: 'tulsi', location: 'kitchen window', light: 'bright indirect' }, asGarden],
+  ['POST', '/api/garden', { name: 'Kitchen Tulsi', plantId: 'tulsi' }, asGarden],
+  ['POST', '/api/garden', { name: 'Fern', plantId: 'fern' }, asGarden],
+  ['GET', '/api/garden'],
+  ['GET', '/api/v1/garden/kitchen-tulsi'],
+  ['PATCH', '/api/garden/kitchen-tulsi', { pot: 'terracotta' }, asGarden],
+  ['POST', '/api/garden/kitchen-tulsi/diagnose', { symptoms: 'dry drooping leaves' }, asGarden],
+  ['POST', '/api/garden/kitchen-tulsi/diagnose', { symptoms: 'dry', tone: 'rude' }, asGarden, 400, 'invalid_tone'],
+  ['POST', '/api/garden/kitchen-tulsi/actions', { action: 'Watered deeply', causeId: 'underwatering' }, asGarden],
+  ['POST', '/api/garden/kitchen-tulsi/actions', {}, asGarden],
+  ['PUT', '/api/garden/kitchen-tulsi', {}, asGarden],
+  ['DELETE', '/api/garden/kitchen-tulsi', undefined, {}, 401],
+  ['DELETE', '/api/garden/kitchen-tulsi', undefined, asGarden],
+  ['GET', '/api/garden/kitchen-tulsi'],
+  ['GET', '/api/care-plan?plantId=tulsi&start=2026-05-01&days=14'],
+  ['GET', '/api/care-plan?plantId=aloe&start=2026-05-01&days=7&format=ics'],
+  ['POST', '/api/care-plan', { symptoms: 'my snake plant is yellow and mushy', start: '2026-05-01', days: 10 }],
+  ['POST', '/api/care-plan', { plantId: 'fern' }],
+  ['GET', '/api/care-plan?plantId=tulsi&days=0']
+];
+
+const COMPARED = ['status', 'contentType', 'allow', 'retryAfter', 'allowOrigin', 'remaining', 'body'];
+
+// Timestamps, generated ids and timings differ between any two runs
+function normalize(text) {
+  return text
+    .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/g, '<uuid>')
+    .replace(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z/g, '<timestamp>')
+    .replace(/DTSTAMP:\d{8}T\d{6}Z/g, 'DTSTAMP:<timestamp>')
+    .replace(/"durationMs":\d+/g, '"durationMs":0')
+    .replace(/"sessionId":"[\w.-]+"/g, '"sessionId":"<session>"');
+}
+
+// http.request rather than fetch, which Node only has from version 18
+function callExpress(baseUrl, [method, url, body, headers = {}]) {
+  const options = { method, headers: { ...headers } };
+  const payload = body === undefined ? null : (typeof body === 'string' ? body : JSON.stringify(body));
+  if (payload !== null) {
+    options.headers['content-type'] = options.headers['content-type'] || 'application/json';
+    options.headers['content-length'] = Buffer.byteLength(payload);
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = http.request(baseUrl + url, options, response => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve({
+        status: response.statusCode,
+        contentType: response.headers['content-type'] || null,
+        allow: response.headers.allow || null,
+        retryAfter: response.headers['retry-after'] || null,
+        allowOrigin: response.headers['access-control-allow-origin'] || null,
+        remaining: response.headers['x-ratelimit-remaining'] || null,
+        body: normalize(Buffer.concat(chunks).toString('utf8'))
+      }));
+      response.on('error', reject);
+    });
+    request.on('error', reject);
+    request.end(payload === null ? undefined : payload);
+  });
+}
+
+// Maps /api/v1/garden/kitchen-tulsi/actions to api/garden/[id]/actions.js
+// with req.query.id, the way Vercel routes files after the vercel.json rewrites
+function resolveFunction(pathname) {
+  const segments = pathname.replace(/^\/api\/v1\//, '/api/').replace(/\.json$/, '').split('/').filter(Boolean).slice(1);
+  let dir = API_DIR;
+  const params = {};
+
+  for (const [index, segment] of segments.entries()) {
+    const last = index === segments.length - 1;
+    const candidates = last ? [`${segment}.js`, path.join(segment, 'index.js'), '[id].js', path.join('[id]', 'index.js')] : [segment, '[id]'];
+    const match = candidates.find(candidate => fs.existsSync(path.join(dir, candidate)));
+    if (!match) return null;
+    if (match.startsWith('[id]')) params.id = segment;
+    dir = path.join(dir, match);
+  }
+
+  return { file: dir, params };
+}
+
+async function callVercel([method, url, body, headers = {}]) {
+  const { pathname, searchParams } = new URL(url, 'http://localhost');
+  const { file, params } = resolveFunction(pathname);
+  const rawBody = typeof body === 'string' ? body : undefined;
+  const contentType = headers['content-type'] || 'application/json';
+  const req = {
+    method,
+    headers: { ...headers },
+    query: { ...Object.fromEntries(searchParams), ...params },
+    // Vercel parses JSON bodies lazily and throws on malformed JSON
+    get body() {
+      if (rawBody === undefined) return body;
+      if (contentType === 'application/json') return JSON.parse(rawBody);
+      return rawBody;
+    }
+  };
+
+  const response = { status: 200, headers: {}, body: '' };
+  const res = {
+    status(code) { response.status = code; return res; },
+    setHeader(name, value) { response.headers[name.toLowerCase()] = value; return res; },
+    send(text) {
+      // Like Express, a 204 goes out without a body or content type
+      if (response.status !== 204) {
+        response.headers['content-type'] = response.headers['content-type'] || 'text/html; charset=utf-8';
+      }
+      response.body = text;
+      return res;
+    },
+    json(value) {
+      response.headers['content-type'] = 'application/json; charset=utf-8';
+      response.body = JSON.stringify(value);
+      return res;
+    }
+  };
+
+  await require(file)(req, res);
+  return {
+    status: response.status,
+    contentType: response.headers['content-type'] || null,
+    allow: response.headers.allow || null,
+    retryAfter: response.headers['retry-after'] || null,
+    allowOrigin: response.headers['access-control-allow-origin'] || null,
+    remaining: response.headers['x-ratelimit-remaining'] || null,
+    body: normalize(response.body)
+  };
+}
+
+async function main() {
+  console.log('🔌 Comparing Express and Vercel responses...\n');
+  const api = new PlantHelperAPI({ overrides: { 'garden.file': path.join(scratchDir, 'express-garden.json') } });
+  const server = api.app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  let failures = 0;
+  try {
+    for (const testCase of CASES) {
+      const label = `${testCase[0]} ${testCase[1]}`;
+      const express = await callExpress(baseUrl, testCase);
+      const vercel = await callVercel(testCase);
+      const differences = COMPARED.filter(key => express[key] !== vercel[key]);
+      const [, , , , expected, expectedCode] = testCase;
+      const code = express.contentType && express.contentType.startsWith('application/json') ? (JSON.parse(express.body).error || {}).code : undefined;
+
+      if (express.status >= 500) {
+        failures++;
+        console.log(`❌ ${label} -> ${express.status} ${express.body.slice(0, 300)}`);
+      } else if (expected && express.status !== expected) {
+        failures++;
+        console.log(`❌ ${label} -> ${express.status}, expected ${expected}: ${express.body.slice(0, 300)}`);
+      } else if (expectedCode && code !== expectedCode) {
+        failures++;
+        console.log(`❌ ${label} -> error code ${code}, expected ${expectedCode}`);
+      } else if (differences.length === 0) {
+        console.log(`✅ ${label} -> ${express.status}`);
+      } else {
+        failures++;
+        console.log(`❌ ${label} differs in ${differences.join(', ')}`);
+        for (const key of differences) {
+          console.log(`   express ${key}: ${String(express[key]).slice(0, 300)}`);
+          console.log(`   vercel  ${key}: ${String(vercel[key]).slice(0, 300)}`);
+        }
+      }
+    }
+  } finally {
+    server.close();
+    fs.rmSync(scratchDir, { recursive: true, force: true });
+  }
+
+  if (failures > 0) {
+    console.error(`\n❌ ${failures} of ${CASES.length} requests failed or returned different responses.`);
+    process.exitCode = 1;
+  } else {
+    console.log(`\n🎉 All ${CASES.length} requests returned identical responses.`);
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
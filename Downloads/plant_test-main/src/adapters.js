@@ -0,0 +1,97 @@
+const { bodyLimit, payloadTooLarge } = require('./access');
+const { ROUTES, errorBody, errorResponse, findRoute, handleRequest } = require('./handlers');
+
+// Writes a handler response through the (res.status/setHeader/send/json)
+// interface that both Express and Vercel provide
+function send(res, response) {
+  res.status(response.status);
+  for (const [name, value] of Object.entries(response.headers || {})) {
+    res.setHeader(name, value);
+  }
+  if (typeof response.body === 'string') {
+    res.send(response.body);
+  } else {
+    res.json(response.body);
+  }
+}
+
+// Mounts every route on an Express app. services is read on each request,
+// so replacing its logger or garden (config reload) takes effect immediately.
+function mountExpressRoutes(app, services) {
+  const express = require('express');
+  const parsers = new Map();
+
+  // JSON and text/plain parsers sized to the route's limit under the current config.
+  // Text bodies reach the handlers as strings, as they do on Vercel.
+  const parseBody = route => (req, res, next) => {
+    const limit = bodyLimit(route, services.engine.config);
+    if (!parsers.has(limit)) {
+      parsers.set(limit, [express.json({ limit }), express.text({ type: 'text/plain', limit })]);
+    }
+    const [json, text] = parsers.get(limit);
+    json(req, res, error => (error ? next(error) : text(req, res, next)));
+  };
+
+  for (const route of ROUTES) {
+    app.all([route.path, route.alias].filter(Boolean), parseBody(route), (req, res) => {
+      send(res, handleRequest(route, {
+        method: req.method,
+        params: req.params,
+        query: req.query,
+        headers: req.headers,
+        body: req.body,
+        ip: req.ip
+      }, services));
+    });
+  }
+
+  // The body parsers reject malformed and oversized bodies before the handler runs
+  app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+      return send(res, { status: 400, body: errorBody('invalid_json', 'Unable to parse request body as JSON') });
+    }
+    if (error.type === 'entity.too.large') {
+      return send(res, errorResponse(payloadTooLarge(error.limit)));
+    }
+    next(error);
+  });
+}
+
+// Vercel sets X-Forwarded-For to the client address
+function clientIp(req) {
+  const forwarded = (req.headers && req.headers['x-forwarded-for']) || '';
+  return forwarded.split(',')[0].trim() || (req.socket && req.socket.remoteAddress) || undefined;
+}
+
+// A Vercel function for one route: path parameters arrive in req.query,
+// and reading req.body throws when the JSON is malformed. vercel.json
+// rewrites /api/v1/... onto the same functions.
+function vercelHandler(routePath, services) {
+  const route = findRoute(routePath);
+  const paramNames = (route.path.match(/:\w+/g) || []).map(param => param.slice(1));
+
+  return async (req, res) => {
+    const query = { ...(req.query || {}) };
+    const params = {};
+    for (const name of paramNames) {
+      params[name] = query[name];
+      delete query[name];
+    }
+
+    let body;
+    try {
+      body = req.body;
+    } catch (error) {
+      send(res, { status: 400, body: errorBody('invalid_json', 'Unable to parse request body as JSON') });
+      return;
+    }
+
+    send(res, handleRequest(route, { method: req.method, params, query, headers: req.headers, body, ip: clientIp(req) }, services));
+  };
+}
+
+module.exports = {
+  mountExpressRoutes,
+  send,
+  vercelHandler
+};
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const Logger = require('./logger');
+
+// Admin endpoints are off unless this token is set in the environment or an
+// API key has the admin scope
+const ADMIN_TOKEN_ENV = 'PLANT_HELPER_ADMIN_TOKEN';
+
+function adminTokenConfigured() {
+  return Boolean(process.env[ADMIN_TOKEN_ENV]);
+}
+
+// True when token is the admin token; src/access.js treats it as an API key
+// with the admin scope
+function isAdminToken(token) {
+  const expected = process.env[ADMIN_TOKEN_ENV];
+  if (!expected || typeof token !== 'string') {
+    return false;
+  }
+  const [given, wanted] = [Buffer.from(token), Buffer.from(expected)];
+  return given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+}
+
+// Removes matching interactions from the logs, any feedback that refers to
+// them and the matching descriptions in garden timelines
+function purgeInteractions(logger, feedback, criteria = {}, garden = null) {
+  const report = logger.purge(criteria);
+  report.feedbackRemoved = feedback ? feedback.purgeInteractions(report.removedIds, { dryRun: report.dryRun }) : 0;
+  report.gardenInputsCleared = garden ? garden.purgeInputs(Logger.purgeMatcher(criteria), { dryRun: report.dryRun }) : 0;
+  return report;
+}
+
+module.exports = {
+  ADMIN_TOKEN_ENV,
+  adminTokenConfigured,
+  isAdminToken,
+  purgeInteractions
+};
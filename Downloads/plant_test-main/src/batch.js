@@ -0,0 +1,243 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCsv, formatCsv } = require('./csv');
+const { isKnownTone, listTones } = require('./tone');
+
+const INPUT_FIELDS = ['text', 'symptoms', 'plantName', 'plantId', 'environment'];
+const TOP_CAUSES = 3;
+
+// CSV headers are lower-cased by parseCsv, so accept the usual spellings
+const CSV_COLUMNS = {
+  id: 'id',
+  text: 'text',
+  symptoms: 'symptoms',
+  plantname: 'plantName',
+  plant_name: 'plantName',
+  plant: 'plantName',
+  plantid: 'plantId',
+  plant_id: 'plantId',
+  environment: 'environment'
+};
+
+const OUTPUT_COLUMNS = [
+  'id', 'index', 'status', 'detectedPlant', 'plantName', 'detectionMethod', 'detectionStatus', 'plantMatchScore',
+  ...Array.from({ length: TOP_CAUSES }, (_, i) => [`cause${i + 1}`, `label${i + 1}`, `confidence${i + 1}`]).flat(),
+  'interactionId', 'errorCode', 'errorMessage'
+];
+
+function batchError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Runs engine.diagnose() over many records. Every record gets a result row,
+// failures included, so one bad line never aborts the run.
+class BatchDiagnoser {
+  constructor(engine, logger = null) {
+    this.engine = engine;
+    this.logger = logger;
+  }
+
+  // csv: header row with id, text, symptoms, plant_name, plant_id, environment
+  // jsonl: one record object per line; a line that fails to parse becomes an error row
+  // json: an array of record objects
+  static parseRecords(content, format) {
+    if (format === 'csv') {
+      return parseCsv(content).map(row => Object.entries(row).reduce((record, [column, value]) => {
+        const field = CSV_COLUMNS[column];
+        if (field && value !== '') record[field] = value;
+        return record;
+      }, {}));
+    }
+
+    if (format === 'json') {
+      const data = JSON.parse(content);
+      if (!Array.isArray(data)) {
+        throw batchError('invalid_batch', 'JSON batch input must be an array of records');
+      }
+      return data;
+    }
+
+    return content
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return { parseError: `Invalid JSON: ${error.message}` };
+        }
+      });
+  }
+
+  static formatFromPath(filePath, fallback = 'jsonl') {
+    const extension = path.extname(filePath).toLowerCase().replace('.', '');
+    if (extension === 'ndjson') return 'jsonl';
+    return ['csv', 'jsonl', 'json'].includes(extension) ? extension : fallback;
+  }
+
+  static readFile(filePath, format = BatchDiagnoser.formatFromPath(filePath)) {
+    return BatchDiagnoser.parseRecords(fs.readFileSync(filePath, 'utf8'), format);
+  }
+
+  // options: { tone, doNotLog }
+  run(records, options = {}) {
+    const startedAt = Date.now();
+    const results = records.map((record, index) => this.diagnoseRecord(record, index, options));
+    return { results, summary: BatchDiagnoser.summarize(results, Date.now() - startedAt) };
+  }
+
+  diagnoseRecord(record, index, options) {
+    const id = record && typeof record === 'object' && record.id !== undefined && record.id !== null
+      ? String(record.id)
+      : null;
+    const failed = (code, message) => ({ id, index, status: 'error', error: { code, message } });
+
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return failed('invalid_input', 'Each record must be an object');
+    }
+    if (record.parseError) {
+      return failed('invalid_json', record.parseError);
+    }
+
+    const fields = {};
+    for (const field of INPUT_FIELDS) {
+      if (record[field] === undefined || record[field] === null) continue;
+      if (typeof record[field] !== 'string') {
+        return failed('invalid_input', `The ${field} field must be a string`);
+      }
+      fields[field] = record[field];
+    }
+    if (!fields.text && !fields.symptoms) {
+      return failed('invalid_input', 'Provide a text or symptoms field describing the plant problem');
+    }
+
+    try {
+      const result = this.engine.diagnose(fields, { tone: options.tone });
+      const interactionId = this.logger ? this.logger.logInteraction(result, { doNotLog: options.doNotLog }) : null;
+      return {
+        id,
+        index,
+        status: 'ok',
+        detectedPlant: result.detectedPlant,
+        plantName: result.plantName,
+        detectionMethod: result.detectionMethod,
+        detectionStatus: result.detectionStatus,
+        plantMatchScore: result.plantMatchScore,
+        diagnoses: result.diagnoses.slice(0, TOP_CAUSES).map(diagnosis => ({
+          cause: { id: diagnosis.cause.id, label: diagnosis.cause.label },
+          confidence: diagnosis.confidence
+        })),
+        interactionId
+      };
+    } catch (error) {
+      if (error.code === 'unknown_plant') {
+        return failed(error.code, error.message);
+      }
+      return failed('internal_error', `Diagnosis failed: ${error.message}`);
+    }
+  }
+
+  static summarize(results, durationMs = 0) {
+    const succeeded = results.filter(result => result.status === 'ok');
+    const summary = {
+      total: results.length,
+      succeeded: succeeded.length,
+      failed: results.length - succeeded.length,
+      averageConfidence: 0,
+      plantsDetected: {},
+      topCauses: {},
+      errors: {},
+      durationMs
+    };
+
+    let confidenceSum = 0;
+    for (const result of results) {
+      if (result.status !== 'ok') {
+        summary.errors[result.error.code] = (summary.errors[result.error.code] || 0) + 1;
+        continue;
+      }
+      const [top] = result.diagnoses;
+      summary.plantsDetected[result.detectedPlant] = (summary.plantsDetected[result.detectedPlant] || 0) + 1;
+      if (top) {
+        confidenceSum += top.confidence;
+        summary.topCauses[top.cause.id] = (summary.topCauses[top.cause.id] || 0) + 1;
+      }
+    }
+    summary.averageConfidence = succeeded.length > 0 ? confidenceSum / succeeded.length : 0;
+
+    return summary;
+  }
+
+  // One flat row per result: cause1/label1/confidence1 ... for the top causes
+  static flatten(result) {
+    const row = {
+      id: result.id,
+      index: result.index,
+      status: result.status,
+      detectedPlant: result.detectedPlant,
+      plantName: result.plantName,
+      detectionMethod: result.detectionMethod,
+      detectionStatus: result.detectionStatus,
+      plantMatchScore: result.plantMatchScore
+    };
+    for (let i = 0; i < TOP_CAUSES; i++) {
+      const diagnosis = result.diagnoses && result.diagnoses[i];
+      row[`cause${i + 1}`] = diagnosis ? diagnosis.cause.id : undefined;
+      row[`label${i + 1}`] = diagnosis ? diagnosis.cause.label : undefined;
+      row[`confidence${i + 1}`] = diagnosis ? Math.round(diagnosis.confidence * 1000) / 1000 : undefined;
+    }
+    row.interactionId = result.interactionId;
+    row.errorCode = result.error ? result.error.code : undefined;
+    row.errorMessage = result.error ? result.error.message : undefined;
+    return row;
+  }
+
+  // JSONL ends with a { summary } line; CSV has no room for one, callers print it
+  static formatOutput(batch, format) {
+    const rows = batch.results.map(BatchDiagnoser.flatten);
+    if (format === 'csv') {
+      return formatCsv(rows, OUTPUT_COLUMNS);
+    }
+    return [...rows, { summary: batch.summary }].map(row => JSON.stringify(row)).join('\n') + '\n';
+  }
+
+  // Shared request handling for POST /api/diagnose/batch:
+  // body { records: [...], tone?, doNotLog? }, format json (default), csv or jsonl
+  runRequest(body, format, config = this.engine.config) {
+    const maxRecords = (config.batch && config.batch.maxRecords) || 1000;
+    const { records, tone, doNotLog } = body && typeof body === 'object' ? body : {};
+
+    if (!Array.isArray(records) || records.length === 0) {
+      throw batchError('invalid_batch', 'Provide a non-empty records array');
+    }
+    if (records.length > maxRecords) {
+      throw batchError('invalid_batch', `A batch is limited to ${maxRecords} records`);
+    }
+    if (format !== undefined && !['json', 'csv', 'jsonl'].includes(format)) {
+      throw batchError('invalid_batch', 'format must be json, csv or jsonl');
+    }
+    BatchDiagnoser.validateOptions({ tone, doNotLog });
+
+    return this.run(records, { tone, doNotLog });
+  }
+
+  static validateOptions(options = {}) {
+    if (options.tone !== undefined && !isKnownTone(options.tone)) {
+      throw batchError('invalid_tone', `Unknown tone "${options.tone}". Available tones: ${listTones().join(', ')}`);
+    }
+    if (options.doNotLog !== undefined && typeof options.doNotLog !== 'boolean') {
+      throw batchError('invalid_batch', 'The doNotLog field must be a boolean');
+    }
+  }
+}
+
+BatchDiagnoser.OUTPUT_COLUMNS = OUTPUT_COLUMNS;
+BatchDiagnoser.CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  jsonl: 'application/x-ndjson; charset=utf-8'
+};
+
+module.exports = BatchDiagnoser;
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PlantDiagnosisEngine = require('./diagnosis-engine');
+const PlantImporter = require('./plant-importer');
+const EngineEvaluator = require('./evaluate');
+const { PlantIndex } = require('./plant-index');
+const { readPlantFile } = require('./plant-schema');
+
+const DEFAULT_SIZES = [10, 100, 1000];
+const DEFAULT_ROUNDS = 3;
+const CURATED_PLANTS_PATH = path.join(__dirname, '../data/plants.json');
+const PLANT_NAMES_PATH = path.join(__dirname, '../new_Plants.json');
+
+// The index every lookup used to be: all plants, all causes
+class FullScanIndex extends PlantIndex {
+  nameCandidates() {
+    return this.plants;
+  }
+
+  aliasCandidates() {
+    return this.plants;
+  }
+
+  causeCandidates(plant) {
+    return plant.causes;
+  }
+}
+
+class FullScanEngine extends PlantDiagnosisEngine {
+  rebuildIndexes() {
+    super.rebuildIndexes();
+    this.index = new FullScanIndex(this.plants);
+  }
+}
+
+// The curated plants followed by imported profiles for the names in
+// new_Plants.json, numbered ("Alder 2") once the names run out
+function buildKnowledgeBase(size) {
+  const curated = readPlantFile(CURATED_PLANTS_PATH);
+  const names = JSON.parse(fs.readFileSync(PLANT_NAMES_PATH, 'utf8'));
+  const importer = new PlantImporter(null);
+  const plants = [...curated];
+  const ids = new Set(curated.map(plant => plant.id));
+
+  for (let round = 1; plants.length < size; round++) {
+    for (const name of names) {
+      if (plants.length >= size) break;
+      const profile = importer.buildProfile({ name: round === 1 ? name : `${name} ${round}` });
+      if (profile.id && !ids.has(profile.id)) {
+        ids.add(profile.id);
+        plants.push(profile);
+      }
+    }
+  }
+
+  return plants.slice(0, size);
+}
+
+// Questions naming plants near the end of the knowledge base; these are
+// resolved by name, before the fuzzy fallback that scans every plant
+function namedQueries(plants) {
+  return plants.slice(-5).map(plant => `My ${plant.name.toLowerCase()} has yellow leaves and the soil stays soggy`);
+}
+
+function timeMs(fn) {
+  const start = process.hrtime.bigint();
+  const value = fn();
+  return { value, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+function percentile(values, fraction) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1)];
+}
+
+// Timestamps differ between runs, everything else must match exactly
+function comparable(result) {
+  return JSON.stringify(result, (key, value) => (key === 'timestamp' ? undefined : value));
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Latency of plain diagnose calls and of plant detection alone; results are
+// compared with the full explanation so every matching stage is covered
+function measure(engine, queries, named, rounds) {
+  const latencies = [];
+  const detections = [];
+  // One untimed pass so whichever engine runs first is not charged for JIT warm-up
+  queries.forEach(query => engine.diagnose(query));
+  for (let round = 0; round < rounds; round++) {
+    queries.forEach(query => latencies.push(timeMs(() => engine.diagnose(query)).ms));
+    named.forEach(query => detections.push(timeMs(() => engine.detectPlant(query)).ms));
+  }
+  return {
+    results: queries.map(query => comparable(engine.diagnose(query, { explain: true }))),
+    meanMs: mean(latencies),
+    p95Ms: percentile(latencies, 0.95),
+    detectMs: mean(detections)
+  };
+}
+
+// Times the indexed engine against a full scan over knowledge bases of each
+// size and checks both give identical results for every query
+function runBenchmark(options = {}) {
+  const { sizes = DEFAULT_SIZES, rounds = DEFAULT_ROUNDS } = options;
+  const config = new PlantDiagnosisEngine().config;
+  const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plant-helper-benchmark-'));
+
+  try {
+    return sizes.map(size => {
+      const plants = buildKnowledgeBase(size);
+      const dataPath = path.join(scratchDir, `plants-${size}.json`);
+      fs.writeFileSync(dataPath, JSON.stringify(plants));
+      const named = namedQueries(plants);
+      const queries = [...EngineEvaluator.loadCorpus().map(entry => entry.input), ...named];
+
+      const report = { size: plants.length, queries: queries.length };
+      const runs = {};
+      for (const [name, Engine] of [['indexed', PlantDiagnosisEngine], ['fullScan', FullScanEngine]]) {
+        const engine = new Engine(config, dataPath);
+        const build = timeMs(() => engine.rebuildIndexes());
+        runs[name] = measure(engine, queries, named, rounds);
+        const { meanMs, p95Ms, detectMs } = runs[name];
+        report[name] = { buildMs: build.ms, meanMs, p95Ms, detectMs };
+      }
+
+      report.mismatches = queries
+        .filter((query, index) => runs.indexed.results[index] !== runs.fullScan.results[index])
+        .map(query => (typeof query === 'string' ? query : JSON.stringify(query)));
+      report.identical = report.mismatches.length === 0;
+      return report;
+    });
+  } finally {
+    fs.rmSync(scratchDir, { recursive: true, force: true });
+  }
+}
+
+function printReports(reports) {
+  const row = values => console.log(values.map((value, index) => String(value).padEnd(index === 0 ? 8 : 12)).join(''));
+  const ms = value => `${value.toFixed(2)} ms`;
+  const columns = ['buildMs', 'meanMs', 'p95Ms', 'detectMs'];
+
+  console.log(`\n⏱️  Diagnosis latency, indexed vs full scan (${reports[0].queries} queries)\n`);
+  row(['', 'indexed', '', '', '', 'full scan']);
+  row(['plants', 'build', 'mean', 'p95', 'detect', 'build', 'mean', 'p95', 'detect', 'identical']);
+  reports.forEach(report => row([
+    report.size,
+    ...columns.map(column => ms(report.indexed[column])),
+    ...columns.map(column => ms(report.fullScan[column])),
+    report.identical ? 'yes' : 'no'
+  ]));
+  console.log('\nmean/p95: diagnose() over the eval corpus and named queries; detect: detectPlant() on the named queries');
+
+  reports.filter(report => !report.identical).forEach(report => {
+    console.error(`❌ ${report.size} plants: results differ for ${report.mismatches.join('; ')}`);
+  });
+}
+
+function readOption(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+// Usage: node src/benchmark.js [--sizes 10,100,1000] [--rounds n] [--json]
+function runBenchmarkCommand(args) {
+  try {
+    const sizesOption = readOption(args, '--sizes');
+    const sizes = sizesOption ? sizesOption.split(',').map(Number) : DEFAULT_SIZES;
+    const rounds = Number(readOption(args, '--rounds') || DEFAULT_ROUNDS);
+    if (sizes.some(size => !Number.isInteger(size) || size < 1) || !Number.isInteger(rounds) || rounds < 1) {
+      throw new Error('--sizes and --rounds take positive integers');
+    }
+
+    const reports = runBenchmark({ sizes, rounds });
+    if (args.includes('--json')) {
+      console.log(JSON.stringify(reports, null, 2));
+    } else {
+      printReports(reports);
+    }
+    return reports.every(report => report.identical) ? 0 : 1;
+  } catch (error) {
+    console.error(`❌ Benchmark failed: ${error.message}`);
+    return 2;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = runBenchmarkCommand(process.argv.slice(2));
+}
+
+module.exports = {
+  FullScanEngine,
+  buildKnowledgeBase,
+  runBenchmark,
+  runBenchmarkCommand
+};
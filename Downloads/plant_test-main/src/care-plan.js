@@ -0,0 +1,427 @@
+const crypto = require('crypto');
+
+// Builds dated care plans from a plant's care parameters (plant.care in
+// data/plants.json, falling back to config.care.defaults) and, after a
+// diagnosis, a recovery plan for the top cause. Shared by the Express
+// server, the Vercel function and the CLI.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SEASONS = ['spring', 'summer', 'autumn', 'winter'];
+const MAX_PLAN_DAYS = 365;
+
+const DEFAULT_CARE = {
+  watering: { spring: 7, summer: 5, autumn: 10, winter: 14 },
+  fertilizing: { intervalDays: 30, seasons: ['spring', 'summer'] },
+  repotting: { intervalMonths: 24 }
+};
+
+// Recovery steps by cause id; plant.care.recovery[causeId] overrides these.
+// day counts from the start of the plan, durationDays makes a step span days.
+const DEFAULT_RECOVERY = {
+  overwatering: [
+    { day: 0, type: 'hold_watering', durationDays: 7, summary: 'Hold watering for 7 days' },
+    { day: 0, type: 'treat', summary: 'Check the roots and trim any that are black or mushy' },
+    { day: 0, type: 'hold_fertilizing', durationDays: 30, summary: 'No fertilizer while the roots recover' },
+    { day: 10, type: 'check', summary: 'Recheck: top few cm of soil dry, no new yellow or soft leaves' }
+  ],
+  underwatering: [
+    { day: 0, type: 'water', summary: 'Soak thoroughly until water runs from the drainage holes' },
+    { day: 0, type: 'hold_fertilizing', durationDays: 14, summary: 'No fertilizer until the plant has recovered' },
+    { day: 3, type: 'check', summary: 'Check soil moisture and whether the leaves have perked up' },
+    { day: 7, type: 'check', summary: 'Recheck: no new crispy or drooping leaves' }
+  ],
+  watering_issues: [
+    { day: 0, type: 'check', summary: 'Check soil moisture a finger deep before watering' },
+    { day: 7, type: 'check', summary: 'Recheck leaves and soil, adjust how often you water' }
+  ],
+  light_issues: [
+    { day: 0, type: 'adjust', summary: 'Move to a brighter spot out of harsh afternoon sun' },
+    { day: 14, type: 'check', summary: 'Recheck: new growth should be compact and well coloured' }
+  ],
+  insufficient_light: [
+    { day: 0, type: 'adjust', summary: 'Move to a brighter spot with indirect light' },
+    { day: 14, type: 'check', summary: 'Recheck: new leaves should be larger with shorter stems' }
+  ],
+  pests: [
+    { day: 0, type: 'treat', summary: 'Isolate the plant and treat with insecticidal soap or neem oil' },
+    { day: 7, type: 'treat', summary: 'Repeat the pest treatment' },
+    { day: 14, type: 'treat', summary: 'Repeat the pest treatment' },
+    { day: 21, type: 'check', summary: 'Recheck leaf undersides and stems for pests' }
+  ],
+  pest_problems: [
+    { day: 0, type: 'treat', summary: 'Isolate the plant and treat with insecticidal soap or neem oil' },
+    { day: 7, type: 'treat', summary: 'Repeat the pest treatment' },
+    { day: 14, type: 'check', summary: 'Recheck leaf undersides and stems for pests' }
+  ],
+  cold_damage: [
+    { day: 0, type: 'adjust', summary: 'Move away from cold windows, doors and drafts' },
+    { day: 0, type: 'hold_watering', durationDays: 7, summary: 'Hold watering for 7 days while the plant warms up' },
+    { day: 14, type: 'check', summary: 'Recheck: remove leaves that stayed soft or discoloured' }
+  ],
+  low_humidity: [
+    { day: 0, type: 'adjust', summary: 'Raise humidity: group plants, use a pebble tray or humidifier' },
+    { day: 14, type: 'check', summary: 'Recheck: new leaves without brown crispy edges' }
+  ],
+  nutrient_deficiency: [
+    { day: 0, type: 'fertilize', summary: 'Feed with a balanced fertilizer at half strength' },
+    { day: 21, type: 'check', summary: 'Recheck: new growth should be greener' }
+  ],
+  support_needed: [
+    { day: 0, type: 'adjust', summary: 'Add a moss pole or stake and loosely tie the stems' },
+    { day: 30, type: 'check', summary: 'Recheck: aerial roots attaching, stems upright' }
+  ]
+};
+
+const GENERIC_RECOVERY = [
+  { day: 0, type: 'treat', summary: 'Start on the first suggested action' },
+  { day: 7, type: 'check', summary: 'Recheck the plant and compare with how it looked today' }
+];
+
+function carePlanError(message) {
+  const error = new Error(message);
+  error.code = 'invalid_care_plan';
+  return error;
+}
+
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function addDays(dateString, days) {
+  return toDateString(new Date(Date.parse(`${dateString}T00:00:00Z`) + days * DAY_MS));
+}
+
+function addMonths(dateString, months) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  return toDateString(date);
+}
+
+function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && toDateString(date) === value;
+}
+
+// Meteorological seasons; the southern hemisphere is shifted by six months
+function seasonOf(dateString, hemisphere = 'north') {
+  const month = Number(dateString.slice(5, 7)) - 1;
+  const shifted = hemisphere === 'south' ? (month + 6) % 12 : month;
+  return SEASONS[Math.floor(((shifted + 10) % 12) / 3)];
+}
+
+// Options shared by GET query strings and POST bodies:
+// { start, days, lastWatered, lastFertilized, lastRepotted, hemisphere }
+function parseCarePlanOptions(source = {}, config = {}, now = new Date()) {
+  const careConfig = config.care || {};
+  const pick = key => (Array.isArray(source[key]) ? source[key][0] : source[key]);
+  const start = pick('start') || toDateString(now);
+  const rawDays = pick('days');
+  const days = rawDays === undefined ? (careConfig.horizonDays || 30) : Number(rawDays);
+  const hemisphere = pick('hemisphere') || careConfig.hemisphere || 'north';
+
+  for (const key of ['start', 'lastWatered', 'lastFertilized', 'lastRepotted']) {
+    const value = key === 'start' ? start : pick(key);
+    if (value !== undefined && !isValidDate(value)) {
+      throw carePlanError(`${key} must be a date in YYYY-MM-DD format`);
+    }
+  }
+  if (!Number.isInteger(days) || days < 1 || days > MAX_PLAN_DAYS) {
+    throw carePlanError(`days must be a whole number between 1 and ${MAX_PLAN_DAYS}`);
+  }
+  if (hemisphere !== 'north' && hemisphere !== 'south') {
+    throw carePlanError('hemisphere must be north or south');
+  }
+
+  return {
+    start,
+    days,
+    hemisphere,
+    lastWatered: pick('lastWatered'),
+    lastFertilized: pick('lastFertilized'),
+    lastRepotted: pick('lastRepotted')
+  };
+}
+
+class CareScheduler {
+  constructor(engine, garden = null, config = engine.config) {
+    const careConfig = config.care || {};
+    this.engine = engine;
+    this.garden = garden;
+    this.config = config;
+    this.defaults = { ...DEFAULT_CARE, ...(careConfig.defaults || {}) };
+  }
+
+  // request: { plantId } for a routine plan, diagnosis fields (text, symptoms,
+  // plantName, environment) for a recovery plan, or gardenPlantId for either,
+  // plus the scheduling options read by parseCarePlanOptions()
+  createPlan(request = {}, now = new Date()) {
+    const options = parseCarePlanOptions(request, this.config, now);
+    const pick = key => (Array.isArray(request[key]) ? request[key][0] : request[key]);
+    const fields = {
+      text: pick('text'),
+      symptoms: pick('symptoms'),
+      plantName: pick('plantName'),
+      plantId: pick('plantId'),
+      environment: pick('environment')
+    };
+    const badField = Object.keys(fields).find(key => fields[key] !== undefined && typeof fields[key] !== 'string');
+    if (badField) {
+      throw carePlanError(`The ${badField} field must be a string`);
+    }
+
+    const gardenPlantId = pick('gardenPlantId');
+    const describesProblem = Boolean(fields.text || fields.symptoms);
+    let plant;
+    let result = null;
+
+    if (gardenPlantId) {
+      if (!this.garden) {
+        throw carePlanError('gardenPlantId is not available here');
+      }
+      const gardenPlant = this.garden.requirePlant(gardenPlantId);
+      plant = this.engine.getEffectivePlant(gardenPlant.plantId);
+      result = describesProblem ? this.garden.diagnose(gardenPlantId, fields) : null;
+    } else if (describesProblem) {
+      result = this.engine.diagnose(fields);
+      plant = this.engine.getEffectivePlant(result.detectedPlant);
+    } else if (fields.plantId) {
+      plant = this.engine.getEffectivePlant(fields.plantId);
+      if (!plant) {
+        throw carePlanError(`No plant with id "${fields.plantId}"`);
+      }
+    } else {
+      throw carePlanError('Provide a plantId, a gardenPlantId, or text/symptoms describing the problem');
+    }
+
+    const plan = this.buildPlan(plant, options, result);
+    if (gardenPlantId) {
+      plan.gardenPlant = result ? result.gardenPlant : { id: gardenPlantId, name: this.garden.requirePlant(gardenPlantId).name };
+    }
+    if (result) {
+      plan.diagnosis = {
+        detectedPlant: result.detectedPlant,
+        detectionMethod: result.detectionMethod,
+        diagnoses: result.diagnoses.map(diagnosis => ({ cause: { id: diagnosis.cause.id, label: diagnosis.cause.label }, confidence: diagnosis.confidence }))
+      };
+    }
+    return plan;
+  }
+
+  // Section by section, so a plant can override just its watering intervals
+  resolveCare(plant) {
+    const care = plant.care || {};
+    return {
+      watering: { ...this.defaults.watering, ...(care.watering || {}) },
+      fertilizing: { ...this.defaults.fertilizing, ...(care.fertilizing || {}) },
+      repotting: { ...this.defaults.repotting, ...(care.repotting || {}) }
+    };
+  }
+
+  recoverySteps(plant, causeId) {
+    const overrides = (plant.care && plant.care.recovery) || {};
+    return overrides[causeId] || DEFAULT_RECOVERY[causeId] || GENERIC_RECOVERY;
+  }
+
+  // The top diagnosis drives recovery; no_symptoms and empty input have none
+  buildRecovery(plant, result, start) {
+    const top = result && result.diagnoses && result.diagnoses[0];
+    if (!top || top.cause.id === 'no_symptoms' || top.cause.id === 'empty_input') {
+      return null;
+    }
+
+    return {
+      causeId: top.cause.id,
+      label: top.cause.label,
+      confidence: top.confidence,
+      actions: top.actions,
+      steps: this.recoverySteps(plant, top.cause.id).map(step => ({
+        ...step,
+        date: addDays(start, step.day)
+      }))
+    };
+  }
+
+  // plant: knowledge-base entry; result: optional engine.diagnose() output
+  buildPlan(plant, options, result = null) {
+    const { start, days, hemisphere } = options;
+    const end = addDays(start, days);
+    const care = this.resolveCare(plant);
+    const recovery = this.buildRecovery(plant, result, start);
+    const steps = recovery ? recovery.steps : [];
+
+    const holds = type => steps
+      .filter(step => step.type === type)
+      .map(step => ({ from: step.date, to: addDays(step.date, step.durationDays || 1) }));
+    const heldUntil = (date, windows) => windows.reduce(
+      (until, window) => (date >= window.from && date < window.to && window.to > until ? window.to : until), ''
+    );
+    const recoveryDates = type => new Set(steps.filter(step => step.type === type).map(step => step.date));
+
+    const events = steps.map(step => ({
+      date: step.date,
+      type: step.type,
+      summary: step.summary,
+      ...(step.description ? { description: step.description } : {}),
+      ...(step.durationDays ? { durationDays: step.durationDays } : {}),
+      source: 'recovery',
+      causeId: recovery.causeId
+    }));
+
+    // Watering: interval from the season of each watering day; pauses while held
+    const wateringHolds = holds('hold_watering');
+    const recoveryWatering = recoveryDates('water');
+    let date = options.lastWatered
+      ? addDays(options.lastWatered, care.watering[seasonOf(options.lastWatered, hemisphere)])
+      : start;
+    if (date < start) date = start;
+    let resumed = false;
+    while (date < end) {
+      const until = heldUntil(date, wateringHolds);
+      if (until) {
+        date = until;
+        resumed = true;
+        continue;
+      }
+      if (!recoveryWatering.has(date)) {
+        events.push({
+          date,
+          type: 'water',
+          summary: resumed ? `Water ${plant.name} if the soil has dried out (watering resumes)` : `Water ${plant.name}`,
+          source: 'routine'
+        });
+      }
+      resumed = false;
+      date = addDays(date, care.watering[seasonOf(date, hemisphere)]);
+    }
+
+    // Fertilizing: only in the listed seasons
+    const fertilizingHolds = holds('hold_fertilizing');
+    const recoveryFeeding = recoveryDates('fertilize');
+    date = options.lastFertilized ? addDays(options.lastFertilized, care.fertilizing.intervalDays) : start;
+    if (date < start) date = start;
+    while (date < end) {
+      const until = heldUntil(date, fertilizingHolds);
+      if (until) {
+        date = until;
+        continue;
+      }
+      if (care.fertilizing.seasons.includes(seasonOf(date, hemisphere)) && !recoveryFeeding.has(date)) {
+        events.push({ date, type: 'fertilize', summary: `Fertilize ${plant.name}`, source: 'routine' });
+      }
+      date = addDays(date, care.fertilizing.intervalDays);
+    }
+
+    // Repotting needs to know when it was last done
+    if (options.lastRepotted) {
+      const due = addMonths(options.lastRepotted, care.repotting.intervalMonths);
+      if (due < end) {
+        events.push({
+          date: due < start ? start : due,
+          type: 'repot',
+          summary: `Repot ${plant.name}${due < start ? ` (due since ${due})` : ''}`,
+          source: 'routine'
+        });
+      }
+    }
+
+    events.sort((a, b) => a.date.localeCompare(b.date) || (a.source === b.source ? 0 : a.source === 'recovery' ? -1 : 1));
+
+    return {
+      plant: { id: plant.id, name: plant.name },
+      start,
+      end: addDays(end, -1),
+      days,
+      season: seasonOf(start, hemisphere),
+      hemisphere,
+      care,
+      recovery,
+      events
+    };
+  }
+}
+
+function escapeICS(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545 folds lines longer than 75 octets, continuing with a space
+function foldICSLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function toICS(plan, now = new Date()) {
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const compact = date => date.replace(/-/g, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Plant Helper//Care Plan//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeICS(`${plan.plant.name} care plan`)}`
+  ];
+
+  plan.events.forEach(event => {
+    // Stable UIDs so re-importing an updated plan replaces events instead of duplicating them
+    const uid = crypto.createHash('sha1')
+      .update([plan.plant.id, event.date, event.type, event.summary].join('|'))
+      .digest('hex')
+      .slice(0, 16);
+    const description = [event.description, plan.recovery && event.source === 'recovery' ? `Recovery from ${plan.recovery.label}` : null]
+      .filter(Boolean)
+      .join('\n');
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${uid}@plant-helper`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${compact(event.date)}`,
+      `DTEND;VALUE=DATE:${compact(addDays(event.date, event.durationDays || 1))}`,
+      `SUMMARY:${escapeICS(event.summary)}`,
+      ...(description ? [`DESCRIPTION:${escapeICS(description)}`] : []),
+      `CATEGORIES:${event.type.toUpperCase()}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldICSLine).join('\r\n') + '\r\n';
+}
+
+// ?format=ics or an Accept: text/calendar header asks for the calendar file
+function wantsICS(format, accept) {
+  return format === 'ics' || (!format && typeof accept === 'string' && accept.includes('text/calendar'));
+}
+
+function icsFilename(plan) {
+  return `care-plan-${(plan.gardenPlant ? plan.gardenPlant.id : plan.plant.id)}-${plan.start}.ics`;
+}
+
+CareScheduler.DEFAULT_CARE = DEFAULT_CARE;
+CareScheduler.DEFAULT_RECOVERY = DEFAULT_RECOVERY;
+CareScheduler.SEASONS = SEASONS;
+CareScheduler.parseCarePlanOptions = parseCarePlanOptions;
+CareScheduler.seasonOf = seasonOf;
+CareScheduler.toICS = toICS;
+CareScheduler.wantsICS = wantsICS;
+CareScheduler.icsFilename = icsFilename;
+
+module.exports = CareScheduler;
@@ -1,15 +1,39 @@
+const fs = require('fs');
 const readline = require('readline');
 const PlantDiagnosisEngine = require('./diagnosis-engine');
 const Logger = require('./logger');
+const PlantImporter = require('./plant-importer');
+const DiagnosisSessions = require('./diagnosis-sessions');
+const FeedbackStore = require('./feedback');
+const GardenStore = require('./garden');
+const CareScheduler = require('./care-plan');
+const BatchDiagnoser = require('./batch');
+const { purgeInteractions } = require('./admin');
+const { ApiKeyStore, SCOPES } = require('./access');
+const { renderTemplate, isKnownTone, listTones } = require('./tone');
+const { validatePlantData, formatValidationError, readPlantFile } = require('./plant-schema');
+const { loadConfig, parseConfigArgs } = require('./config');
 
 class PlantHelperCLI {
-  constructor() {
-    this.engine = new PlantDiagnosisEngine();
+  constructor(options = {}) {
+    this.engine = new PlantDiagnosisEngine(options.config);
     this.logger = new Logger(this.engine.config);
-    this.rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout
-    });
+    this.sessions = new DiagnosisSessions(this.engine);
+    this.feedback = new FeedbackStore(this.engine, this.logger);
+    this.garden = new GardenStore(this.engine, this.logger);
+    this.gardenPlantId = options.garden;
+    this.tone = this.engine.getTone(options.tone);
+    this.explain = Boolean(options.explain);
+    this.doNotLog = Boolean(options.doNotLog);
+    // Created on first prompt so one-shot subcommands can read piped stdin
+    this.rl = null;
+  }
+
+  // Print a tone template; empty templates (e.g. concise progress messages) print nothing
+  say(key, vars) {
+    const text = renderTemplate(this.tone, key, vars);
+    const lines = Array.isArray(text) ? text : [text];
+    lines.filter(line => line.length > 0).forEach(line => console.log(line));
   }
 
   formatConfidence(confidence) {
@@ -25,7 +49,49 @@ ${index + 1}. ${diagnosis.cause.label} (Confidence: ${confidence})
    Why: ${diagnosis.why}
    Actions:
    ${actions}
-   🌱 Eco Tip: ${diagnosis.eco_tip}`;
+   🌱 Eco Tip: ${diagnosis.eco_tip}${diagnosis.scoring ? this.formatScoring(diagnosis.scoring) : ''}`;
+  }
+
+  formatScoring(scoring) {
+    const round = value => Math.round(value * 1000) / 1000;
+    if (scoring.fixedConfidence !== undefined) {
+      return `\n   📐 Scoring: fixed confidence ${round(scoring.fixedConfidence)} (${scoring.reason})`;
+    }
+
+    const { plantMatchWeight, symptomMatchWeight } = scoring.weights;
+    const lines = [
+      `Keywords matched: ${scoring.matchedKeywords.join(', ') || 'none'}`,
+      `Partial keywords: ${scoring.partialKeywords.join(', ') || 'none'}`,
+      `keywordScore = min(${scoring.matchedKeywordCount}/${scoring.totalKeywords} x ${round(scoring.keywordIntensity)} x ${round(scoring.keywordWeight)}, 1) = ${round(scoring.keywordScore)}`,
+      `symptomScore = ${round(scoring.symptomScore)}, enhancedScore = ${round(scoring.enhancedScore)}`,
+      `${plantMatchWeight} x ${round(scoring.keywordScore)} + ${symptomMatchWeight} x (${round(scoring.symptomScore)} + ${round(scoring.enhancedScore)}) / 2 = ${round(scoring.combinedScore)}`,
+      `confidence = ${round(scoring.confidence)}${scoring.floorApplied ? ` (floor ${scoring.floor} applied)` : ''}`
+    ];
+    if (scoring.negatedKeywords.length > 0) {
+      lines.splice(2, 0, `Negated keywords: ${scoring.negatedKeywords.join(', ')}`);
+    }
+    if (scoring.environmentPrior) {
+      const factors = scoring.environmentPrior.adjustments.map(adjustment => `${adjustment.factor} ${adjustment.effect === 'raise' ? '↑' : '↓'}`);
+      lines.splice(lines.length - 1, 0, `environment prior x ${round(scoring.environmentPrior.multiplier)}${factors.length > 0 ? ` (${factors.join(', ')})` : ''}`);
+    }
+    return '\n   📐 Scoring:\n      ' + lines.join('\n      ');
+  }
+
+  displayExplanation(explanation) {
+    console.log('\n🧮 PLANT DETECTION CANDIDATES:');
+    explanation.plantDetection.candidates.forEach(candidate => {
+      const marker = candidate.selected ? '→' : ' ';
+      const accepted = candidate.accepted === false ? ' (below fuzzy threshold)' : '';
+      console.log(`   ${marker} ${candidate.plantId} via ${candidate.method}, score ${this.formatConfidence(candidate.score)}${accepted}`);
+    });
+
+    console.log('\n🧮 MATCHED SYMPTOMS:');
+    if (explanation.symptoms.length === 0) {
+      console.log('   none');
+    }
+    explanation.symptoms.forEach(symptom => {
+      console.log(`   - ${symptom.symptom} [${symptom.matchType}] weight ${Math.round(symptom.weight * 1000) / 1000}`);
+    });
   }
 
   displayResults(result) {
@@ -33,12 +99,23 @@ ${index + 1}. ${diagnosis.cause.label} (Confidence: ${confidence})
     console.log(`🌿 PLANT HELPER DIAGNOSIS RESULTS`);
     console.log('='.repeat(60));
     
-    console.log(`\n📋 Plant Detected: ${result.plantName}`);
+    if (result.gardenPlant) {
+      console.log(`\n🏡 Garden Plant: ${result.gardenPlant.name}`);
+    }
+    console.log(`${result.gardenPlant ? '' : '\n'}📋 Plant Detected: ${result.plantName}`);
     console.log(`🎯 Match Score: ${this.formatConfidence(result.plantMatchScore)}`);
     console.log(`🔍 Detection Method: ${result.detectionMethod}`);
+    if (result.detectionStatus === 'ambiguous') {
+      const plants = result.plantCandidates.map((candidate, index) => `${index + 1}) ${candidate.name}`).join(', ');
+      this.say('cli.didYouMean', { plants, plant: result.plantName });
+    }
+
+    if (result.explanation) {
+      this.displayExplanation(result.explanation);
+    }
     
     if (result.diagnoses.length === 0) {
-      console.log('\n❌ No specific diagnoses found. Try providing more details about your plant\'s symptoms.');
+      this.say('cli.noDiagnoses');
       return;
     }
     
@@ -48,58 +125,865 @@ ${index + 1}. ${diagnosis.cause.label} (Confidence: ${confidence})
     });
     
     console.log('\n' + '='.repeat(60));
-    console.log(`💡 Remember: These are suggestions based on your description.`);
-    console.log(`   If symptoms persist, consider consulting a local plant expert.`);
+    this.say('cli.footer');
     console.log('='.repeat(60) + '\n');
   }
 
-  async promptUser() {
+  async ask(prompt) {
+    if (!this.rl) {
+      this.rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout
+      });
+    }
+
     return new Promise((resolve) => {
-      this.rl.question('\n🌱 Describe your plant problem (or type "quit" to exit): ', (input) => {
+      this.rl.question(prompt, (input) => {
         resolve(input.trim());
       });
     });
   }
 
+  async promptUser() {
+    return this.ask(renderTemplate(this.tone, 'cli.prompt'));
+  }
+
+  // Re-run an ambiguous diagnosis for the plant the user picks; resolves with
+  // the result to continue with
+  async askPlantChoice(result, input) {
+    if (result.detectionStatus !== 'ambiguous') {
+      return result;
+    }
+
+    const answer = await this.ask(renderTemplate(this.tone, 'cli.pickPlant', { plant: result.plantName }));
+    const candidate = result.plantCandidates[Number(answer) - 1];
+    if (!candidate || candidate.plantId === result.detectedPlant) {
+      return result;
+    }
+
+    this.say('cli.refining');
+    const chosen = this.diagnoseInput({ text: input, plantId: candidate.plantId });
+    this.displayResults(chosen);
+    return chosen;
+  }
+
+  // Keep asking the engine's follow-up questions until the diagnosis is clear or the user skips.
+  // Resolves with the final result.
+  async askFollowUps(result) {
+    let current = result;
+
+    while (current.followUp) {
+      this.say('cli.followUpIntro');
+
+      const answers = {};
+      for (const question of current.followUp.questions) {
+        const hint = question.type === 'yes_no' ? ' (yes/no)' : '';
+        const answer = await this.ask(`   ${question.text}${hint} `);
+        if (answer) {
+          answers[question.id] = answer;
+        }
+      }
+
+      if (Object.keys(answers).length === 0) {
+        break;
+      }
+
+      this.say('cli.refining');
+      current = this.sessions.answer(current.followUp.sessionId, answers);
+      current.interactionId = this.logger.logInteraction(current, { doNotLog: this.doNotLog });
+      this.displayResults(current);
+    }
+
+    return current;
+  }
+
+  // Thumbs up/down per diagnosis; stops at the first 👍 or the first skipped question
+  async askFeedback(result) {
+    if (!result.interactionId) {
+      return;
+    }
+
+    const diagnoses = result.diagnoses.filter(diagnosis => diagnosis.cause.id !== 'no_symptoms');
+
+    for (const diagnosis of diagnoses) {
+      const answer = (await this.ask(renderTemplate(this.tone, 'cli.feedbackPrompt', { cause: diagnosis.cause.label }))).toLowerCase();
+      const verdict = ['y', 'yes'].includes(answer) ? 'confirmed' : ['n', 'no'].includes(answer) ? 'wrong' : null;
+      if (!verdict) {
+        return;
+      }
+
+      try {
+        this.feedback.record({ interactionId: result.interactionId, verdict, causeId: diagnosis.cause.id });
+      } catch (error) {
+        console.error(`❌ Could not save feedback: ${error.message}`);
+        return;
+      }
+      this.say('cli.feedbackThanks');
+
+      if (verdict === 'confirmed') {
+        return;
+      }
+    }
+  }
+
+  // Registered garden plants skip detection and follow-ups; each diagnosis
+  // is added to the plant's timeline
+  diagnoseInput(input) {
+    if (!this.gardenPlantId) {
+      const result = this.sessions.start(input, { tone: this.tone, explain: this.explain });
+      result.interactionId = this.logger.logInteraction(result, { doNotLog: this.doNotLog });
+      return result;
+    }
+
+    const result = this.garden.diagnose(this.gardenPlantId, input, { tone: this.tone, explain: this.explain });
+    result.interactionId = this.logger.logInteraction(result, { doNotLog: this.doNotLog });
+    this.garden.recordDiagnosis(this.gardenPlantId, result, { doNotLog: this.doNotLog });
+    return result;
+  }
+
   async run() {
-    console.log('🌿 Welcome to Plant Helper CLI! 🌿');
-    console.log('I\'ll help diagnose your plant problems with some sassy but helpful advice.');
-    console.log('Type "quit" at any time to exit.\n');
+    this.say('cli.welcome');
+    if (this.gardenPlantId) {
+      const gardenPlant = this.garden.get(this.gardenPlantId);
+      if (!gardenPlant) {
+        console.error(`❌ No plant in your garden with id "${this.gardenPlantId}". See: npm run cli -- garden list`);
+        return;
+      }
+      console.log(`🏡 Diagnosing ${gardenPlant.name} (${gardenPlant.plantId}) from your garden`);
+    }
 
     while (true) {
       try {
         const input = await this.promptUser();
         
         if (input.toLowerCase() === 'quit' || input.toLowerCase() === 'exit') {
-          console.log('\n👋 Thanks for using Plant Helper! Keep your plants happy! 🌱');
+          this.say('cli.goodbye');
           break;
         }
         
         if (input.length === 0) {
-          console.log('🤔 Please describe your plant\'s problem or type "quit" to exit.');
+          this.say('cli.emptyPrompt');
           continue;
         }
         
-        console.log('\n🔍 Analyzing your plant problem...');
+        this.say('cli.analyzing');
         
-        const result = this.engine.diagnose(input);
-        this.logger.logInteraction(result);
+        const result = this.diagnoseInput(input);
         this.displayResults(result);
+        const finalResult = await this.askFollowUps(await this.askPlantChoice(result, input));
+        await this.askFeedback(finalResult);
         
       } catch (error) {
         console.error(`\n❌ Error: ${error.message}`);
-        console.log('Please try again or type "quit" to exit.\n');
+        this.say('cli.retry');
       }
     }
     
-    this.rl.close();
+    this.close();
+  }
+
+  close() {
+    if (this.rl) {
+      this.rl.close();
+      this.rl = null;
+    }
+  }
+}
+
+// Validate the knowledge base without starting the engine (usable on broken data)
+function validateKnowledgeBase(dataPath = PlantDiagnosisEngine.DEFAULT_PLANT_DATA_PATH) {
+  let plants;
+  try {
+    plants = readPlantFile(dataPath);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 1;
+  }
+
+  const errors = validatePlantData(plants, dataPath);
+  if (errors.length > 0) {
+    console.error(`❌ Knowledge base has ${errors.length} problem(s):`);
+    errors.forEach(error => console.error(`  - ${formatValidationError(error)}`));
+    return 1;
+  }
+
+  console.log(`✅ Knowledge base OK: ${plants.length} plants in ${dataPath}`);
+  return 0;
+}
+
+function importPlants(args, cliOptions = {}) {
+  const dryRun = args.includes('--dry-run');
+  const [filePath] = args.filter(arg => !arg.startsWith('--'));
+
+  if (!filePath) {
+    console.error('Usage: npm run cli -- import-plants <file.json|file.csv|file.txt> [--dry-run]');
+    return 1;
+  }
+
+  try {
+    const engine = new PlantDiagnosisEngine(cliOptions.config);
+    const report = new PlantImporter(engine).importFile(filePath, { dryRun });
+
+    console.log(`${dryRun ? '🧪 Dry run: ' : ''}📥 Imported from ${filePath}`);
+    console.log(`   ✅ Added: ${report.added.length}`);
+    console.log(`   🔄 Updated: ${report.updated.length}`);
+    console.log(`   ⏭️  Skipped: ${report.skipped.length}`);
+    console.log(`   ⚠️  Conflicts: ${report.conflicts.length}`);
+    report.conflicts.forEach(c => console.log(`      - ${c.name}: ${c.reason}`));
+    report.skipped
+      .filter(s => s.reason !== 'duplicate in import' && s.reason !== 'already imported')
+      .forEach(s => console.log(`      - ${s.name || '(blank)'}: ${s.reason}`));
+    return 0;
+  } catch (error) {
+    console.error(`❌ Import failed: ${error.message}`);
+    return 1;
+  }
+}
+
+// Convert legacy plant-helper-YYYY-MM-DD.json logs to JSONL, then apply retention/compression
+function migrateLogs(args, cliOptions = {}) {
+  const dryRun = args.includes('--dry-run');
+
+  try {
+    const engine = new PlantDiagnosisEngine(cliOptions.config);
+    const logger = new Logger(engine.config);
+
+    if (!logger.config.logging.enabled || !logger.logsDir) {
+      console.error('❌ File logging is disabled; nothing to migrate.');
+      return 1;
+    }
+
+    const report = logger.migrateLegacyLogs({ dryRun, deleteOriginals: args.includes('--delete') });
+    console.log(`${dryRun ? '🧪 Dry run: ' : ''}📦 Migrated ${report.migrated.length} log file(s), ${report.entries} entries`);
+    report.migrated.forEach(file => console.log(`   - ${file.from} -> ${file.to} (${file.entries})`));
+
+    if (!dryRun) {
+      const maintenance = logger.maintain();
+      console.log(`🗜️  Compressed: ${maintenance.compressed.length}, 🗑️  deleted: ${maintenance.deleted.length}`);
+    }
+    return 0;
+  } catch (error) {
+    console.error(`❌ Log migration failed: ${error.message}`);
+    return 1;
+  }
+}
+
+// Remove logged interactions by age or content, e.g. purge-logs --older-than 30
+function purgeLogs(args, cliOptions = {}) {
+  const readOption = name => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+  const olderThan = readOption('--older-than');
+  const criteria = {
+    olderThanDays: olderThan !== undefined ? Number(olderThan) : undefined,
+    before: readOption('--before'),
+    text: readOption('--text'),
+    plant: readOption('--plant'),
+    interactionId: readOption('--id'),
+    dryRun: args.includes('--dry-run')
+  };
+
+  try {
+    const engine = new PlantDiagnosisEngine(cliOptions.config);
+    const logger = new Logger(engine.config);
+    const report = purgeInteractions(logger, new FeedbackStore(engine, logger), criteria, new GardenStore(engine, logger));
+
+    console.log(`${criteria.dryRun ? '🧪 Dry run: ' : ''}🗑️  Purged ${report.removed} interaction(s) and ${report.feedbackRemoved} feedback entr${report.feedbackRemoved === 1 ? 'y' : 'ies'}`);
+    if (report.gardenInputsCleared > 0) {
+      console.log(`   🌱 Removed ${report.gardenInputsCleared} description(s) from garden timelines`);
+    }
+    report.filesRewritten.forEach(filename => console.log(`   ✏️  ${filename}`));
+    report.filesDeleted.forEach(filename => console.log(`   ❌ ${filename}`));
+    return 0;
+  } catch (error) {
+    if (error.code === 'invalid_purge') {
+      console.error(`❌ ${error.message}`);
+      console.error('Usage: npm run cli -- purge-logs [--older-than <days>] [--before YYYY-MM-DD] [--text <text>] [--plant <id>] [--id <interactionId>] [--dry-run]');
+      return 1;
+    }
+    console.error(`❌ Purge failed: ${error.message}`);
+    return 1;
+  }
+}
+
+// Manage registered garden plants, e.g. garden add tulsi "Kitchen tulsi" --location "kitchen window"
+function manageGarden(args, cliOptions = {}) {
+  const [action, ...rest] = args;
+  const options = {};
+  const positional = [];
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i].startsWith('--')) {
+      options[rest[i].slice(2)] = rest[i + 1];
+      i++;
+    } else {
+      positional.push(rest[i]);
+    }
+  }
+
+  const usage = [
+    'Usage: npm run cli -- garden list',
+    '       npm run cli -- garden add <plantId> <name> [--location <text>] [--light <text>] [--pot <text>] [--notes <text>]',
+    '       npm run cli -- garden show <id>',
+    '       npm run cli -- garden update <id> [--name <text>] [--plantId <id>] [--location <text>] [--light <text>] [--pot <text>] [--notes <text>]',
+    '       npm run cli -- garden remove <id>',
+    '       npm run cli -- garden diagnose <id> <symptoms>',
+    '       npm run cli -- garden log <id> <action> [--cause <causeId>] [--note <text>]'
+  ];
+
+  try {
+    const engine = new PlantDiagnosisEngine(cliOptions.config);
+    const logger = new Logger(engine.config);
+    const garden = new GardenStore(engine, logger);
+    const [id, ...words] = positional;
+
+    if (action === 'list') {
+      const plants = garden.list();
+      if (plants.length === 0) {
+        console.log('🏡 Your garden is empty. Add a plant with: npm run cli -- garden add <plantId> <name>');
+      }
+      plants.forEach(plant => {
+        const last = plant.lastDiagnosis && plant.lastDiagnosis.cause
+          ? `, last diagnosis: ${plant.lastDiagnosis.cause.label} (${plant.lastDiagnosis.timestamp.split('T')[0]})`
+          : '';
+        console.log(`🪴 ${plant.id}: ${plant.name} [${plant.plantId}]${plant.location ? ` in ${plant.location}` : ''}${last}`);
+      });
+      return 0;
+    }
+
+    if (action === 'add' && id && words.length > 0) {
+      const plant = garden.add({ ...options, plantId: id, name: words.join(' ') });
+      console.log(`✅ Added ${plant.name} to your garden as "${plant.id}"`);
+      return 0;
+    }
+
+    if (action === 'update' && id) {
+      const plant = garden.update(id, options);
+      console.log(`✅ Updated ${plant.name}`);
+      return 0;
+    }
+
+    if (action === 'remove' && id) {
+      console.log(`🗑️  Removed ${garden.remove(id).name} from your garden`);
+      return 0;
+    }
+
+    if (action === 'show' && id) {
+      const plant = garden.requirePlant(id);
+      console.log(`🪴 ${plant.name} [${plant.plantId}]`);
+      ['location', 'light', 'pot', 'notes']
+        .filter(field => plant[field])
+        .forEach(field => console.log(`   ${field}: ${plant[field]}`));
+      console.log(`\n📅 TIMELINE (${plant.timeline.length} entries):`);
+      plant.timeline.forEach(entry => {
+        const date = entry.timestamp.replace('T', ' ').slice(0, 16);
+        if (entry.type === 'diagnosis') {
+          const causes = entry.diagnoses.map(d => `${d.cause.label} ${Math.round(d.confidence * 100)}%`).join(', ');
+          console.log(`   ${date} 🔬 ${causes}${entry.input ? ` ("${entry.input}")` : ''}`);
+        } else {
+          console.log(`   ${date} 🛠️  ${entry.action}${entry.causeId ? ` [${entry.causeId}]` : ''}${entry.note ? ` - ${entry.note}` : ''}`);
+        }
+      });
+      return 0;
+    }
+
+    if (action === 'diagnose' && id && words.length > 0) {
+      const cli = new PlantHelperCLI({ garden: id, tone: options.tone, config: cliOptions.config });
+      cli.displayResults(cli.diagnoseInput(words.join(' ')));
+      return 0;
+    }
+
+    if (action === 'log' && id && words.length > 0) {
+      garden.recordAction(id, { action: words.join(' '), causeId: options.cause, note: options.note });
+      console.log(`✅ Logged "${words.join(' ')}" for ${garden.requirePlant(id).name}`);
+      return 0;
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    if (error.details && error.details.allowed) {
+      console.error(`   Known plant ids: ${error.details.allowed.join(', ')}`);
+    }
+    return 1;
+  }
+
+  usage.forEach(line => console.error(line));
+  return 1;
+}
+
+// API keys for the HTTP API, stored hashed in security.apiKeys.file
+function manageKeys(args, cliOptions = {}) {
+  const [action, label, ...rest] = args;
+  const options = {};
+  for (let i = 0; i < rest.length; i += 2) {
+    options[rest[i].replace(/^--/, '')] = rest[i + 1];
+  }
+
+  const usage = [
+    'Usage: npm run cli -- keys list',
+    `       npm run cli -- keys add <label> [--scopes ${SCOPES.join(',')}] [--burst <n> --per-minute <n>]`,
+    '       npm run cli -- keys remove <label>'
+  ];
+
+  try {
+    const apiKeys = new ApiKeyStore(cliOptions.config);
+
+    if (action === 'list') {
+      const keys = apiKeys.list();
+      if (keys.length === 0) {
+        console.log('🔑 No API keys yet. Create one with: npm run cli -- keys add <label>');
+      }
+      keys.forEach(entry => {
+        const limit = entry.rateLimit ? `, ${entry.rateLimit.burst} burst / ${entry.rateLimit.perMinute} per minute` : '';
+        console.log(`🔑 ${entry.label}: ${entry.scopes.join(', ')}${limit} (created ${String(entry.createdAt).split('T')[0]})`);
+      });
+      return 0;
+    }
+
+    if (action === 'add' && label) {
+      const rateLimit = options.burst || options['per-minute']
+        ? { burst: Number(options.burst), perMinute: Number(options['per-minute']) }
+        : undefined;
+      const scopes = options.scopes ? options.scopes.split(',').map(scope => scope.trim()).filter(Boolean) : undefined;
+      const { key, entry } = apiKeys.add({ label, scopes, rateLimit });
+      console.log(`✅ Created API key "${entry.label}" with scopes ${entry.scopes.join(', ')}`);
+      console.log(`   ${key}`);
+      console.log('   Store it now: only a hash is saved, so it cannot be shown again.');
+      return 0;
+    }
+
+    if (action === 'remove' && label) {
+      console.log(`🗑️  Removed API key "${apiKeys.remove(label).label}"`);
+      return 0;
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 1;
+  }
+
+  usage.forEach(line => console.error(line));
+  return 1;
+}
+
+// Print a care plan, optionally saving it as an .ics calendar, e.g.
+// care-plan snake_plant --symptoms "yellow mushy leaves" --ics plan.ics
+function carePlan(args, cliOptions = {}) {
+  const readOption = name => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+  const [plantId] = args.filter((arg, index) => !arg.startsWith('--') && (index === 0 || !args[index - 1].startsWith('--')));
+  const request = {
+    plantId,
+    gardenPlantId: readOption('--garden'),
+    symptoms: readOption('--symptoms'),
+    days: readOption('--days'),
+    start: readOption('--start'),
+    lastWatered: readOption('--last-watered'),
+    lastFertilized: readOption('--last-fertilized'),
+    lastRepotted: readOption('--last-repotted'),
+    hemisphere: readOption('--hemisphere')
+  };
+  const icsPath = readOption('--ics');
+
+  try {
+    const engine = new PlantDiagnosisEngine(cliOptions.config);
+    const logger = new Logger(engine.config);
+    const plan = new CareScheduler(engine, new GardenStore(engine, logger)).createPlan(request);
+
+    console.log(`📅 Care plan for ${plan.gardenPlant ? `${plan.gardenPlant.name} (${plan.plant.name})` : plan.plant.name}: ${plan.start} to ${plan.end}, ${plan.season}`);
+    if (plan.recovery) {
+      console.log(`🩺 Recovery from ${plan.recovery.label} (${Math.round(plan.recovery.confidence * 100)}%)`);
+    }
+    plan.events.forEach(event => {
+      const span = event.durationDays ? ` (${event.durationDays} days)` : '';
+      console.log(`   ${event.date} ${event.source === 'recovery' ? '🩺' : '🪴'} ${event.summary}${span}`);
+    });
+
+    if (icsPath) {
+      fs.writeFileSync(icsPath, CareScheduler.toICS(plan));
+      console.log(`\n💾 Saved ${plan.events.length} event(s) to ${icsPath}`);
+    }
+    return 0;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    if (error.code === 'invalid_care_plan') {
+      console.error('Usage: npm run cli -- care-plan <plantId> [--symptoms <text>] [--garden <id>] [--days <n>] [--start YYYY-MM-DD] [--last-watered YYYY-MM-DD] [--last-fertilized YYYY-MM-DD] [--last-repotted YYYY-MM-DD] [--hemisphere north|south] [--ics <file>]');
+    }
+    return 1;
+  }
+}
+
+// Diagnose every record in a CSV/JSONL/JSON file, e.g.
+// batch inbox.csv --out results.jsonl (results go to stdout without --out)
+function runBatch(args, cliOptions = {}) {
+  const readOption = name => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+  const [inputPath] = args.filter((arg, index) => !arg.startsWith('--') && (index === 0 || !['--out', '--format', '--input-format', '--tone'].includes(args[index - 1])));
+  const outPath = readOption('--out');
+
+  if (!inputPath) {
+    console.error('Usage: npm run cli -- batch <input.csv|input.jsonl|input.json> [--out results.jsonl|results.csv] [--format jsonl|csv] [--input-format csv|jsonl|json] [--tone <tone>] [--do-not-log]');
+    return 1;
+  }
+
+  try {
+    const engine = new PlantDiagnosisEngine(cliOptions.config);
+    const options = { tone: readOption('--tone'), doNotLog: args.includes('--do-not-log') };
+    BatchDiagnoser.validateOptions(options);
+
+    const records = BatchDiagnoser.readFile(inputPath, readOption('--input-format') || BatchDiagnoser.formatFromPath(inputPath));
+    const batch = new BatchDiagnoser(engine, new Logger(engine.config)).run(records, options);
+    const format = readOption('--format') || (outPath ? BatchDiagnoser.formatFromPath(outPath) : 'jsonl');
+    const output = BatchDiagnoser.formatOutput(batch, format === 'csv' ? 'csv' : 'jsonl');
+
+    if (outPath) {
+      fs.writeFileSync(outPath, output);
+    } else {
+      process.stdout.write(output);
+    }
+
+    // Summary goes to stderr so stdout stays machine-readable
+    const { summary } = batch;
+    console.error(`📦 Batch: ${summary.total} record(s), ✅ ${summary.succeeded} diagnosed, ❌ ${summary.failed} failed in ${summary.durationMs}ms`);
+    console.error(`   Average top confidence: ${Math.round(summary.averageConfidence * 100)}%`);
+    const topCauses = Object.entries(summary.topCauses).sort((a, b) => b[1] - a[1]).map(([cause, count]) => `${cause} (${count})`);
+    if (topCauses.length > 0) {
+      console.error(`   Top causes: ${topCauses.join(', ')}`);
+    }
+    Object.entries(summary.errors).forEach(([code, count]) => console.error(`   ${code}: ${count}`));
+    if (outPath) {
+      console.error(`💾 Results written to ${outPath}`);
+    }
+    return 0;
+  } catch (error) {
+    console.error(`❌ Batch failed: ${error.message}`);
+    return 1;
+  }
+}
+
+// Exit codes for the scriptable subcommands (diagnose, plants, stats, history)
+const EXIT_CODES = {
+  ok: 0,
+  error: 1,
+  usage: 2,
+  emptyInput: 3,
+  lowConfidence: 4,
+  notFound: 5
+};
+
+// Errors go to stderr, as JSON with --json so scripts can parse them
+function reportError(cliOptions, code, message, exitCode) {
+  if (cliOptions.json) {
+    console.error(JSON.stringify({ error: code, message }));
+  } else {
+    console.error(`❌ ${message}`);
+  }
+  return exitCode;
+}
+
+function printJson(value) {
+  console.log(JSON.stringify(value, null, 2));
+}
+
+// Positional arguments, skipping the values of the listed --options
+function positionalArgs(args, valueOptions) {
+  return args.filter((arg, index) => !arg.startsWith('--') && !valueOptions.includes(args[index - 1]));
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => { data += chunk; });
+    process.stdin.on('end', () => resolve(data));
+    process.stdin.on('error', reject);
+  });
+}
+
+// One-shot diagnosis: diagnose "<text>", or pipe the text in (diagnose -)
+async function diagnoseCommand(args, cliOptions = {}) {
+  const valueOptions = ['--tone', '--plant', '--plant-id', '--environment', '--min-confidence'];
+  const readOption = name => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+  const tone = readOption('--tone');
+  const positional = positionalArgs(args, valueOptions);
+  const minConfidenceOption = readOption('--min-confidence');
+
+  if (tone !== undefined && !isKnownTone(tone)) {
+    return reportError(cliOptions, 'invalid_tone', `Unknown tone "${tone}". Available tones: ${listTones().join(', ')}`, EXIT_CODES.usage);
+  }
+  if (minConfidenceOption !== undefined && !(Number(minConfidenceOption) >= 0 && Number(minConfidenceOption) <= 1)) {
+    return reportError(cliOptions, 'invalid_input', '--min-confidence must be a number between 0 and 1', EXIT_CODES.usage);
+  }
+
+  let text = positional.join(' ');
+  if (positional.length === 0 || text === '-') {
+    if (process.stdin.isTTY) {
+      console.error('Usage: npm run cli -- diagnose "<description>" [--plant <name>] [--plant-id <id>] [--environment <text>] [--tone <tone>] [--explain] [--min-confidence <0-1>] [--do-not-log] [--json] [--config <path>]');
+      console.error('       echo "<description>" | npm run cli -- diagnose [options]');
+      return EXIT_CODES.usage;
+    }
+    text = (await readStdin()).trim();
+  }
+
+  try {
+    const cli = new PlantHelperCLI({
+      tone,
+      explain: args.includes('--explain'),
+      doNotLog: args.includes('--do-not-log'),
+      config: cliOptions.config
+    });
+    const result = cli.engine.diagnose({
+      text,
+      plantName: readOption('--plant'),
+      plantId: readOption('--plant-id'),
+      environment: readOption('--environment')
+    }, { tone: cli.tone, explain: cli.explain });
+    result.interactionId = cli.logger.logInteraction(result, { doNotLog: cli.doNotLog });
+
+    if (cliOptions.json) {
+      printJson(result);
+    } else {
+      cli.displayResults(result);
+    }
+
+    const [top] = result.diagnoses;
+    const minConfidence = minConfidenceOption !== undefined
+      ? Number(minConfidenceOption)
+      : cli.engine.config.diagnosis.minConfidenceThreshold;
+
+    if (top && top.cause.id === 'empty_input') {
+      return EXIT_CODES.emptyInput;
+    }
+    if (!top || top.confidence < minConfidence) {
+      if (!cliOptions.json) {
+        console.error(`⚠️  Top confidence ${top ? cli.formatConfidence(top.confidence) : 'n/a'} is below ${cli.formatConfidence(minConfidence)}`);
+      }
+      return EXIT_CODES.lowConfidence;
+    }
+    return EXIT_CODES.ok;
+  } catch (error) {
+    if (error.code === 'unknown_plant') {
+      return reportError(cliOptions, error.code, error.message, EXIT_CODES.notFound);
+    }
+    return reportError(cliOptions, 'internal_error', `Diagnosis failed: ${error.message}`, EXIT_CODES.error);
+  }
+}
+
+// plants list | plants show <id> | plants search <query>
+function plantsCommand(args, cliOptions = {}) {
+  const [action, ...rest] = positionalArgs(args, []);
+  const engine = new PlantDiagnosisEngine(cliOptions.config);
+
+  if (action === 'list') {
+    const plants = engine.listPlants();
+    if (cliOptions.json) {
+      printJson({ plants });
+    } else {
+      plants.forEach(plant => {
+        const aliases = plant.aliases.length > 0 ? ` (${plant.aliases.join(', ')})` : '';
+        console.log(`🪴 ${plant.id}: ${plant.name}${aliases} - ${plant.causes.length} cause(s)`);
+      });
+    }
+    return EXIT_CODES.ok;
+  }
+
+  if (action === 'show' && rest.length === 1) {
+    const plant = engine.getEffectivePlant(rest[0]);
+    if (!plant) {
+      return reportError(cliOptions, 'not_found', `No plant with id "${rest[0]}"`, EXIT_CODES.notFound);
+    }
+    if (cliOptions.json) {
+      printJson(plant);
+      return EXIT_CODES.ok;
+    }
+
+    // Marks values inherited from an ancestor
+    const from = origin => (origin && origin !== plant.id ? ` (from ${origin})` : '');
+    const inherited = plant.symptoms.filter(symptom => plant.origins.symptoms[symptom] !== plant.id).length;
+    console.log(`🪴 ${plant.name} [${plant.id}]${plant.family ? `, family ${plant.family}` : ''}`);
+    if (plant.lineage.length > 1) {
+      console.log(`   Inherits from: ${plant.lineage.slice(1).map(level => `${level.name} (${level.rank})`).join(' → ')}`);
+    }
+    console.log(`   Aliases: ${plant.aliases.join(', ') || 'none'}`);
+    console.log(`   Symptoms: ${plant.symptoms.join(', ') || 'none'}${inherited > 0 ? ` (${inherited} inherited)` : ''}`);
+    console.log('\n🔬 CAUSES:');
+    plant.causes.forEach(cause => {
+      const actions = (plant.solutions[cause.id] || []).length;
+      console.log(`   - ${cause.label} [${cause.id}]${from(plant.origins.causes[cause.id])}: ${cause.keywords.length} keywords, ${actions} actions${from(plant.origins.solutions[cause.id])}`);
+    });
+    console.log(`\n🌱 Eco Tip: ${plant.eco_tip}${from(plant.origins.eco_tip)}`);
+    return EXIT_CODES.ok;
+  }
+
+  if (action === 'search' && rest.length > 0) {
+    const query = rest.join(' ');
+    const results = engine.searchPlants(query);
+    if (cliOptions.json) {
+      printJson({ query, results });
+    } else if (results.length === 0) {
+      console.error(`No plants match "${query}"`);
+    } else {
+      results.forEach(result => console.log(`🪴 ${result.id}: ${result.name} (${Math.round(result.score * 100)}%, ${result.method})`));
+    }
+    return results.length > 0 ? EXIT_CODES.ok : EXIT_CODES.notFound;
+  }
+
+  console.error('Usage: npm run cli -- plants list | plants show <id> | plants search <query> [--json] [--config <path>]');
+  return EXIT_CODES.usage;
+}
+
+// stats [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--group-by day|week] [--plant <id>]
+function statsCommand(args, cliOptions = {}) {
+  const readOption = name => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  try {
+    const engine = new PlantDiagnosisEngine(cliOptions.config);
+    const stats = new Logger(engine.config).getLogStats({
+      from: readOption('--from'),
+      to: readOption('--to'),
+      groupBy: readOption('--group-by'),
+      plant: readOption('--plant')
+    });
+
+    if (cliOptions.json) {
+      printJson(stats);
+      return EXIT_CODES.ok;
+    }
+
+    const percent = value => `${Math.round(value * 100)}%`;
+    const counts = values => Object.entries(values).sort((a, b) => b[1] - a[1]).map(([key, count]) => `${key} (${count})`).join(', ') || 'none';
+    console.log(`📊 ${stats.range.from} to ${stats.range.to}${stats.range.plant ? `, plant ${stats.range.plant}` : ''}`);
+    console.log(`   Interactions: ${stats.totalInteractions}, average confidence ${percent(stats.averageConfidence)}`);
+    console.log(`   Generic fallback: ${percent(stats.genericFallbackRate)}, no symptoms: ${percent(stats.noSymptomsRate)}`);
+    console.log(`   Plants: ${counts(stats.plantsDetected)}`);
+    console.log(`   Issues: ${counts(stats.mostCommonIssues)}`);
+    console.log(`\n📅 BY ${stats.range.groupBy.toUpperCase()}:`);
+    stats.series.forEach(period => {
+      console.log(`   ${period.period}  ${String(period.interactions).padStart(4)}  ${period.interactions > 0 ? percent(period.averageConfidence) : '-'}`);
+    });
+    return EXIT_CODES.ok;
+  } catch (error) {
+    if (error.code === 'invalid_query') {
+      return reportError(cliOptions, error.code, error.message, EXIT_CODES.usage);
+    }
+    return reportError(cliOptions, 'internal_error', `Stats failed: ${error.message}`, EXIT_CODES.error);
+  }
+}
+
+// history [--limit N] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--plant <id>]
+function historyCommand(args, cliOptions = {}) {
+  const readOption = name => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  try {
+    const engine = new PlantDiagnosisEngine(cliOptions.config);
+    const entries = new Logger(engine.config).getHistory({
+      from: readOption('--from'),
+      to: readOption('--to'),
+      plant: readOption('--plant'),
+      limit: readOption('--limit')
+    });
+
+    if (cliOptions.json) {
+      printJson({ entries });
+      return EXIT_CODES.ok;
+    }
+
+    if (entries.length === 0) {
+      console.log('No logged interactions found.');
+    }
+    entries.forEach(entry => {
+      const [top] = entry.diagnoses || [];
+      const cause = top ? `${top.cause.id} ${Math.round(top.confidence * 100)}%` : 'no diagnosis';
+      const input = entry.originalInput ? `  "${entry.originalInput.slice(0, 60)}${entry.originalInput.length > 60 ? '...' : ''}"` : '';
+      console.log(`${String(entry.timestamp).replace('T', ' ').slice(0, 16)}  ${entry.detectedPlant || 'unknown'}  ${cause}${input}`);
+    });
+    return EXIT_CODES.ok;
+  } catch (error) {
+    if (error.code === 'invalid_query') {
+      return reportError(cliOptions, error.code, error.message, EXIT_CODES.usage);
+    }
+    return reportError(cliOptions, 'internal_error', `History failed: ${error.message}`, EXIT_CODES.error);
   }
 }
 
 // Run CLI if this file is executed directly
 if (require.main === module) {
-  const cli = new PlantHelperCLI();
-  cli.run().catch(console.error);
+  // --config, --set key.path=value and --json apply to every subcommand
+  const argv = process.argv.slice(2);
+  const cliOptions = { json: argv.includes('--json') };
+  let configError = null;
+  let command;
+  let args = [];
+  try {
+    const parsed = parseConfigArgs(argv.filter(arg => arg !== '--json'));
+    [command, ...args] = parsed.args;
+    cliOptions.config = loadConfig(parsed).config;
+  } catch (error) {
+    configError = error;
+  }
+  const run = (handler) => Promise.resolve()
+    .then(handler)
+    .then(exitCode => { process.exitCode = exitCode; })
+    .catch(error => { process.exitCode = reportError(cliOptions, 'internal_error', error.message, EXIT_CODES.error); });
+
+  if (configError) {
+    process.exitCode = reportError(cliOptions, configError.code, configError.message, EXIT_CODES.usage);
+  } else if (command === 'validate-kb') {
+    process.exitCode = validateKnowledgeBase(args[0]);
+  } else if (command === 'import-plants') {
+    process.exitCode = importPlants(args, cliOptions);
+  } else if (command === 'migrate-logs') {
+    process.exitCode = migrateLogs(args, cliOptions);
+  } else if (command === 'purge-logs') {
+    process.exitCode = purgeLogs(args, cliOptions);
+  } else if (command === 'batch') {
+    process.exitCode = runBatch(args, cliOptions);
+  } else if (command === 'care-plan') {
+    process.exitCode = carePlan(args, cliOptions);
+  } else if (command === 'garden') {
+    process.exitCode = manageGarden(args, cliOptions);
+  } else if (command === 'keys') {
+    process.exitCode = manageKeys(args, cliOptions);
+  } else if (command === 'diagnose') {
+    run(() => diagnoseCommand(args, cliOptions));
+  } else if (command === 'plants') {
+    run(() => plantsCommand(args, cliOptions));
+  } else if (command === 'stats') {
+    run(() => statsCommand(args, cliOptions));
+  } else if (command === 'history') {
+    run(() => historyCommand(args, cliOptions));
+  } else {
+    const toneIndex = process.argv.indexOf('--tone');
+    const tone = toneIndex !== -1 ? process.argv[toneIndex + 1] : undefined;
+    const gardenIndex = process.argv.indexOf('--garden');
+
+    if (tone !== undefined && !isKnownTone(tone)) {
+      console.error(`Unknown tone "${tone}". Available tones: ${listTones().join(', ')}`);
+      process.exitCode = 1;
+    } else {
+      const cli = new PlantHelperCLI({
+        tone,
+        explain: process.argv.includes('--explain'),
+        doNotLog: process.argv.includes('--do-not-log'),
+        garden: gardenIndex !== -1 ? process.argv[gardenIndex + 1] : undefined,
+        config: cliOptions.config
+      });
+      cli.run().catch(console.error);
+    }
+  }
 }
 
+PlantHelperCLI.EXIT_CODES = EXIT_CODES;
+
 module.exports = PlantHelperCLI;
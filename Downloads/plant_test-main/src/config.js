@@ -0,0 +1,489 @@
+const fs = require('fs');
+const path = require('path');
+const { CARE_SCHEMA, ENVIRONMENT_SCHEMA, validateValue } = require('./plant-schema');
+const { SCOPES } = require('./access');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../config.json');
+const CONFIG_PATH_ENV = 'PLANT_HELPER_CONFIG';
+const ENV_PREFIX = 'PLANT_HELPER_';
+
+// Every setting the app reads, so a missing or partial config.json still
+// yields a complete configuration
+const DEFAULT_CONFIG = {
+  server: {
+    port: 3000,
+    host: 'localhost',
+    watchConfig: true
+  },
+  api: {
+    validateResponses: 'warn'
+  },
+  security: {
+    apiKeys: {
+      file: './data/api-keys.json',
+      required: false,
+      anonymousScopes: ['diagnose', 'plants', 'garden', 'stats']
+    },
+    rateLimit: {
+      enabled: true,
+      burst: 30,
+      perMinute: 30
+    },
+    cors: {
+      origins: []
+    },
+    maxPlantBytes: 262144,
+    maxBatchBytes: 1048576
+  },
+  diagnosis: {
+    minConfidenceThreshold: 0.3,
+    maxDiagnoses: 3,
+    plantMatchWeight: 0.4,
+    symptomMatchWeight: 0.6,
+    fuzzyThreshold: 0.6,
+    clarifyMargin: 0.1,
+    plantAmbiguityMargin: 0.1,
+    maxFollowUpQuestions: 3
+  },
+  logging: {
+    enabled: true,
+    directory: './logs',
+    filenameFormat: 'plant-helper-{YYYY-MM-DD}.jsonl',
+    maxFileSizeMB: 10,
+    retentionDays: 365,
+    compressAfterDays: 7,
+    mode: 'full',
+    redact: {
+      emails: true,
+      phones: true,
+      urls: true,
+      numbers: false
+    }
+  },
+  feedback: {
+    file: './data/feedback.jsonl',
+    weightsFile: './data/keyword-weights.json',
+    learning: {
+      learningRate: 0.5,
+      minSamples: 3,
+      minWeight: 0.5,
+      maxWeight: 1.5
+    }
+  },
+  garden: {
+    file: './data/garden.json',
+    maxTimelineEntries: 200
+  },
+  batch: {
+    maxRecords: 1000
+  },
+  care: {
+    horizonDays: 30,
+    hemisphere: 'north',
+    defaults: {
+      watering: { spring: 7, summer: 5, autumn: 10, winter: 14 },
+      fertilizing: { intervalDays: 30, seasons: ['spring', 'summer'] },
+      repotting: { intervalMonths: 24 }
+    }
+  },
+  environment: {
+    raise: 1.2,
+    lower: 0.85,
+    defaults: {
+      light: ['medium', 'bright'],
+      humidity: ['medium', 'high'],
+      temperature: { min: 15, max: 30 },
+      drainage: ['good'],
+      location: ['indoor', 'outdoor']
+    }
+  },
+  evaluation: {
+    corpus: './eval/corpus.json',
+    thresholds: {
+      plantAccuracy: 0.9,
+      top1Accuracy: 0.65,
+      top3Accuracy: 0.9
+    }
+  },
+  ui: {
+    tone: 'friendly-sassy',
+    maxInputLength: 500
+  }
+};
+
+const string = { type: 'string', minLength: 1 };
+const boolean = { type: 'boolean' };
+const ratio = { type: 'number', minimum: 0, maximum: 1 };
+const count = { type: 'number', integer: true, minimum: 1 };
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    server: {
+      type: 'object',
+      properties: {
+        port: { type: 'number', integer: true, minimum: 0, maximum: 65535 },
+        host: string,
+        watchConfig: boolean
+      }
+    },
+    api: {
+      type: 'object',
+      properties: {
+        validateResponses: { type: 'string', enum: ['off', 'warn', 'strict'] }
+      }
+    },
+    security: {
+      type: 'object',
+      properties: {
+        apiKeys: {
+          type: 'object',
+          properties: {
+            file: string,
+            required: boolean,
+            anonymousScopes: { type: 'array', items: { type: 'string', enum: SCOPES } }
+          }
+        },
+        rateLimit: {
+          type: 'object',
+          properties: {
+            enabled: boolean,
+            burst: count,
+            perMinute: { type: 'number', minimum: 0.01 }
+          }
+        },
+        cors: {
+          type: 'object',
+          properties: { origins: { type: 'array', items: string } }
+        },
+        maxPlantBytes: { type: 'number', integer: true, minimum: 1024 },
+        maxBatchBytes: { type: 'number', integer: true, minimum: 1024 }
+      }
+    },
+    diagnosis: {
+      type: 'object',
+      properties: {
+        minConfidenceThreshold: ratio,
+        maxDiagnoses: count,
+        plantMatchWeight: ratio,
+        symptomMatchWeight: ratio,
+        fuzzyThreshold: ratio,
+        clarifyMargin: ratio,
+        plantAmbiguityMargin: ratio,
+        maxFollowUpQuestions: { type: 'number', integer: true, minimum: 0 }
+      }
+    },
+    logging: {
+      type: 'object',
+      properties: {
+        enabled: boolean,
+        directory: string,
+        filenameFormat: string,
+        maxFileSizeMB: { type: 'number', minimum: 0.001 },
+        retentionDays: count,
+        compressAfterDays: { type: 'number', integer: true, minimum: 0 },
+        mode: { type: 'string', enum: ['full', 'derived'] },
+        redact: {
+          type: 'object',
+          properties: { emails: boolean, phones: boolean, urls: boolean, numbers: boolean }
+        }
+      }
+    },
+    feedback: {
+      type: 'object',
+      properties: {
+        file: string,
+        weightsFile: string,
+        learning: {
+          type: 'object',
+          properties: {
+            learningRate: { type: 'number', minimum: 0 },
+            minSamples: count,
+            minWeight: { type: 'number', minimum: 0 },
+            maxWeight: { type: 'number', minimum: 0 }
+          }
+        }
+      }
+    },
+    garden: {
+      type: 'object',
+      properties: { file: string, maxTimelineEntries: count }
+    },
+    batch: {
+      type: 'object',
+      properties: { maxRecords: count }
+    },
+    care: {
+      type: 'object',
+      properties: {
+        horizonDays: { type: 'number', integer: true, minimum: 1, maximum: 365 },
+        hemisphere: { type: 'string', enum: ['north', 'south'] },
+        defaults: CARE_SCHEMA
+      }
+    },
+    environment: {
+      type: 'object',
+      properties: {
+        raise: { type: 'number', minimum: 1 },
+        lower: ratio,
+        defaults: ENVIRONMENT_SCHEMA
+      }
+    },
+    evaluation: {
+      type: 'object',
+      properties: {
+        corpus: string,
+        thresholds: {
+          type: 'object',
+          properties: { plantAccuracy: ratio, top1Accuracy: ratio, top3Accuracy: ratio }
+        }
+      }
+    },
+    ui: {
+      type: 'object',
+      properties: {
+        tone: string,
+        maxInputLength: count
+      }
+    }
+  }
+};
+
+function configError(code, message, details) {
+  const error = new Error(message);
+  error.code = code;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Objects merge key by key; arrays and scalars from the later layer win
+function mergeConfig(base, layer) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(layer)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeConfig(base[key], value) : value;
+  }
+  return merged;
+}
+
+// ['diagnosis', 'maxDiagnoses'] for every leaf (scalar or array) of an object
+function leafPaths(object, prefix = []) {
+  return Object.entries(object).flatMap(([key, value]) => (
+    isPlainObject(value) ? leafPaths(value, [...prefix, key]) : [[...prefix, key]]
+  ));
+}
+
+function setPath(object, keys, value) {
+  let target = object;
+  for (const key of keys.slice(0, -1)) {
+    if (!isPlainObject(target[key])) {
+      target[key] = {};
+    }
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+}
+
+function getPath(object, keys) {
+  return keys.reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), object);
+}
+
+// diagnosis.maxDiagnoses -> PLANT_HELPER_DIAGNOSIS_MAX_DIAGNOSES
+function envName(keys) {
+  return ENV_PREFIX + keys.map(key => key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()).join('_');
+}
+
+// Coerce an env string to the type of the default it replaces; anything that
+// does not coerce is kept as a string so validation reports it
+function coerceEnvValue(raw, defaultValue) {
+  if (typeof defaultValue === 'number') {
+    const number = Number(raw);
+    return raw.trim() !== '' && Number.isFinite(number) ? number : raw;
+  }
+  if (typeof defaultValue === 'boolean') {
+    if (['true', '1', 'yes'].includes(raw.toLowerCase())) return true;
+    if (['false', '0', 'no'].includes(raw.toLowerCase())) return false;
+    return raw;
+  }
+  if (Array.isArray(defaultValue)) {
+    return raw.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  return raw;
+}
+
+function envLayer(env) {
+  const layer = {};
+  const sources = {};
+  for (const keys of leafPaths(DEFAULT_CONFIG)) {
+    const name = envName(keys);
+    if (env[name] === undefined) continue;
+    setPath(layer, keys, coerceEnvValue(env[name], getPath(DEFAULT_CONFIG, keys)));
+    sources[keys.join('.')] = `environment variable ${name}`;
+  }
+  return { layer, sources };
+}
+
+// "diagnosis.maxDiagnoses=5" style overrides; values are parsed as JSON when possible
+function parseOverrides(specs) {
+  const overrides = {};
+  for (const spec of [].concat(specs || [])) {
+    const separator = spec.indexOf('=');
+    const key = separator === -1 ? '' : spec.slice(0, separator).trim();
+    if (!key) {
+      throw configError('invalid_config', `Invalid config override "${spec}", expected key.path=value`);
+    }
+    const raw = spec.slice(separator + 1).trim();
+    let value;
+    try {
+      value = JSON.parse(raw);
+    } catch (error) {
+      value = raw;
+    }
+    overrides[key] = value;
+  }
+  return overrides;
+}
+
+// Pulls --config <path> and --set key=value (repeatable) out of argv
+function parseConfigArgs(argv) {
+  const args = [];
+  const sets = [];
+  let configPath;
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--config' || argv[i] === '--set') {
+      if (argv[i + 1] === undefined) {
+        throw configError('invalid_config', `${argv[i]} requires a value`);
+      }
+      if (argv[i] === '--config') {
+        configPath = argv[i + 1];
+      } else {
+        sets.push(argv[i + 1]);
+      }
+      i++;
+    } else {
+      args.push(argv[i]);
+    }
+  }
+
+  return { configPath, overrides: parseOverrides(sets), args };
+}
+
+function resolveConfigPath(configPath, env = process.env) {
+  const explicit = configPath || env[CONFIG_PATH_ENV];
+  return {
+    path: explicit ? path.resolve(explicit) : DEFAULT_CONFIG_PATH,
+    explicit: Boolean(explicit)
+  };
+}
+
+function readConfigFile(filePath, explicit) {
+  if (!fs.existsSync(filePath)) {
+    if (explicit) {
+      throw configError('config_not_found', `Config file not found: ${filePath}`);
+    }
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!isPlainObject(data)) {
+      throw new Error('top level must be a JSON object');
+    }
+    return data;
+  } catch (error) {
+    throw configError('invalid_config', `Invalid config file ${filePath}: ${error.message}`);
+  }
+}
+
+// The layer that set the value at dotted path, or its closest ancestor
+function sourceOf(sources, dottedPath) {
+  const keys = dottedPath.split(/[.[]/);
+  for (let length = keys.length; length > 0; length--) {
+    const source = sources[keys.slice(0, length).join('.')];
+    if (source) return source;
+  }
+  return 'defaults';
+}
+
+function validateConfig(config, sources = {}) {
+  const errors = validateValue(config, CONFIG_SCHEMA)
+    .map(error => ({ ...error, source: sourceOf(sources, error.path) }));
+
+  const { learning } = config.feedback || {};
+  if (learning && learning.minWeight > learning.maxWeight) {
+    errors.push({ path: 'feedback.learning.minWeight', message: 'must not exceed feedback.learning.maxWeight', source: sourceOf(sources, 'feedback.learning.minWeight') });
+  }
+
+  return errors;
+}
+
+// Layers, later wins: defaults -> config file -> PLANT_HELPER_* env -> overrides.
+// options: { configPath, env, overrides: { 'dotted.path': value } }
+// Returns { config, path, fileLoaded, sources }; throws invalid_config with
+// details.errors listing every bad value and where it came from.
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const resolved = resolveConfigPath(options.configPath, env);
+  const fileData = readConfigFile(resolved.path, resolved.explicit);
+  const sources = {};
+
+  let config = DEFAULT_CONFIG;
+  if (fileData) {
+    config = mergeConfig(config, fileData);
+    for (const keys of leafPaths(fileData)) {
+      sources[keys.join('.')] = resolved.path;
+    }
+  }
+
+  const fromEnv = envLayer(env);
+  config = mergeConfig(config, fromEnv.layer);
+  Object.assign(sources, fromEnv.sources);
+
+  config = JSON.parse(JSON.stringify(config));
+  for (const [key, value] of Object.entries(options.overrides || {})) {
+    setPath(config, key.split('.'), value);
+    sources[key] = `override ${key}`;
+  }
+
+  const errors = validateConfig(config, sources);
+  if (errors.length > 0) {
+    const lines = errors.map(error => `  - ${error.path} ${error.message} (from ${error.source})`).join('\n');
+    throw configError('invalid_config', `Invalid configuration: ${errors.length} error(s)\n${lines}`, { errors });
+  }
+
+  return { config, path: resolved.path, fileLoaded: Boolean(fileData), sources };
+}
+
+// Calls onChange when the file's modification time changes. Polling rather
+// than fs.watch so editors that replace the file on save are still noticed.
+// Returns a function that stops watching.
+function watchConfig(filePath, onChange, interval = 1000) {
+  const listener = (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs) {
+      onChange();
+    }
+  };
+  fs.watchFile(filePath, { interval, persistent: false }, listener);
+  return () => fs.unwatchFile(filePath, listener);
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  DEFAULT_CONFIG_PATH,
+  CONFIG_PATH_ENV,
+  CONFIG_SCHEMA,
+  envName,
+  loadConfig,
+  mergeConfig,
+  parseConfigArgs,
+  parseOverrides,
+  resolveConfigPath,
+  validateConfig,
+  watchConfig
+};
@@ -0,0 +1,84 @@
+// Minimal RFC 4180 style CSV reader and writer (quoted fields, escaped quotes, CRLF)
+
+function parseCsvRows(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim().length > 0));
+}
+
+// Parse CSV with a header row into objects keyed by lower-cased column names
+function parseCsv(content) {
+  const [header, ...rows] = parseCsvRows(content);
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim().toLowerCase());
+  return rows.map(cells => {
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = (cells[index] || '').trim();
+    });
+    return record;
+  });
+}
+
+// Quote fields containing separators, quotes, line breaks or edge whitespace
+function formatCsvValue(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsvRow(cells) {
+  return cells.map(formatCsvValue).join(',') + '\r\n';
+}
+
+// Write objects as CSV with a header row; columns default to the first record's keys
+function formatCsv(records, columns = Object.keys(records[0] || {})) {
+  return formatCsvRow(columns) + records.map(record => formatCsvRow(columns.map(column => record[column]))).join('');
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvRows,
+  formatCsv,
+  formatCsvRow
+};
@@ -1,46 +1,136 @@
 const fs = require('fs');
 const path = require('path');
 const Fuse = require('fuse.js');
+const { validatePlantIn, validatePlantData, formatValidationError, readPlantFile } = require('./plant-schema');
+const { analyzeText, matchTerm, hasNegationCue, semanticGroups } = require('./text-analysis');
+const { PlantIndex, findPhrase, nameTokens } = require('./plant-index');
+const { Taxonomy } = require('./taxonomy');
+const { parseEnvironment, idealRanges, causePrior, describeAdjustment } = require('./environment');
+const { resolveTone, renderTemplate } = require('./tone');
+const { loadConfig } = require('./config');
+
+const DEFAULT_PLANT_DATA_PATH = path.join(__dirname, '../data/plants.json');
+const DEFAULT_KEYWORD_WEIGHTS_PATH = './data/keyword-weights.json';
+
+// Lowest confidence reported for a cause with any matching evidence
+const CONFIDENCE_FLOOR = 0.3;
+
+// Plant candidates reported with each detection
+const MAX_PLANT_CANDIDATES = 5;
+
+// Question wording for keywords that read badly as "Are you seeing ...?"
+const FOLLOW_UP_TEMPLATES = {
+  'wet': 'Is the soil wet or soggy to the touch?',
+  'wet soil': 'Is the soil wet or soggy to the touch?',
+  'soggy': 'Is the soil wet or soggy to the touch?',
+  'dry': 'Is the soil dry an inch or two below the surface?',
+  'mushy': 'Are the leaves or stems soft and mushy?',
+  'root rot': 'Are the roots brown, soft or smelly?',
+  'crispy': 'Do the leaves feel dry and crispy?',
+  'webs': 'Are there fine webs under the leaves or between stems?',
+  'bugs': 'Can you see any bugs on the leaves or soil?',
+  'holes': 'Are there holes chewed into the leaves?',
+  'sticky': 'Do the leaves feel sticky?',
+  'pale': 'Are the leaves paler than usual?',
+  'stretching': 'Is the plant stretching toward the light?',
+  'leggy': 'Are the stems long with big gaps between leaves?',
+  'cold': 'Has the plant been near a cold window, door or draft?',
+  'draft': 'Has the plant been near a cold window, door or draft?',
+  'dry air': 'Is the air dry, e.g. near a heater or air conditioner?',
+  'slow growth': 'Has new growth slowed down or stopped?',
+  'falling over': 'Is the plant falling over or leaning heavily?'
+};
+
+// Errors from plant CRUD carry a machine-readable code for the API layer
+function plantError(code, message, details) {
+  const error = new Error(message);
+  error.code = code;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
 
 class PlantDiagnosisEngine {
-  constructor(configPath = './config.json') {
-    this.config = this.loadConfig(configPath);
+  // config: a config object from src/config.js, or a config file path that is
+  // loaded through the same layers (defaults, file, PLANT_HELPER_* env)
+  constructor(config, dataPath = DEFAULT_PLANT_DATA_PATH) {
+    this.config = config && typeof config === 'object' ? config : this.loadConfig(config);
+    this.dataPath = dataPath;
     this.plants = this.loadPlantData();
-    this.fuse = this.initializeFuzzySearch();
+    this.rebuildIndexes();
+    this.keywordWeights = this.loadKeywordWeights();
   }
 
   loadConfig(configPath) {
+    return loadConfig({ configPath }).config;
+  }
+
+  // Swap in a new configuration without reloading plant data: rebuilds the
+  // fuzzy index (fuzzyThreshold) and re-reads keyword weights (weightsFile)
+  applyConfig(config) {
+    this.config = config;
+    this.fuse = this.initializeFuzzySearch();
+    this.fuzzyCache = null;
+    this.keywordWeights = this.loadKeywordWeights();
+    this.analysisCache = null;
+  }
+
+  loadPlantData() {
+    let plants;
     try {
-      const configData = fs.readFileSync(configPath, 'utf8');
-      return JSON.parse(configData);
+      plants = readPlantFile(this.dataPath);
     } catch (error) {
-      console.warn(`Warning: Could not load config from ${configPath}, using defaults`);
-      return {
-        diagnosis: {
-          minConfidenceThreshold: 0.3,
-          maxDiagnoses: 3,
-          plantMatchWeight: 0.4,
-          symptomMatchWeight: 0.6,
-          fuzzyThreshold: 0.6
-        },
-        ui: {
-          tone: 'friendly-sassy',
-          maxInputLength: 500
-        }
-      };
+      throw new Error(`Failed to load plant data: ${error.message}`);
+    }
+
+    const errors = validatePlantData(plants, this.dataPath);
+    if (errors.length > 0) {
+      const details = errors.map(error => `  - ${formatValidationError(error)}`).join('\n');
+      const loadError = new Error(`Failed to load plant data: ${errors.length} validation error(s)\n${details}`);
+      loadError.validationErrors = errors;
+      throw loadError;
     }
+
+    return plants;
   }
 
-  loadPlantData() {
+  keywordWeightsPath() {
+    const weightsFile = (this.config.feedback && this.config.feedback.weightsFile) || DEFAULT_KEYWORD_WEIGHTS_PATH;
+    return path.isAbsolute(weightsFile) ? weightsFile : path.join(process.cwd(), weightsFile);
+  }
+
+  // Per-cause keyword multipliers learned from user feedback (src/learn-weights.js).
+  // Missing file means no adjustments.
+  loadKeywordWeights() {
+    const weightsPath = this.keywordWeightsPath();
+
     try {
-      const dataPath = path.join(__dirname, '../data/plants.json');
-      const plantData = fs.readFileSync(dataPath, 'utf8');
-      return JSON.parse(plantData);
+      if (!fs.existsSync(weightsPath)) {
+        return {};
+      }
+      const data = JSON.parse(fs.readFileSync(weightsPath, 'utf8'));
+      return data && typeof data.causes === 'object' && data.causes !== null ? data.causes : {};
     } catch (error) {
-      throw new Error(`Failed to load plant data: ${error.message}`);
+      console.warn(`Warning: Could not load keyword weights from ${weightsPath}, ignoring them: ${error.message}`);
+      return {};
     }
   }
 
+  getKeywordWeight(causeId, keyword) {
+    const causeWeights = this.keywordWeights[causeId];
+    const weight = causeWeights && causeWeights[keyword.toLowerCase()];
+    return typeof weight === 'number' ? weight : 1;
+  }
+
+  // Call after changing this.plants in place (bulk imports do)
+  rebuildIndexes() {
+    this.taxonomy = new Taxonomy(this.plants);
+    this.index = new PlantIndex(this.plants);
+    this.fuse = this.initializeFuzzySearch();
+    this.fuzzyCache = null;
+  }
+
   initializeFuzzySearch() {
     const searchOptions = {
       keys: ['name', 'aliases'],
@@ -51,95 +141,204 @@ class PlantDiagnosisEngine {
     return new Fuse(this.plants, searchOptions);
   }
 
-  detectPlant(inputText) {
-    const text = inputText.toLowerCase();
-    const words = text.split(/\s+/);
-    
-    // First try exact plant name matching (prioritize plant names over symptoms)
-    for (const plant of this.plants) {
-      const plantName = plant.name.toLowerCase();
-      const plantWords = plantName.split(/\s+/);
-      
-      // Check if plant name appears as complete words in the input
-      const plantNameMatch = plantWords.every(plantWord => 
-        words.some(word => word === plantWord || word.includes(plantWord))
-      );
-      
-      if (plantNameMatch && plantWords.length > 0) {
-        return {
-          plant: plant,
-          score: 1.0,
-          method: 'plant_name_match'
-        };
+  // Plants named in the text as whole words, best first. Each plant counts
+  // once, by its name or else its longest alias; a mention inside a longer
+  // mention of another plant ("birch" in "paper birch") is dropped.
+  findPlantMentions(inputText) {
+    const tokens = nameTokens(inputText);
+    const mentions = new Map();
+    const consider = (plant, method, score, matched, phrase) => {
+      const start = findPhrase(tokens, phrase);
+      const current = mentions.get(plant);
+      if (start !== -1 && (!current || (current.method === method && phrase.length > current.end - current.start))) {
+        mentions.set(plant, { plant, method, score, matched, start, end: start + phrase.length });
       }
+    };
+
+    for (const plant of this.index.nameCandidates(tokens)) {
+      consider(plant, 'plant_name_match', 1.0, plant.name, this.index.termsOf(plant).name);
     }
-    
-    // Then try alias matching with word boundaries
-    for (const plant of this.plants) {
-      for (const alias of plant.aliases) {
-        const aliasLower = alias.toLowerCase();
-        if (aliasLower.length > 2 && text.includes(aliasLower)) {
-          const aliasWords = aliasLower.split(/\s+/);
-          
-          // Check if alias appears as complete words
-          const aliasMatch = aliasWords.every(aliasWord => 
-            words.some(word => word === aliasWord || word.includes(aliasWord))
-          );
-          
-          if (aliasMatch) {
-            return {
-              plant: plant,
-              score: 0.9,
-              method: 'alias_match'
-            };
-          }
-        }
+    for (const plant of this.index.aliasCandidates(tokens)) {
+      if (!mentions.has(plant)) {
+        this.index.termsOf(plant).aliases.forEach(({ alias, tokens: phrase }) => consider(plant, 'alias_match', 0.9, alias, phrase));
       }
     }
 
-    // Fall back to fuzzy matching
-    const fuzzyResults = this.fuse.search(inputText);
-    if (fuzzyResults.length > 0 && fuzzyResults[0].score < this.config.diagnosis.fuzzyThreshold) {
+    const found = [...mentions.values()];
+    const length = mention => mention.end - mention.start;
+    return found
+      .filter(mention => !found.some(other => other !== mention && length(other) > length(mention) &&
+        other.start <= mention.start && other.end >= mention.end))
+      .sort((a, b) => b.score - a.score || length(b) - length(a));
+  }
+
+  // Fuzzy matches under fuzzyThreshold, best first
+  findFuzzyMatches(inputText) {
+    return this.fuzzySearch(inputText)
+      .filter(result => result.score < this.config.diagnosis.fuzzyThreshold)
+      .map(result => ({ plant: result.item, method: 'fuzzy_match', score: 1 - result.score }));
+  }
+
+  // Whole-word name and alias mentions, else fuzzy matches, else the generic
+  // plant, resolved to its effective profile (src/taxonomy.js). status is 'ambiguous' when the runner-up scores less
+  // than plantAmbiguityMargin below the best candidate, so with the default 0.1 a name still beats an alias (0.9).
+  detectPlant(inputText) {
+    const mentions = this.findPlantMentions(inputText);
+    const ranked = mentions.length > 0 ? mentions : this.findFuzzyMatches(inputText);
+    const candidates = ranked.slice(0, MAX_PLANT_CANDIDATES).map(candidate => ({
+      plantId: candidate.plant.id,
+      name: candidate.plant.name,
+      method: candidate.method,
+      score: candidate.score,
+      ...(candidate.matched ? { matched: candidate.matched } : {})
+    }));
+
+    if (ranked.length === 0) {
       return {
-        plant: fuzzyResults[0].item,
-        score: 1 - fuzzyResults[0].score, // Convert Fuse score to confidence
-        method: 'fuzzy_match'
+        plant: this.getEffectivePlant('generic'),
+        score: 0.1, // Low confidence for generic
+        method: 'generic_fallback',
+        status: 'unmatched',
+        candidates
       };
     }
 
-    // Return generic plant if no match found
-    const genericPlant = this.plants.find(p => p.id === 'generic');
+    const [top, second] = ranked;
+    const margin = this.config.diagnosis.plantAmbiguityMargin ?? 0.1;
+    // Rounded so 1 - 0.9 counts as the full 0.1
+    const gap = second ? Math.round((top.score - second.score) * 1000) / 1000 : Infinity;
     return {
-      plant: genericPlant,
-      score: 0.1, // Low confidence for generic
-      method: 'generic_fallback'
+      plant: this.taxonomy.effective(top.plant),
+      score: top.score,
+      method: top.method,
+      status: gap < margin ? 'ambiguous' : 'matched',
+      candidates
     };
   }
 
-  extractSymptoms(inputText, plant) {
-    const text = inputText.toLowerCase();
-    const plantSymptoms = plant.symptoms || [];
-    const genericSymptoms = this.plants.find(p => p.id === 'generic').symptoms;
+  // Ranked plants for a search query: name matches, then aliases, then fuzzy matches
+  searchPlants(query, limit = 10) {
+    const results = new Map();
+    for (const match of [...this.findPlantMentions(query), ...this.findFuzzyMatches(query)]) {
+      if (!results.has(match.plant.id)) {
+        results.set(match.plant.id, { id: match.plant.id, name: match.plant.name, score: match.score, method: match.method });
+      }
+    }
+
+    return [...results.values()].sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  // Every plant each detection stage would accept, in the order detectPlant ranks them
+  explainPlantDetection(inputText, detection) {
+    const candidates = this.findPlantMentions(inputText).map(mention => ({
+      plantId: mention.plant.id,
+      method: mention.method,
+      score: mention.score,
+      matched: mention.matched
+    }));
+    for (const fuzzyResult of this.fuzzySearch(inputText).slice(0, 5)) {
+      candidates.push({
+        plantId: fuzzyResult.item.id,
+        method: 'fuzzy_match',
+        score: 1 - fuzzyResult.score,
+        fuseScore: fuzzyResult.score,
+        accepted: fuzzyResult.score < this.config.diagnosis.fuzzyThreshold
+      });
+    }
+    candidates.push({ plantId: 'generic', method: 'generic_fallback', score: 0.1 });
+
+    const selected = candidates.find(c => c.plantId === detection.plant.id && c.method === detection.method);
+    if (selected) {
+      selected.selected = true;
+    } else {
+      candidates.unshift({ plantId: detection.plant.id, method: detection.method, score: detection.score, selected: true });
+    }
+
+    return candidates;
+  }
+
+  // Fuzzy search scans every plant, so detection and explanation share results per text
+  fuzzySearch(inputText) {
+    if (!this.fuzzyCache) {
+      this.fuzzyCache = new Map();
+    }
+
+    let results = this.fuzzyCache.get(inputText);
+    if (!results) {
+      results = this.fuse.search(inputText);
+      this.fuzzyCache.set(inputText, results);
+      if (this.fuzzyCache.size > 16) {
+        this.fuzzyCache.delete(this.fuzzyCache.keys().next().value);
+      }
+    }
+    return results;
+  }
+
+  // Cached per input text; several matching stages analyze the same description
+  analyzeInput(inputText) {
+    if (!this.analysisCache) {
+      this.analysisCache = new Map();
+    }
+
+    let analysis = this.analysisCache.get(inputText);
+    if (!analysis) {
+      analysis = analyzeText(inputText);
+      this.analysisCache.set(inputText, analysis);
+      if (this.analysisCache.size > 16) {
+        this.analysisCache.delete(this.analysisCache.keys().next().value);
+      }
+    }
+    return analysis;
+  }
+
+  // Intensity of the first symptom word that appears un-negated in the input
+  partialMatchIntensity(analysis, words) {
+    for (const word of words) {
+      if (word.length > 2 && !hasNegationCue(word)) {
+        const match = matchTerm(analysis, word);
+        if (match.found) return match.intensity;
+      }
+    }
+    return 1;
+  }
+
+  extractSymptoms(inputText, knownPlant) {
+    const plant = this.taxonomy.effective(knownPlant);
+    const analysis = this.analyzeInput(inputText);
+    // Negated spans are blanked out, so "not yellow" never matches "yellow"
+    const text = analysis.affirmedText;
+    const inputWords = text.split(/\s+/).filter(Boolean);
+    const inputGroups = semanticGroups(text);
+    const plantSymptoms = this.index.symptomsOf(plant);
+    const plantSpecific = new Set(plantSymptoms.map(entry => entry.symptom));
     
     const matchedSymptoms = [];
+    const negatedSymptoms = [];
     
     // Neural network-style symptom detection with fuzzy matching
-    const allSymptoms = [...plantSymptoms, ...genericSymptoms];
+    const allSymptoms = [...plantSymptoms, ...this.index.symptomsOf(this.getEffectivePlant('generic'))];
     
-    for (const symptom of allSymptoms) {
-      const symptomLower = symptom.toLowerCase();
+    for (const { symptom, lower: symptomLower, words: symptomWords, groups } of allSymptoms) {
+      const source = plantSpecific.has(symptom) ? 'plant_specific' : 'generic';
+      const exactMatch = matchTerm(analysis, symptomLower);
       let matchScore = 0;
       let matchType = '';
+      let intensity = 1;
       
       // Direct exact match
-      if (text.includes(symptomLower)) {
+      if (exactMatch.found) {
         matchScore = 1.0;
         matchType = 'exact';
+        intensity = exactMatch.intensity;
+      }
+      // Mentioned only inside a negation ("leaves are not yellow")
+      else if (exactMatch.negated) {
+        negatedSymptoms.push({ symptom, source, weight: 0, matchType: 'negated', negated: true });
+        continue;
       }
       // Partial word matching
       else {
-        const symptomWords = symptomLower.split(' ');
-        const inputWords = text.split(' ');
+        intensity = this.partialMatchIntensity(analysis, symptomWords);
         
         // Check for word-level matches
         for (const symptomWord of symptomWords) {
@@ -162,7 +361,7 @@ class PlantDiagnosisEngine {
         }
         
         // Check for semantic similarity (common plant problem words)
-        const semanticMatches = this.getSemanticMatches(symptomLower, text);
+        const semanticMatches = groups.filter(group => inputGroups.includes(group)).length;
         matchScore += semanticMatches * 0.4;
         if (semanticMatches > 0) {
           matchType = 'semantic';
@@ -172,9 +371,10 @@ class PlantDiagnosisEngine {
       if (matchScore > 0.2) {
         matchedSymptoms.push({
           symptom: symptom,
-          source: plantSymptoms.includes(symptom) ? 'plant_specific' : 'generic',
-          weight: Math.min(matchScore, 1.0),
-          matchType: matchType
+          source: source,
+          weight: Math.min(matchScore, 1.0) * intensity,
+          matchType: matchType,
+          intensity: intensity
         });
       }
     }
@@ -191,36 +391,19 @@ class PlantDiagnosisEngine {
           uniqueSymptoms.push(symptom);
         }
       });
+
+    // Negated symptoms are kept (with zero weight) so callers can see what was ruled out
+    const uniqueNegated = negatedSymptoms.filter(symptom => {
+      if (seenSymptoms.has(symptom.symptom)) return false;
+      seenSymptoms.add(symptom.symptom);
+      return true;
+    });
     
-    return uniqueSymptoms.slice(0, 10); // Limit to top 10 matches
-  }
-
-  getSemanticMatches(symptom, inputText) {
-    const semanticGroups = {
-      'color_problems': ['yellow', 'brown', 'black', 'white', 'pale', 'faded', 'discolored'],
-      'texture_problems': ['crispy', 'mushy', 'soft', 'hard', 'rough', 'smooth', 'sticky'],
-      'shape_problems': ['drooping', 'wilting', 'curled', 'twisted', 'deformed', 'stunted'],
-      'growth_problems': ['not growing', 'slow growth', 'small', 'tiny', 'weak', 'thin'],
-      'water_problems': ['dry', 'wet', 'soggy', 'thirsty', 'parched', 'waterlogged'],
-      'light_problems': ['pale', 'stretching', 'leggy', 'spindly', 'weak', 'thin'],
-      'pest_problems': ['holes', 'spots', 'bugs', 'webs', 'sticky', 'powdery']
-    };
-    
-    let matches = 0;
-    
-    for (const [group, keywords] of Object.entries(semanticGroups)) {
-      const symptomInGroup = keywords.some(keyword => symptom.includes(keyword));
-      const inputInGroup = keywords.some(keyword => inputText.includes(keyword));
-      
-      if (symptomInGroup && inputInGroup) {
-        matches += 1;
-      }
-    }
-    
-    return matches;
+    return [...uniqueSymptoms.slice(0, 10), ...uniqueNegated]; // Limit to top 10 matches
   }
 
-  calculateSymptomScore(symptoms) {
+  calculateSymptomScore(allSymptoms) {
+    const symptoms = allSymptoms.filter(s => !s.negated);
     if (symptoms.length === 0) return 0;
     
     const totalWeight = symptoms.reduce((sum, s) => sum + s.weight, 0);
@@ -229,84 +412,114 @@ class PlantDiagnosisEngine {
     return Math.min(totalWeight / maxPossibleWeight, 1.0);
   }
 
-  generateDiagnoses(plant, symptoms, inputText) {
+  // environmentText feeds cause keyword matching, never symptom detection,
+  // and sets environment priors (options.environment if already parsed)
+  // options.explain attaches a `scoring` breakdown to every diagnosis
+  generateDiagnoses(knownPlant, symptoms, inputText, environmentText = '', options = {}) {
+    const { tone = this.getTone(), explain = false } = options;
+    const plant = this.taxonomy.effective(knownPlant);
+    const environment = options.environment !== undefined ? options.environment : this.parseEnvironment(environmentText);
+    const environmentConfig = this.config.environment || {};
+    const ranges = environment ? idealRanges(plant, environmentConfig.defaults) : {};
     const diagnoses = [];
-    const inputLower = inputText.toLowerCase();
+    const descriptionLower = inputText.toLowerCase();
+    const descriptionAnalysis = this.analyzeInput(descriptionLower);
+    const environmentAnalysis = environmentText ? this.analyzeInput(environmentText.toLowerCase()) : null;
+    const matchKeyword = keyword => {
+      const match = matchTerm(descriptionAnalysis, keyword);
+      return match.found || !environmentAnalysis ? match : matchTerm(environmentAnalysis, keyword);
+    };
     
     // Enhanced symptom detection - look for more patterns
-    const enhancedSymptoms = this.enhancedSymptomDetection(inputLower, plant);
+    const enhancedSymptoms = this.enhancedSymptomDetection(descriptionLower, plant);
+    const affirmedSymptoms = symptoms.filter(s => !s.negated);
     
     // If no symptoms detected, provide generic guidance
-    if (symptoms.length === 0 && enhancedSymptoms.length === 0) {
+    if (affirmedSymptoms.length === 0 && enhancedSymptoms.length === 0) {
       return [{
         cause: {
           id: 'no_symptoms',
           label: 'Unclear Symptoms'
         },
         confidence: 0.2,
-        why: "I couldn't detect specific symptoms in your description. Try mentioning specific issues like 'yellow leaves', 'drooping', or 'brown spots'.",
-        actions: [
-          "Provide more specific details about what you're seeing",
-          "Mention the plant name if you know it",
-          "Describe the symptoms more clearly",
-          "Include information about watering, light, and recent changes"
-        ],
-        eco_tip: "When in doubt, less water is usually better than more water for most plants!"
+        why: renderTemplate(tone, 'noSymptoms.why'),
+        actions: renderTemplate(tone, 'noSymptoms.actions'),
+        eco_tip: renderTemplate(tone, 'noSymptoms.ecoTip'),
+        ...(explain ? { scoring: { fixedConfidence: 0.2, reason: 'no symptoms detected' } } : {})
       }];
     }
 
-    // Generate diagnoses based on causes with enhanced matching
-    for (const cause of plant.causes) {
+    // Generate diagnoses based on causes with enhanced matching; the generic
+    // plant considers every cause, other plants only those with a keyword word in the input
+    const causes = plant.id === 'generic' ? plant.causes
+      : this.index.causeCandidates(plant, [descriptionAnalysis.text, environmentAnalysis && environmentAnalysis.text]);
+    for (const cause of causes) {
       const causeKeywords = cause.keywords || [];
-      const matchedKeywords = causeKeywords.filter(keyword => 
-        inputLower.includes(keyword.toLowerCase())
-      );
+      const keywordMatches = causeKeywords.map(keyword => ({ keyword, ...matchKeyword(keyword.toLowerCase()) }));
+      const matchedKeywords = keywordMatches.filter(m => m.found).map(m => m.keyword);
       
-      // Enhanced keyword matching with partial matches
-      const partialMatches = causeKeywords.filter(keyword => {
+      // Enhanced keyword matching with partial matches (negation cue words never count on their own)
+      const partialMatches = keywordMatches.filter(m => !m.negated).map(m => m.keyword).filter(keyword => {
         const keywordLower = keyword.toLowerCase();
         return keywordLower.split(' ').some(word => 
-          word.length > 2 && inputLower.includes(word)
+          word.length > 2 && !hasNegationCue(word) && matchKeyword(word).found
         );
       });
       
       const allMatches = [...new Set([...matchedKeywords, ...partialMatches])];
+      const exactIntensities = keywordMatches.filter(m => m.found).map(m => m.intensity);
+      const keywordIntensity = exactIntensities.length > 0
+        ? exactIntensities.reduce((sum, value) => sum + value, 0) / exactIntensities.length
+        : 1;
+      const keywordWeight = allMatches.length > 0
+        ? allMatches.reduce((sum, keyword) => sum + this.getKeywordWeight(cause.id, keyword), 0) / allMatches.length
+        : 1;
       
       if (allMatches.length > 0 || plant.id === 'generic') {
-        const confidence = this.calculateEnhancedConfidence(allMatches, causeKeywords.length, symptoms, enhancedSymptoms);
+        const breakdown = this.calculateConfidenceBreakdown(allMatches, causeKeywords.length, symptoms, enhancedSymptoms, keywordIntensity, keywordWeight);
+        const prior = environment ? causePrior(cause.id, environment, ranges, environmentConfig) : null;
+        const confidence = prior ? Math.min(breakdown.confidence * prior.multiplier, 1.0) : breakdown.confidence;
         
         if (confidence >= this.config.diagnosis.minConfidenceThreshold) {
-          diagnoses.push({
+          const diagnosis = {
             cause: cause,
             confidence: confidence,
-            why: this.generateEnhancedWhyExplanation(allMatches, cause, inputText, enhancedSymptoms),
-            actions: plant.solutions[cause.id] || plant.solutions['watering_issues'] || [
-              "Check soil moisture with your finger",
-              "Ensure proper drainage",
-              "Adjust watering schedule",
-              "Monitor plant response"
-            ],
-            eco_tip: plant.eco_tip
-          });
+            why: this.generateEnhancedWhyExplanation(allMatches, cause, inputText, enhancedSymptoms, tone) +
+              (prior ? this.generateEnvironmentExplanation(prior.adjustments, cause, tone) : ''),
+            ...this.adviceFor(plant, cause.id, tone)
+          };
+
+          if (explain) {
+            diagnosis.scoring = {
+              matchedKeywords: matchedKeywords,
+              partialKeywords: partialMatches.filter(keyword => !matchedKeywords.includes(keyword)),
+              negatedKeywords: keywordMatches.filter(m => m.negated).map(m => m.keyword),
+              ...breakdown,
+              ...(prior ? { environmentPrior: prior, confidence: confidence } : {})
+            };
+          }
+
+          diagnoses.push(diagnosis);
         }
       }
     }
 
     // If still no diagnoses, provide a generic one based on common patterns
     if (diagnoses.length === 0) {
-      const genericCause = this.detectGenericCause(inputLower, plant);
+      const genericCause = this.detectGenericCause(descriptionLower, plant);
       if (genericCause) {
         diagnoses.push({
           cause: genericCause,
           confidence: 0.4,
-          why: this.generateGenericWhyExplanation(inputLower, genericCause),
-          actions: plant.solutions[genericCause.id] || plant.solutions['watering_issues'] || [
-            "Check soil moisture with your finger",
-            "Ensure proper drainage",
-            "Adjust watering schedule",
-            "Monitor plant response"
-          ],
-          eco_tip: plant.eco_tip
+          why: this.generateGenericWhyExplanation(descriptionLower, genericCause, tone),
+          ...this.adviceFor(plant, genericCause.id, tone),
+          ...(explain ? {
+            scoring: {
+              fixedConfidence: 0.4,
+              reason: 'no cause passed the threshold; matched a common symptom pattern',
+              matchedKeywords: genericCause.keywords.filter(keyword => matchTerm(descriptionAnalysis, keyword).found)
+            }
+          } : {})
         });
       }
     }
@@ -316,6 +529,22 @@ class PlantDiagnosisEngine {
     return diagnoses.slice(0, this.config.diagnosis.maxDiagnoses);
   }
 
+  // Actions and eco tip for a cause of an effective profile, and the plant
+  // each came from: origin.cause is null for causes not in the profile,
+  // origin.actions for the tone's fallback actions
+  adviceFor(plant, causeId, tone) {
+    const solutionId = [causeId, 'watering_issues'].find(id => plant.solutions[id]);
+    return {
+      actions: solutionId ? plant.solutions[solutionId] : renderTemplate(tone, 'fallback.actions'),
+      eco_tip: plant.eco_tip,
+      origin: {
+        cause: plant.origins.causes[causeId] || null,
+        actions: solutionId ? plant.origins.solutions[solutionId] : null,
+        eco_tip: plant.origins.eco_tip
+      }
+    };
+  }
+
   calculateCauseConfidence(matchedKeywords, totalKeywords, symptoms) {
     const keywordScore = matchedKeywords.length / Math.max(totalKeywords, 1);
     const symptomScore = this.calculateSymptomScore(symptoms);
@@ -327,45 +556,69 @@ class PlantDiagnosisEngine {
     );
   }
 
-  calculateEnhancedConfidence(matchedKeywords, totalKeywords, symptoms, enhancedSymptoms) {
-    const keywordScore = matchedKeywords.length / Math.max(totalKeywords, 1);
+  calculateEnhancedConfidence(matchedKeywords, totalKeywords, symptoms, enhancedSymptoms, keywordIntensity = 1, keywordWeight = 1) {
+    return this.calculateConfidenceBreakdown(matchedKeywords, totalKeywords, symptoms, enhancedSymptoms, keywordIntensity, keywordWeight).confidence;
+  }
+
+  // Each term of the confidence formula, with the config weights applied (used by explain mode).
+  // keywordWeight is the mean learned feedback weight of the matched keywords.
+  calculateConfidenceBreakdown(matchedKeywords, totalKeywords, symptoms, enhancedSymptoms, keywordIntensity = 1, keywordWeight = 1) {
+    const { plantMatchWeight, symptomMatchWeight } = this.config.diagnosis;
+    const keywordRatio = matchedKeywords.length / Math.max(totalKeywords, 1);
+    const keywordScore = Math.min(keywordRatio * keywordIntensity * keywordWeight, 1.0);
     const symptomScore = this.calculateSymptomScore(symptoms);
     const enhancedScore = this.calculateSymptomScore(enhancedSymptoms);
     
     // Combine all scores with weights
-    const combinedScore = Math.min(
-      this.config.diagnosis.plantMatchWeight * keywordScore + 
-      this.config.diagnosis.symptomMatchWeight * (symptomScore + enhancedScore) / 2,
-      1.0
-    );
+    const keywordTerm = plantMatchWeight * keywordScore;
+    const symptomTerm = symptomMatchWeight * (symptomScore + enhancedScore) / 2;
+    const combinedScore = Math.min(keywordTerm + symptomTerm, 1.0);
     
-    return Math.max(combinedScore, 0.3); // Minimum confidence for detected patterns
+    return {
+      formula: 'max(min(plantMatchWeight * keywordScore + symptomMatchWeight * (symptomScore + enhancedScore) / 2, 1), floor)',
+      matchedKeywordCount: matchedKeywords.length,
+      totalKeywords: totalKeywords,
+      keywordRatio: keywordRatio,
+      keywordIntensity: keywordIntensity,
+      keywordWeight: keywordWeight,
+      keywordScore: keywordScore,
+      symptomScore: symptomScore,
+      enhancedScore: enhancedScore,
+      weights: { plantMatchWeight, symptomMatchWeight },
+      keywordTerm: keywordTerm,
+      symptomTerm: symptomTerm,
+      combinedScore: combinedScore,
+      floor: CONFIDENCE_FLOOR,
+      floorApplied: combinedScore < CONFIDENCE_FLOOR,
+      confidence: Math.max(combinedScore, CONFIDENCE_FLOOR) // Minimum confidence for detected patterns
+    };
   }
 
-  enhancedSymptomDetection(inputText, plant) {
+  enhancedSymptomDetection(inputText, knownPlant) {
+    const plant = this.taxonomy.effective(knownPlant);
     const enhancedSymptoms = [];
-    const plantSymptoms = plant.symptoms || [];
+    const analysis = this.analyzeInput(inputText);
     
     // Look for symptom patterns in the input
-    for (const symptom of plantSymptoms) {
-      const symptomLower = symptom.toLowerCase();
+    for (const { symptom, lower: symptomLower, words: symptomWords } of this.index.symptomsOf(plant)) {
+      const directMatch = matchTerm(analysis, symptomLower);
       
       // Direct match
-      if (inputText.includes(symptomLower)) {
+      if (directMatch.found) {
         enhancedSymptoms.push({
           symptom: symptom,
           source: 'enhanced_direct',
-          weight: 1.0
+          weight: 1.0 * directMatch.intensity
         });
       }
       // Partial word match
-      else if (symptomLower.split(' ').some(word => 
-        word.length > 2 && inputText.includes(word)
+      else if (!directMatch.negated && symptomWords.some(word => 
+        word.length > 2 && !hasNegationCue(word) && matchTerm(analysis, word).found
       )) {
         enhancedSymptoms.push({
           symptom: symptom,
           source: 'enhanced_partial',
-          weight: 0.7
+          weight: 0.7 * this.partialMatchIntensity(analysis, symptomWords)
         });
       }
     }
@@ -374,6 +627,7 @@ class PlantDiagnosisEngine {
   }
 
   detectGenericCause(inputText, plant) {
+    const analysis = this.analyzeInput(inputText);
     // Common patterns that suggest specific causes
     const patterns = {
       'underwatering': ['dry', 'crispy', 'brown', 'wilting', 'drooping', 'thirsty'],
@@ -383,7 +637,7 @@ class PlantDiagnosisEngine {
     };
     
     for (const [causeId, keywords] of Object.entries(patterns)) {
-      const matches = keywords.filter(keyword => inputText.includes(keyword));
+      const matches = keywords.filter(keyword => matchTerm(analysis, keyword).found);
       if (matches.length > 0) {
         return {
           id: causeId,
@@ -406,99 +660,424 @@ class PlantDiagnosisEngine {
     return labels[causeId] || 'Plant Health Issue';
   }
 
-  generateEnhancedWhyExplanation(matchedKeywords, cause, inputText, enhancedSymptoms) {
+  // Tone for user-facing wording: per-request override, else config.ui.tone
+  getTone(requestedTone) {
+    return resolveTone(requestedTone, this.config);
+  }
+
+  // Sentences naming the environmental factors that moved a cause up or down
+  generateEnvironmentExplanation(adjustments, cause, tone = this.getTone()) {
+    return ['raise', 'lower']
+      .map(effect => adjustments.filter(adjustment => adjustment.effect === effect))
+      .filter(group => group.length > 0)
+      .map(group => {
+        const factors = group.map(describeAdjustment);
+        return ' ' + renderTemplate(tone, `why.environment.${group[0].effect}`, {
+          cause: cause.label.toLowerCase(),
+          factors: factors.length > 1 ? `${factors.slice(0, -1).join(', ')} and ${factors[factors.length - 1]}` : factors[0]
+        });
+      })
+      .join('');
+  }
+
+  generateEnhancedWhyExplanation(matchedKeywords, cause, inputText, enhancedSymptoms, tone = this.getTone()) {
+    const vars = {
+      cause: cause.label.toLowerCase(),
+      keywords: matchedKeywords.slice(0, 3).join("', '"),
+      symptoms: enhancedSymptoms.slice(0, 2).map(s => s.symptom).join("', '")
+    };
+
     if (matchedKeywords.length === 0 && enhancedSymptoms.length === 0) {
-      return `Based on general plant care patterns, this could be a ${cause.label.toLowerCase()} issue.`;
+      return renderTemplate(tone, 'why.generalPattern', vars);
     }
-    
-    const keywordList = matchedKeywords.slice(0, 3).join("', '");
-    const symptomList = enhancedSymptoms.slice(0, 2).map(s => s.symptom).join("', '");
-    
-    let explanation = `Detected keywords: '${keywordList}'`;
-    if (symptomList) {
-      explanation += ` and symptoms: '${symptomList}'`;
+    if (matchedKeywords.length === 0) {
+      return renderTemplate(tone, 'why.symptoms', vars);
     }
-    explanation += ` suggesting ${cause.label.toLowerCase()}.`;
-    
-    return explanation;
+    return renderTemplate(tone, vars.symptoms ? 'why.keywordsAndSymptoms' : 'why.keywords', vars);
   }
 
-  generateGenericWhyExplanation(inputText, cause) {
+  generateGenericWhyExplanation(inputText, cause, tone = this.getTone()) {
     const commonWords = ['yellow', 'brown', 'dry', 'wet', 'pale', 'small', 'weak'];
-    const foundWords = commonWords.filter(word => inputText.includes(word));
+    const analysis = this.analyzeInput(inputText);
+    const foundWords = commonWords.filter(word => matchTerm(analysis, word).found);
+    const vars = { cause: cause.label.toLowerCase(), words: foundWords.join("', '") };
     
     if (foundWords.length > 0) {
-      return `Detected common symptoms like '${foundWords.join("', '")}' suggesting ${cause.label.toLowerCase()}.`;
+      return renderTemplate(tone, 'why.commonSymptoms', vars);
     }
     
-    return `Based on the plant type and common issues, this appears to be a ${cause.label.toLowerCase()} problem.`;
+    return renderTemplate(tone, 'why.plantTypeFallback', vars);
   }
 
-  generateWhyExplanation(matchedKeywords, cause, inputText) {
-    if (matchedKeywords.length === 0) {
-      return `Based on general plant care patterns, this could be a ${cause.label.toLowerCase()} issue.`;
+  generateWhyExplanation(matchedKeywords, cause, inputText, tone = this.getTone()) {
+    return this.generateEnhancedWhyExplanation(matchedKeywords, cause, inputText, [], tone);
+  }
+
+  // Accepts plain text or structured fields: { text, plantName, plantId, symptoms, environment }
+  normalizeInput(input) {
+    const fields = input && typeof input === 'object' ? input : { text: input };
+    const clean = value => (typeof value === 'string' ? this.truncateInput(value.trim()) : '');
+
+    return {
+      text: clean(fields.text),
+      plantName: clean(fields.plantName),
+      plantId: typeof fields.plantId === 'string' ? fields.plantId.trim() : '',
+      symptoms: clean(fields.symptoms),
+      environment: clean(fields.environment)
+    };
+  }
+
+  truncateInput(text) {
+    return text.length > this.config.ui.maxInputLength
+      ? text.substring(0, this.config.ui.maxInputLength) + '...'
+      : text;
+  }
+
+  // An explicit plant id or name skips free-text detection so symptom words
+  // can never be mistaken for a plant name
+  resolvePlant(input, description) {
+    if (input.plantId) {
+      const plant = this.getPlant(input.plantId);
+      if (!plant) {
+        throw plantError('unknown_plant', `No plant with id "${input.plantId}"`);
+      }
+      return {
+        plant: this.taxonomy.effective(plant),
+        score: 1.0,
+        method: 'plant_id',
+        status: 'matched',
+        candidates: [{ plantId: plant.id, name: plant.name, method: 'plant_id', score: 1.0 }]
+      };
     }
-    
-    const keywordList = matchedKeywords.slice(0, 3).join("', '");
-    return `Detected keywords: '${keywordList}' suggesting ${cause.label.toLowerCase()}.`;
+
+    if (input.plantName) {
+      return this.detectPlant(input.plantName);
+    }
+
+    return this.detectPlant(description);
   }
 
-  diagnose(inputText) {
-    if (!inputText || inputText.trim().length === 0) {
+  // options.tone picks the wording profile for this request (see src/tone.js);
+  // options.explain adds the full scoring breakdown
+  diagnose(rawInput, options = {}) {
+    const input = this.normalizeInput(rawInput);
+    const description = [input.symptoms, input.text].filter(Boolean).join('. ');
+    const tone = this.getTone(options.tone);
+
+    if (description.length === 0) {
+      const genericPlant = this.getEffectivePlant('generic');
       return {
-        plantName: 'generic',
+        plantName: genericPlant ? genericPlant.name : 'generic',
         plantMatchScore: 0,
         diagnoses: [{
           cause: { id: 'empty_input', label: 'No Input Provided' },
           confidence: 0,
-          why: "Please provide a description of your plant's problem.",
-          actions: [
-            "Describe what you're seeing (yellow leaves, drooping, etc.)",
-            "Mention the plant name if you know it",
-            "Include details about watering and light conditions",
-            "Describe any recent changes to the plant's environment"
-          ],
-          eco_tip: "The more details you provide, the better I can help diagnose the issue!"
+          why: renderTemplate(tone, 'emptyInput.why'),
+          actions: renderTemplate(tone, 'emptyInput.actions'),
+          eco_tip: renderTemplate(tone, 'emptyInput.ecoTip')
         }],
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        originalInput: '',
+        detectedPlant: 'generic',
+        detectionMethod: 'no_input',
+        detectionStatus: 'unmatched',
+        plantCandidates: [],
+        lineage: genericPlant ? genericPlant.lineage : [],
+        negatedTerms: [],
+        tone: tone
       };
     }
 
-    // Truncate input if too long
-    const truncatedInput = inputText.length > this.config.ui.maxInputLength 
-      ? inputText.substring(0, this.config.ui.maxInputLength) + '...'
-      : inputText;
+    const plantDetection = this.resolvePlant(input, description);
+    const symptoms = this.extractSymptoms(description, plantDetection.plant);
+    const environment = this.parseEnvironment(input.environment);
+    const diagnoses = this.generateDiagnoses(plantDetection.plant, symptoms, description, input.environment, {
+      tone,
+      explain: Boolean(options.explain),
+      environment
+    });
 
-    const plantDetection = this.detectPlant(truncatedInput);
-    const symptoms = this.extractSymptoms(truncatedInput, plantDetection.plant);
-    const diagnoses = this.generateDiagnoses(plantDetection.plant, symptoms, truncatedInput);
-
-    return {
+    const result = {
       plantName: plantDetection.plant.name,
       plantMatchScore: plantDetection.score,
       diagnoses: diagnoses,
       timestamp: new Date().toISOString(),
-      originalInput: truncatedInput,
+      originalInput: [input.plantName, description, input.environment].filter(Boolean).join('. '),
       detectedPlant: plantDetection.plant.id,
-      detectionMethod: plantDetection.method
+      detectionMethod: plantDetection.method,
+      detectionStatus: plantDetection.status,
+      plantCandidates: plantDetection.candidates,
+      lineage: plantDetection.plant.lineage,
+      negatedTerms: this.analyzeInput(description.toLowerCase()).negations.map(negation => negation.scope),
+      tone: tone,
+      ...(environment ? { environment } : {})
     };
+
+    if (options.explain) {
+      result.explanation = {
+        plantDetection: {
+          input: input.plantId ? `plantId: ${input.plantId}` : (input.plantName || description),
+          candidates: input.plantId ? [{ plantId: plantDetection.plant.id, method: 'plant_id', score: 1.0, selected: true }]
+            : this.explainPlantDetection(input.plantName || description, plantDetection)
+        },
+        symptoms: symptoms,
+        enhancedSymptoms: this.enhancedSymptomDetection(description.toLowerCase(), plantDetection.plant),
+        config: { ...this.config.diagnosis }
+      };
+    }
+
+    return result;
   }
 
-  // Method to add new plants (for future extensibility)
-  addPlant(plantData) {
-    this.plants.push(plantData);
-    this.fuse = this.initializeFuzzySearch(); // Reinitialize fuzzy search
-    this.savePlantData();
+  // A result is worth following up when it is weak or the top causes are too close to call
+  needsClarification(result) {
+    const [top, second] = result.diagnoses || [];
+    if (!top || top.cause.id === 'empty_input') {
+      return false;
+    }
+    if (top.cause.id === 'no_symptoms' || result.detectionMethod === 'generic_fallback') {
+      return true;
+    }
+
+    const margin = this.config.diagnosis.clarifyMargin ?? 0.1;
+    return Boolean(second) && top.confidence - second.confidence <= margin;
   }
 
+  // Pick keywords that separate the candidate causes and turn them into questions
+  generateFollowUpQuestions(result, options = {}) {
+    const { exclude = [], limit = this.config.diagnosis.maxFollowUpQuestions ?? 3 } = options;
+    const plant = this.getEffectivePlant(result.detectedPlant) || this.getEffectivePlant('generic');
+    const inputLower = (result.originalInput || '').toLowerCase();
+    const questions = [];
+
+    if (result.detectionMethod === 'generic_fallback' && !exclude.includes('plant_name')) {
+      questions.push({ id: 'plant_name', type: 'text', text: 'What kind of plant is it?' });
+    }
+
+    const topIds = result.diagnoses.map(d => d.cause.id);
+    let candidates = plant.causes.filter(cause => topIds.includes(cause.id));
+    if (candidates.length < 2) {
+      candidates = plant.causes;
+    }
+
+    const causeCounts = new Map();
+    for (const cause of candidates) {
+      for (const keyword of new Set(cause.keywords.map(k => k.toLowerCase()))) {
+        causeCounts.set(keyword, (causeCounts.get(keyword) || 0) + 1);
+      }
+    }
+
+    // Rank each cause's keywords: unique to the cause first, then templated, then list order
+    const rankedByCause = candidates.map(cause => cause.keywords
+      .map((keyword, position) => ({ keyword: keyword.toLowerCase(), position }))
+      .filter(({ keyword }) => !inputLower.includes(keyword) && !exclude.includes(keyword))
+      .map(entry => ({
+        ...entry,
+        causeId: cause.id,
+        score: (candidates.length - causeCounts.get(entry.keyword)) * 100
+          + (FOLLOW_UP_TEMPLATES[entry.keyword] ? 50 : 0)
+          - entry.position
+      }))
+      .sort((a, b) => b.score - a.score));
+
+    // Round-robin across causes so every candidate gets a question
+    const askedTexts = new Set();
+    for (let round = 0; questions.length < limit && rankedByCause.some(list => list.length > round); round++) {
+      for (const list of rankedByCause) {
+        const pick = list[round];
+        if (!pick || questions.length >= limit) continue;
+
+        const text = FOLLOW_UP_TEMPLATES[pick.keyword] || `Are you seeing ${pick.keyword}?`;
+        if (askedTexts.has(text)) continue;
+        askedTexts.add(text);
+
+        questions.push({
+          id: pick.keyword,
+          type: 'yes_no',
+          text,
+          keyword: pick.keyword,
+          causes: candidates
+            .filter(cause => cause.keywords.some(k => k.toLowerCase() === pick.keyword))
+            .map(cause => cause.id)
+        });
+      }
+    }
+
+    return questions.slice(0, limit);
+  }
+
+  // Lower the confidence of causes the user has answered "no" about
+  applyRuledOutCauses(result, ruledOut) {
+    const diagnoses = result.diagnoses
+      .map(diagnosis => {
+        const strikes = ruledOut[diagnosis.cause.id] || 0;
+        if (strikes === 0) return diagnosis;
+        return { ...diagnosis, confidence: Math.max(diagnosis.confidence - 0.15 * strikes, 0) };
+      })
+      .sort((a, b) => b.confidence - a.confidence);
+
+    return { ...result, diagnoses };
+  }
+
+  getPlant(plantId) {
+    return this.index.get(plantId);
+  }
+
+  // Light, humidity, temperature, drainage, location and season read from
+  // environment text, or null without any
+  parseEnvironment(environmentText) {
+    if (typeof environmentText !== 'string' || !environmentText.trim()) {
+      return null;
+    }
+    return parseEnvironment(environmentText, { hemisphere: (this.config.care || {}).hemisphere });
+  }
+
+  // The plant with inherited symptoms, causes, solutions, eco tip and care
+  // filled in, plus its lineage and the origin of each value; null if unknown
+  getEffectivePlant(plantId) {
+    const plant = this.getPlant(plantId);
+    return plant ? this.taxonomy.effective(plant) : null;
+  }
+
+  listPlants() {
+    return this.plants.map(plant => ({
+      id: plant.id,
+      name: plant.name,
+      aliases: plant.aliases || [],
+      causes: this.taxonomy.effective(plant).causes.map(cause => cause.id),
+      ...(plant.rank ? { rank: plant.rank } : {}),
+      ...(plant.parent ? { parent: plant.parent } : {}),
+      ...(plant.genus ? { genus: plant.genus } : {}),
+      ...(plant.family ? { family: plant.family } : {}),
+      ...(plant.source ? { source: plant.source } : {})
+    }));
+  }
+
+  // Errors of plants (already in the knowledge base they would form) that
+  // inherit from plant; changing or removing an ancestor can break them
+  descendantErrors(plant, plants) {
+    const taxonomy = new Taxonomy(plants);
+    const descendants = new Set(taxonomy.descendantsOf(plant));
+    // Plants that inherited from the current version, as they would be after the change
+    this.taxonomy.descendantsOf(this.getPlant(plant.id) || plant)
+      .map(descendant => taxonomy.byId.get(descendant.id))
+      .forEach(descendant => descendant && descendants.add(descendant));
+    return [...descendants].flatMap(descendant => validatePlantIn(descendant, taxonomy)
+      .map(error => ({ plantId: descendant.id, ...error })));
+  }
+
+  // plants: the knowledge base plantData would be part of
+  assertValidPlant(plantData, plants) {
+    const id = plantData && typeof plantData.id === 'string' ? plantData.id : 'new plant';
+    const errors = validatePlantIn(plantData, new Taxonomy(plants));
+    if (errors.length > 0) {
+      throw plantError('invalid_plant', `Plant "${id}" failed validation`, errors);
+    }
+
+    const broken = this.descendantErrors(plantData, plants);
+    if (broken.length > 0) {
+      throw plantError('invalid_plant', `Plants inheriting from "${id}" would fail validation`, broken);
+    }
+  }
+
+  // Method to add new plants; bulk callers pass { persist: false } and
+  // rebuild/save once at the end
+  addPlant(plantData, options = {}) {
+    const { persist = true } = options;
+
+    this.assertValidPlant(plantData, [...this.plants, plantData]);
+    if (this.getPlant(plantData.id)) {
+      throw plantError('conflict', `A plant with id "${plantData.id}" already exists`);
+    }
+
+    if (!persist) {
+      this.plants.push(plantData);
+      this.index.add(plantData);
+      this.taxonomy = new Taxonomy(this.plants);
+      return plantData;
+    }
+
+    this.commitPlants([...this.plants, plantData]);
+    return plantData;
+  }
+
+  // Replace a plant entirely (PUT) or merge top-level fields into it (PATCH)
+  updatePlant(plantId, changes, options = {}) {
+    const { partial = false } = options;
+    const existing = this.getPlant(plantId);
+
+    if (!existing) {
+      throw plantError('not_found', `No plant with id "${plantId}"`);
+    }
+    if (changes && changes.id !== undefined && changes.id !== plantId) {
+      throw plantError('invalid_plant', 'Plant id cannot be changed', [
+        { path: 'id', message: `expected "${plantId}" but got "${changes.id}"` }
+      ]);
+    }
+
+    const updated = partial
+      ? { ...existing, ...changes, id: plantId }
+      : { ...changes, id: plantId };
+
+    const plants = this.plants.map(plant => (plant.id === plantId ? updated : plant));
+    this.assertValidPlant(updated, plants);
+    this.commitPlants(plants);
+    return updated;
+  }
+
+  deletePlant(plantId) {
+    const existing = this.getPlant(plantId);
+
+    if (!existing) {
+      throw plantError('not_found', `No plant with id "${plantId}"`);
+    }
+    if (plantId === 'generic') {
+      throw plantError('protected_plant', 'The generic fallback plant cannot be deleted');
+    }
+
+    const remaining = this.plants.filter(plant => plant.id !== plantId);
+    const broken = this.descendantErrors(existing, remaining);
+    if (broken.length > 0) {
+      throw plantError('conflict', `Plants inheriting from "${plantId}" would fail validation without it`, broken);
+    }
+
+    this.commitPlants(remaining);
+    return existing;
+  }
+
+  // Save first so a failed write leaves the in-memory knowledge base untouched
+  commitPlants(plants) {
+    const previous = this.plants;
+    this.plants = plants;
+
+    try {
+      this.savePlantData();
+    } catch (error) {
+      this.plants = previous;
+      throw error;
+    }
+
+    this.rebuildIndexes();
+  }
+
+  // Write to a temp file and rename so a crash mid-write cannot corrupt the data file
   savePlantData() {
+    const tempPath = `${this.dataPath}.${process.pid}.tmp`;
+
     try {
-      const dataPath = path.join(__dirname, '../data/plants.json');
-      fs.writeFileSync(dataPath, JSON.stringify(this.plants, null, 2));
+      fs.writeFileSync(tempPath, JSON.stringify(this.plants, null, 2));
+      fs.renameSync(tempPath, this.dataPath);
     } catch (error) {
-      console.error(`Failed to save plant data: ${error.message}`);
+      try {
+        fs.unlinkSync(tempPath);
+      } catch (cleanupError) {
+        // Temp file was never created
+      }
+      throw new Error(`Failed to save plant data: ${error.message}`);
     }
   }
 }
 
+PlantDiagnosisEngine.DEFAULT_PLANT_DATA_PATH = DEFAULT_PLANT_DATA_PATH;
+
 module.exports = PlantDiagnosisEngine;
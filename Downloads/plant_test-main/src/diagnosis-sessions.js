@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+
+const YES_ANSWERS = ['yes', 'y', 'yeah', 'yep', 'true'];
+const NO_ANSWERS = ['no', 'n', 'nope', 'false'];
+
+// Signs session ids; without it each process picks its own secret, so an id
+// only works on the instance that issued it
+const SESSION_SECRET_ENV = 'PLANT_HELPER_SESSION_SECRET';
+
+// Multi-turn diagnosis sessions. Each turn re-runs the engine on the
+// accumulated description and asks about what is still unclear. Nothing is
+// kept server-side: the session id is the signed session state, so any
+// instance sharing the secret can continue it.
+class DiagnosisSessions {
+  constructor(engine, options = {}) {
+    this.engine = engine;
+    this.secret = options.secret || process.env[SESSION_SECRET_ENV] || crypto.randomBytes(32).toString('hex');
+    this.ttlMs = options.ttlMs || 30 * 60 * 1000;
+  }
+
+  // input: plain text or the structured fields accepted by engine.diagnose()
+  start(input, options = {}) {
+    const result = this.engine.diagnose(input, options);
+    if (!this.engine.needsClarification(result)) {
+      return result;
+    }
+
+    const session = {
+      input: input && typeof input === 'object' ? { ...input } : { text: input },
+      asked: [],
+      ruledOut: {},
+      options: { ...options, tone: result.tone },
+      turns: 0,
+      updatedAt: Date.now()
+    };
+
+    return this.attachQuestions(session, result);
+  }
+
+  // answers: { [questionId]: 'yes' | 'no' | free text }
+  answer(sessionId, answers) {
+    const session = this.decode(sessionId);
+
+    if (!session) {
+      throw sessionError('session_not_found', 'Diagnosis session not found or expired. Start a new diagnosis.');
+    }
+    if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+      throw sessionError('invalid_answers', 'Provide answers as an object keyed by question id.');
+    }
+
+    for (const [questionId, rawAnswer] of Object.entries(answers)) {
+      const question = session.questions.find(q => q.id === questionId);
+      const answer = typeof rawAnswer === 'boolean' ? String(rawAnswer) : String(rawAnswer || '').trim();
+      if (!question || !answer) continue;
+
+      const normalized = answer.toLowerCase();
+      if (question.id === 'plant_name') {
+        session.input.plantName = answer;
+      } else if (question.type === 'yes_no' && YES_ANSWERS.includes(normalized)) {
+        this.addSymptoms(session, question.keyword);
+      } else if (question.type === 'yes_no' && NO_ANSWERS.includes(normalized)) {
+        for (const causeId of question.causes) {
+          session.ruledOut[causeId] = (session.ruledOut[causeId] || 0) + 1;
+        }
+      } else {
+        this.addSymptoms(session, answer);
+      }
+    }
+
+    session.turns += 1;
+    session.updatedAt = Date.now();
+
+    const result = this.engine.applyRuledOutCauses(this.engine.diagnose(session.input, session.options), session.ruledOut);
+    if (!this.engine.needsClarification(result)) {
+      return result;
+    }
+
+    return this.attachQuestions(session, result);
+  }
+
+  // Sessions started with doNotLog keep their follow-up turns out of the logs too
+  isDoNotLog(sessionId) {
+    const session = this.decode(sessionId);
+    return Boolean(session && session.options.doNotLog);
+  }
+
+  // Answers go in front so input truncation never drops them
+  addSymptoms(session, text) {
+    const existing = session.input.symptoms;
+    session.input.symptoms = existing ? `${text}. ${existing}` : text;
+  }
+
+  attachQuestions(session, result) {
+    const questions = this.engine.generateFollowUpQuestions(result, { exclude: session.asked });
+    if (questions.length === 0) {
+      return result;
+    }
+
+    session.questions = questions;
+    session.asked.push(...questions.map(q => q.id));
+
+    return {
+      ...result,
+      followUp: {
+        sessionId: this.encode(session),
+        questions: questions.map(({ id, type, text }) => ({ id, type, text }))
+      }
+    };
+  }
+
+  // "<base64url state>.<signature>"
+  encode(session) {
+    const payload = toBase64Url(Buffer.from(JSON.stringify(session)));
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  // The session in a session id, or null when it is malformed, tampered
+  // with or expired
+  decode(sessionId) {
+    const [payload, signature] = typeof sessionId === 'string' ? sessionId.split('.') : [];
+    if (!payload || !signature) {
+      return null;
+    }
+    const [given, wanted] = [Buffer.from(signature), Buffer.from(this.sign(payload))];
+    if (given.length !== wanted.length || !crypto.timingSafeEqual(given, wanted)) {
+      return null;
+    }
+    try {
+      const session = JSON.parse(Buffer.from(payload.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+      return session.updatedAt >= Date.now() - this.ttlMs ? session : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  sign(payload) {
+    return toBase64Url(crypto.createHmac('sha256', this.secret).update(payload).digest());
+  }
+}
+
+// Buffer's own 'base64url' encoding needs Node 14.18
+function toBase64Url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function sessionError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+module.exports = DiagnosisSessions;
+module.exports.SESSION_SECRET_ENV = SESSION_SECRET_ENV;
@@ -0,0 +1,235 @@
+const CareScheduler = require('./care-plan');
+
+// Reads a plant's surroundings from free text (the "environment" field, or a
+// garden plant's registered details) and turns mismatches with the plant's
+// ideal ranges (plant.environment, falling back to config.environment.defaults)
+// into priors on causes. Temperatures are in °C; words like "cold" stand for
+// a typical value.
+
+const LIGHT_LEVELS = ['low', 'medium', 'bright', 'direct'];
+const HUMIDITY_LEVELS = ['low', 'medium', 'high'];
+const DRAINAGE_LEVELS = ['poor', 'good'];
+const LOCATIONS = ['indoor', 'outdoor'];
+const SEASONS = ['spring', 'summer', 'autumn', 'winter'];
+
+// Tried in order, first match wins, so "bright indirect" is bright and
+// "partial shade" is medium
+const PATTERNS = {
+  light: [
+    ['direct', /\b(?:direct|full|harsh|afternoon) sun(?:light)?\b|\bsouth[- ]facing\b|\ball[- ]day sun\b/],
+    ['medium', /\bmedium light\b|\bpart(?:ial)? shade\b|\bdappled\b|\bfiltered\b/],
+    ['low', /\blow light\b|\bdark\b|\bdim\b|\bshady\b|\bshade\b|\bno (?:natural )?light\b|\bwindowless\b|\bnorth[- ]facing\b|\bbasement\b|\bfar from (?:the |a )?window\b/],
+    ['bright', /\bbright\b|\bsunny\b|\b(?:near|by|next to) (?:the |a )?window\b|\bwindowsill\b|\b(?:east|west)[- ]facing\b|\bgrow light\b/],
+    ['medium', /\bindirect\b/]
+  ],
+  humidity: [
+    ['low', /\blow humidity\b|\bdry air\b|\bradiator\b|\bheater\b|\bheating\b|\bair[- ]?con(?:ditioning)?\b|\barid\b/],
+    ['high', /\bhigh humidity\b|\bhumid\b|\bbathroom\b|\bsteamy\b|\bterrarium\b|\bhumidifier\b/],
+    ['medium', /\b(?:normal|average|moderate) humidity\b/]
+  ],
+  temperature: [
+    [8, /\bcold\b|\bfreezing\b|\bfrost\b|\bdraft(?:y)?\b|\bdraught(?:y)?\b|\bchilly\b/],
+    [33, /\bhot\b|\bheat ?wave\b|\bscorching\b/],
+    [14, /\bcool\b/],
+    [25, /\bwarm\b/]
+  ],
+  drainage: [
+    ['poor', /\bno (?:drainage|drain(?:age)? holes?|holes?)\b|\bwithout (?:drainage|(?:a )?(?:drainage )?holes?)\b|\bpoor drainage\b|\bcache ?pot\b|\bglass jar\b/],
+    ['good', /\bdrainage holes?\b|\bgood drainage\b|\bwell[- ]draining\b|\bterracotta\b|\bperlite\b|\bcactus mix\b/]
+  ],
+  location: [
+    ['outdoor', /\boutdoors?\b|\boutside\b|\bgarden\b|\bbalcony\b|\bpatio\b|\bporch\b|\byard\b|\bterrace\b|\bin the ground\b/],
+    ['indoor', /\bindoors?\b|\binside\b|\b(?:living|bed|bath) ?room\b|\bkitchen\b|\boffice\b|\bwindowsill\b/]
+  ],
+  season: [
+    ['spring', /\bspring\b/],
+    ['summer', /\bsummer\b/],
+    ['autumn', /\bautumn\b|\b(?:in|this|last|during) (?:the )?fall\b/],
+    ['winter', /\bwinter\b/]
+  ]
+};
+
+const NUMERIC_TEMPERATURE = /(-?\d+(?:\.\d+)?)\s*(?:°\s*|degrees? )?([cf])\b/;
+// "no direct sun", "away from the window"; the drainage patterns carry their own "no"
+const NEGATED_BEFORE = /\b(?:no|not|never|without|away from)\s+(?:\w+\s+)?$/;
+
+// Causes a factor outside the plant's range makes more likely ("below" or
+// "above" the range), and those a factor inside it makes less likely
+const PRIORS = {
+  light: {
+    below: ['insufficient_light', 'light_issues', 'overwatering'],
+    above: ['light_issues', 'underwatering'],
+    within: ['insufficient_light']
+  },
+  humidity: {
+    below: ['low_humidity', 'underwatering'],
+    above: ['overwatering'],
+    within: ['low_humidity']
+  },
+  temperature: {
+    below: ['cold_damage', 'overwatering'],
+    above: ['underwatering', 'low_humidity'],
+    within: ['cold_damage']
+  },
+  drainage: {
+    below: ['overwatering', 'watering_issues'],
+    within: []
+  },
+  location: {
+    below: ['insufficient_light', 'light_issues'],
+    above: ['cold_damage', 'pests', 'pest_problems'],
+    within: []
+  }
+};
+
+// Seasons have no ideal range: they only change how much water a plant uses
+const SEASON_PRIORS = {
+  summer: ['underwatering'],
+  winter: ['overwatering']
+};
+
+const LEVELS = { light: LIGHT_LEVELS, humidity: HUMIDITY_LEVELS, drainage: DRAINAGE_LEVELS, location: LOCATIONS };
+
+function firstMatch(text, pattern) {
+  const global = new RegExp(pattern.source, 'g');
+  for (let match = global.exec(text); match; match = global.exec(text)) {
+    if (!NEGATED_BEFORE.test(text.slice(0, match.index))) {
+      return match[0];
+    }
+  }
+  return null;
+}
+
+// { light, humidity, temperature, drainage, location, season, evidence }
+// with only the factors found; evidence holds the words each came from.
+// Without a season in the text it comes from options.date (default today).
+function parseEnvironment(text, options = {}) {
+  const { date = new Date().toISOString().split('T')[0], hemisphere = 'north' } = options;
+  const lower = String(text || '').toLowerCase().replace(/’/g, "'");
+  const environment = {};
+  const evidence = {};
+
+  for (const [factor, patterns] of Object.entries(PATTERNS)) {
+    for (const [value, pattern] of patterns) {
+      const found = firstMatch(lower, pattern);
+      if (found) {
+        environment[factor] = value;
+        evidence[factor] = found;
+        break;
+      }
+    }
+  }
+
+  const numeric = lower.match(NUMERIC_TEMPERATURE);
+  if (numeric) {
+    const value = Number(numeric[1]);
+    environment.temperature = Math.round(numeric[2] === 'f' ? (value - 32) * 5 / 9 : value);
+    evidence.temperature = numeric[0];
+  }
+
+  if (!environment.season) {
+    environment.season = CareScheduler.seasonOf(date, hemisphere);
+    evidence.season = `request date ${date}`;
+  }
+
+  return { ...environment, evidence };
+}
+
+// 'below', 'within' or 'above' the ideal range, or null when either is missing
+function compare(factor, observed, ideal) {
+  if (observed === undefined || !ideal) {
+    return null;
+  }
+  if (factor === 'temperature') {
+    if (typeof ideal.min !== 'number' && typeof ideal.max !== 'number') return null;
+    if (typeof ideal.min === 'number' && observed < ideal.min) return 'below';
+    if (typeof ideal.max === 'number' && observed > ideal.max) return 'above';
+    return 'within';
+  }
+  if (!Array.isArray(ideal) || ideal.length === 0) {
+    return null;
+  }
+  if (ideal.includes(observed)) {
+    return 'within';
+  }
+  const levels = LEVELS[factor];
+  return levels.indexOf(observed) < Math.min(...ideal.map(level => levels.indexOf(level))) ? 'below' : 'above';
+}
+
+// The ideal range of each factor for an effective plant profile, and where
+// it came from: a plant id, or null for config.environment.defaults
+function idealRanges(plant, defaults = {}) {
+  const own = plant.environment || {};
+  const origins = (plant.origins && plant.origins.environment) || {};
+  return Object.keys(PRIORS).reduce((ranges, factor) => {
+    if (own[factor] !== undefined) {
+      ranges[factor] = { ideal: own[factor], origin: origins[factor] || plant.id };
+    } else if (defaults[factor] !== undefined) {
+      ranges[factor] = { ideal: defaults[factor], origin: null };
+    }
+    return ranges;
+  }, {});
+}
+
+// How the environment shifts one cause: each adjustment names the factor,
+// what was observed and from which words, the ideal range and 'raise' or
+// 'lower'; multiplier is the product of their effects
+function causePrior(causeId, environment, ranges, effects = {}) {
+  const { raise = 1.2, lower = 0.85 } = effects;
+  const adjustments = [];
+
+  for (const [factor, { ideal, origin }] of Object.entries(ranges)) {
+    const position = compare(factor, environment[factor], ideal);
+    const causes = position && PRIORS[factor][position];
+    if (causes && causes.includes(causeId)) {
+      adjustments.push({
+        factor,
+        observed: environment[factor],
+        evidence: (environment.evidence || {})[factor],
+        ideal,
+        origin,
+        effect: position === 'within' ? 'lower' : 'raise'
+      });
+    }
+  }
+  if ((SEASON_PRIORS[environment.season] || []).includes(causeId)) {
+    adjustments.push({
+      factor: 'season',
+      observed: environment.season,
+      evidence: (environment.evidence || {}).season,
+      ideal: null,
+      origin: null,
+      effect: 'raise'
+    });
+  }
+
+  const multiplier = adjustments.reduce((product, adjustment) => product * (adjustment.effect === 'raise' ? raise : lower), 1);
+  return { adjustments, multiplier };
+}
+
+// "low light (ideal: medium, bright)", "cold, about 8°C (ideal: 15-30°C)", "winter"
+function describeAdjustment({ factor, observed, evidence, ideal }) {
+  if (factor === 'season') {
+    return observed;
+  }
+  if (factor === 'temperature') {
+    const range = typeof ideal.min !== 'number' ? `up to ${ideal.max}`
+      : typeof ideal.max !== 'number' ? `at least ${ideal.min}` : `${ideal.min}-${ideal.max}`;
+    const reading = evidence && !/\d/.test(evidence) ? `${evidence}, about ${observed}°C` : `${observed}°C`;
+    return `${reading} (ideal: ${range}°C)`;
+  }
+  const label = factor === 'location' ? observed : `${observed} ${factor}`;
+  return `${label} (ideal: ${ideal.join(', ')})`;
+}
+
+module.exports = {
+  LIGHT_LEVELS,
+  HUMIDITY_LEVELS,
+  DRAINAGE_LEVELS,
+  LOCATIONS,
+  SEASONS,
+  parseEnvironment,
+  idealRanges,
+  causePrior,
+  describeAdjustment
+};
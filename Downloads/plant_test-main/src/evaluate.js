@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const PlantDiagnosisEngine = require('./diagnosis-engine');
+const { loadConfig, parseConfigArgs, parseOverrides } = require('./config');
+
+const DEFAULT_CORPUS_PATH = path.join(__dirname, '../eval/corpus.json');
+
+// Confidence buckets for calibration: [0, 0.2), [0.2, 0.4) ... [0.8, 1]
+const CALIBRATION_BUCKETS = 5;
+
+// Runs the engine over a labeled corpus and scores it. Each corpus entry is
+// { id, input (text or structured fields), expectedPlant, expectedCauses },
+// where any of expectedCauses counts as a correct top cause.
+class EngineEvaluator {
+  constructor(options = {}) {
+    this.configPath = options.configPath;
+    this.dataPath = options.dataPath;
+  }
+
+  static loadCorpus(corpusPath = DEFAULT_CORPUS_PATH) {
+    let corpus;
+    try {
+      corpus = JSON.parse(fs.readFileSync(corpusPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read evaluation corpus ${corpusPath}: ${error.message}`);
+    }
+
+    if (!Array.isArray(corpus)) {
+      throw new Error(`Evaluation corpus ${corpusPath} must be an array of cases`);
+    }
+
+    corpus.forEach((entry, index) => {
+      const label = entry && entry.id ? `"${entry.id}"` : `#${index + 1}`;
+      if (!entry || (typeof entry.input !== 'string' && (typeof entry.input !== 'object' || entry.input === null))) {
+        throw new Error(`Corpus case ${label} needs an input string or object`);
+      }
+      if (typeof entry.expectedPlant !== 'string') {
+        throw new Error(`Corpus case ${label} needs an expectedPlant id`);
+      }
+      if (!Array.isArray(entry.expectedCauses) || entry.expectedCauses.length === 0) {
+        throw new Error(`Corpus case ${label} needs at least one expectedCauses id`);
+      }
+    });
+
+    return corpus;
+  }
+
+  // overrides: { 'dotted.path': value }, layered over the config file like --set
+  loadConfig(overrides = {}) {
+    return loadConfig({ configPath: this.configPath, overrides }).config;
+  }
+
+  createEngine(overrides = {}) {
+    return new PlantDiagnosisEngine(this.loadConfig(overrides), this.dataPath);
+  }
+
+  evaluate(corpus, overrides = {}) {
+    const engine = this.createEngine(overrides);
+    const cases = corpus.map(entry => {
+      const result = engine.diagnose(entry.input);
+      const causeIds = result.diagnoses.map(diagnosis => diagnosis.cause.id);
+      const topConfidence = result.diagnoses.length > 0 ? result.diagnoses[0].confidence : 0;
+
+      return {
+        id: entry.id,
+        expectedPlant: entry.expectedPlant,
+        detectedPlant: result.detectedPlant,
+        expectedCauses: entry.expectedCauses,
+        predictedCauses: causeIds.slice(0, 3),
+        confidence: topConfidence,
+        plantCorrect: result.detectedPlant === entry.expectedPlant,
+        top1Correct: causeIds.length > 0 && entry.expectedCauses.includes(causeIds[0]),
+        top3Correct: causeIds.slice(0, 3).some(id => entry.expectedCauses.includes(id))
+      };
+    });
+
+    const total = cases.length;
+    const rate = key => (total > 0 ? cases.filter(c => c[key]).length / total : 0);
+
+    return {
+      overrides,
+      total,
+      plantAccuracy: rate('plantCorrect'),
+      top1Accuracy: rate('top1Correct'),
+      top3Accuracy: rate('top3Correct'),
+      calibration: this.calibrate(cases),
+      cases
+    };
+  }
+
+  // Compares top-1 confidence with how often the top cause was actually right
+  calibrate(cases) {
+    const buckets = Array.from({ length: CALIBRATION_BUCKETS }, (_, index) => ({
+      range: [index / CALIBRATION_BUCKETS, (index + 1) / CALIBRATION_BUCKETS],
+      count: 0,
+      confidenceSum: 0,
+      correct: 0
+    }));
+
+    for (const c of cases) {
+      const index = Math.min(Math.floor(c.confidence * CALIBRATION_BUCKETS), CALIBRATION_BUCKETS - 1);
+      buckets[index].count += 1;
+      buckets[index].confidenceSum += c.confidence;
+      buckets[index].correct += c.top1Correct ? 1 : 0;
+    }
+
+    const total = cases.length || 1;
+    const summary = buckets.map(bucket => ({
+      range: bucket.range,
+      count: bucket.count,
+      avgConfidence: bucket.count > 0 ? bucket.confidenceSum / bucket.count : null,
+      accuracy: bucket.count > 0 ? bucket.correct / bucket.count : null
+    }));
+
+    return {
+      // Expected calibration error: count-weighted gap between confidence and accuracy
+      ece: summary
+        .filter(bucket => bucket.count > 0)
+        .reduce((sum, bucket) => sum + (bucket.count / total) * Math.abs(bucket.accuracy - bucket.avgConfidence), 0),
+      brier: cases.reduce((sum, c) => sum + Math.pow(c.confidence - (c.top1Correct ? 1 : 0), 2), 0) / total,
+      buckets: summary
+    };
+  }
+
+  static checkThresholds(report, thresholds) {
+    return Object.entries(thresholds)
+      .filter(([metric, minimum]) => typeof report[metric] === 'number' && report[metric] < minimum)
+      .map(([metric, minimum]) => ({ metric, value: report[metric], minimum }));
+  }
+}
+
+function formatPercent(value) {
+  return value === null ? '-' : `${Math.round(value * 100)}%`;
+}
+
+function describeOverrides(overrides) {
+  const entries = Object.entries(overrides);
+  return entries.length === 0 ? 'config' : entries.map(([key, value]) => `${key}=${JSON.stringify(value)}`).join(', ');
+}
+
+function printReports(reports, thresholds) {
+  const labels = reports.map(report => describeOverrides(report.overrides));
+  const width = Math.max(14, ...labels.map(label => label.length + 2));
+  const row = (name, values) => console.log(name.padEnd(18) + values.map(value => String(value).padEnd(width)).join(''));
+
+  console.log(`\n📊 Evaluation over ${reports[0].total} labeled cases\n`);
+  row('', labels);
+  row('plant accuracy', reports.map(r => formatPercent(r.plantAccuracy)));
+  row('top-1 cause', reports.map(r => formatPercent(r.top1Accuracy)));
+  row('top-3 cause', reports.map(r => formatPercent(r.top3Accuracy)));
+  row('calibration ECE', reports.map(r => r.calibration.ece.toFixed(3)));
+  row('Brier score', reports.map(r => r.calibration.brier.toFixed(3)));
+
+  console.log('\nCalibration (top-1 confidence vs accuracy):');
+  reports[0].calibration.buckets.forEach((bucket, index) => {
+    const range = `${formatPercent(bucket.range[0])}-${formatPercent(bucket.range[1])}`;
+    row(`  ${range}`, reports.map(r => {
+      const b = r.calibration.buckets[index];
+      return b.count > 0 ? `${b.count}: ${formatPercent(b.avgConfidence)} / ${formatPercent(b.accuracy)}` : '-';
+    }));
+  });
+
+  const misses = reports[0].cases.filter(c => !c.plantCorrect || !c.top1Correct);
+  if (misses.length > 0) {
+    console.log(`\nMisses (${labels[0]}):`);
+    misses.forEach(c => {
+      console.log(`  ${c.id}: plant ${c.detectedPlant} (expected ${c.expectedPlant}), causes ${c.predictedCauses.join(', ') || 'none'} (expected ${c.expectedCauses.join(' or ')})`);
+    });
+  }
+
+  console.log(`\nThresholds: ${Object.entries(thresholds).map(([metric, minimum]) => `${metric} >= ${formatPercent(minimum)}`).join(', ')}`);
+}
+
+function readOption(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+function readRepeatedOption(args, name) {
+  return args.reduce((values, arg, index) => (arg === name && args[index + 1] !== undefined ? [...values, args[index + 1]] : values), []);
+}
+
+// Usage: node src/evaluate.js [--corpus file] [--config file] [--set key.path=value]...
+//        [--compare key.path=value]... [--json]
+// Each --compare adds a column with one more override on top of --set.
+function runEvaluation(argv) {
+  try {
+    const { configPath, overrides: baseOverrides, args } = parseConfigArgs(argv);
+    const evaluator = new EngineEvaluator({ configPath });
+    const { evaluation } = evaluator.loadConfig(baseOverrides);
+    const corpus = EngineEvaluator.loadCorpus(readOption(args, '--corpus') || evaluation.corpus);
+    const variants = [baseOverrides, ...readRepeatedOption(args, '--compare').map(spec => ({
+      ...baseOverrides,
+      ...parseOverrides(spec)
+    }))];
+
+    const reports = variants.map(overrides => evaluator.evaluate(corpus, overrides));
+    const { thresholds } = evaluation;
+
+    // Only the first column gates the exit code; --compare columns are for reference
+    const failures = EngineEvaluator.checkThresholds(reports[0], thresholds);
+
+    if (args.includes('--json')) {
+      console.log(JSON.stringify({ thresholds, failures, reports }, null, 2));
+    } else {
+      printReports(reports, thresholds);
+      if (failures.length === 0) {
+        console.log('✅ Accuracy is within thresholds.');
+      }
+      failures.forEach(failure => {
+        console.error(`❌ ${failure.metric} ${formatPercent(failure.value)} is below ${formatPercent(failure.minimum)}`);
+      });
+    }
+
+    return failures.length === 0 ? 0 : 1;
+  } catch (error) {
+    console.error(`❌ Evaluation failed: ${error.message}`);
+    return 2;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = runEvaluation(process.argv.slice(2));
+}
+
+module.exports = EngineEvaluator;
+module.exports.runEvaluation = runEvaluation;
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const VERDICTS = ['confirmed', 'wrong', 'actual'];
+const DEFAULT_FEEDBACK_FILE = './data/feedback.jsonl';
+
+// User feedback on logged diagnoses, appended one JSON object per line.
+// Each entry keeps a snapshot of the interaction it refers to so the
+// weight learner (src/learn-weights.js) does not depend on old log files.
+class FeedbackStore {
+  constructor(engine, logger, config = engine.config) {
+    this.engine = engine;
+    this.logger = logger;
+    this.memoryEntries = [];
+
+    const feedbackConfig = config.feedback || {};
+    const file = feedbackConfig.file || DEFAULT_FEEDBACK_FILE;
+    this.filePath = logger.isReadOnlyEnvironment ? null
+      : (path.isAbsolute(file) ? file : path.join(process.cwd(), file));
+  }
+
+  // feedback: { interactionId, verdict, causeId?, actualCauseId?, comment? }
+  //   confirmed / wrong: causeId is one of the logged diagnoses
+  //   actual: actualCauseId is what it turned out to be
+  record(feedback) {
+    if (!feedback || typeof feedback !== 'object' || Array.isArray(feedback)) {
+      throw feedbackError('invalid_feedback', 'Feedback must be a JSON object.');
+    }
+
+    const { interactionId, verdict, causeId, actualCauseId, comment } = feedback;
+
+    if (typeof interactionId !== 'string' || !interactionId) {
+      throw feedbackError('invalid_feedback', 'interactionId is required.');
+    }
+    if (!VERDICTS.includes(verdict)) {
+      throw feedbackError('invalid_feedback', `verdict must be one of: ${VERDICTS.join(', ')}.`);
+    }
+    if (comment !== undefined && typeof comment !== 'string') {
+      throw feedbackError('invalid_feedback', 'comment must be a string.');
+    }
+
+    const interaction = this.logger.findInteraction(interactionId);
+    if (!interaction) {
+      throw feedbackError('interaction_not_found', `No logged interaction with id "${interactionId}".`);
+    }
+
+    const diagnosedCauses = (interaction.diagnoses || []).map(diagnosis => diagnosis.cause.id);
+
+    if (verdict === 'actual') {
+      const plant = this.engine.getEffectivePlant(interaction.detectedPlant);
+      const knownCauses = plant ? plant.causes.map(cause => cause.id) : [];
+      if (typeof actualCauseId !== 'string' || !knownCauses.includes(actualCauseId)) {
+        throw feedbackError('invalid_feedback', `actualCauseId must be one of: ${knownCauses.join(', ') || 'none'}.`, {
+          allowed: knownCauses
+        });
+      }
+    } else if (typeof causeId !== 'string' || !diagnosedCauses.includes(causeId)) {
+      throw feedbackError('invalid_feedback', `causeId must be one of the diagnosed causes: ${diagnosedCauses.join(', ') || 'none'}.`, {
+        allowed: diagnosedCauses
+      });
+    }
+
+    const entry = {
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      interactionId,
+      verdict,
+      causeId: verdict === 'actual' ? (diagnosedCauses[0] || null) : causeId,
+      actualCauseId: verdict === 'actual' ? actualCauseId : undefined,
+      comment: comment ? comment.trim().slice(0, 500) : undefined,
+      interaction: {
+        originalInput: interaction.originalInput,
+        detectedPlant: interaction.detectedPlant,
+        diagnosedCauses
+      }
+    };
+
+    this.append(entry);
+    return entry;
+  }
+
+  append(entry) {
+    this.memoryEntries.push(entry);
+    if (!this.filePath) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      console.error(`Error saving feedback to ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  load() {
+    if (!this.filePath) {
+      return [...this.memoryEntries];
+    }
+    return FeedbackStore.readFile(this.filePath);
+  }
+
+  // Drops feedback that references purged interactions (see Logger.purge)
+  purgeInteractions(interactionIds, options = {}) {
+    const ids = new Set(interactionIds);
+    const entries = this.load();
+    const kept = entries.filter(entry => !ids.has(entry.interactionId));
+    const removed = entries.length - kept.length;
+
+    if (removed === 0 || options.dryRun) {
+      return removed;
+    }
+
+    this.memoryEntries = this.memoryEntries.filter(entry => !ids.has(entry.interactionId));
+    if (this.filePath) {
+      const tempFile = `${this.filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempFile, kept.map(entry => JSON.stringify(entry) + '\n').join(''));
+      fs.renameSync(tempFile, this.filePath);
+    }
+    return removed;
+  }
+
+  // Skips lines that fail to parse (e.g. a write cut short)
+  static readFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return [];
+    }
+
+    return fs.readFileSync(filePath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+}
+
+function feedbackError(code, message, details) {
+  const error = new Error(message);
+  error.code = code;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+FeedbackStore.VERDICTS = VERDICTS;
+FeedbackStore.DEFAULT_FEEDBACK_FILE = DEFAULT_FEEDBACK_FILE;
+
+module.exports = FeedbackStore;
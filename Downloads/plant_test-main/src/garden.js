@@ -0,0 +1,272 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { redactText } = require('./redaction');
+
+const DEFAULT_GARDEN_FILE = './data/garden.json';
+const DETAIL_FIELDS = ['location', 'light', 'pot', 'notes'];
+const MAX_FIELD_LENGTH = 200;
+
+// The user's own plants ("kitchen tulsi"), each tied to a knowledge-base
+// plant id and carrying a timeline of diagnoses and care actions. Stored as
+// a single JSON file; read-only deployments keep the garden in memory only.
+class GardenStore {
+  constructor(engine, logger, config = engine.config) {
+    this.engine = engine;
+    this.logging = logger.config.logging || {};
+    this.plants = [];
+
+    const gardenConfig = config.garden || {};
+    const file = gardenConfig.file || DEFAULT_GARDEN_FILE;
+    this.maxTimelineEntries = gardenConfig.maxTimelineEntries || 200;
+    this.filePath = logger.isReadOnlyEnvironment ? null
+      : (path.isAbsolute(file) ? file : path.join(process.cwd(), file));
+
+    this.load();
+  }
+
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.plants = Array.isArray(data.plants) ? data.plants : [];
+    } catch (error) {
+      console.error(`Error loading garden from ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  // Summaries without the timeline, plus the most recent diagnosis
+  list() {
+    return this.plants.map(plant => {
+      const { timeline, ...summary } = plant;
+      const lastDiagnosis = [...timeline].reverse().find(entry => entry.type === 'diagnosis');
+      return {
+        ...summary,
+        timelineEntries: timeline.length,
+        lastDiagnosis: lastDiagnosis
+          ? { timestamp: lastDiagnosis.timestamp, cause: lastDiagnosis.diagnoses[0] ? lastDiagnosis.diagnoses[0].cause : null }
+          : null
+      };
+    });
+  }
+
+  get(id) {
+    return this.plants.find(plant => plant.id === id) || null;
+  }
+
+  requirePlant(id) {
+    const plant = this.get(id);
+    if (!plant) {
+      throw gardenError('not_found', `No plant in your garden with id "${id}"`);
+    }
+    return plant;
+  }
+
+  // data: { name, plantId, location?, light?, pot?, notes? }
+  add(data) {
+    const details = this.validateDetails(data, { requireAll: true });
+    const id = slugify(details.name);
+
+    if (!id) {
+      throw gardenError('invalid_garden_plant', 'name must contain at least one letter or digit');
+    }
+    if (this.get(id)) {
+      throw gardenError('conflict', `Your garden already has a plant called "${details.name}"`);
+    }
+
+    const now = new Date().toISOString();
+    const plant = { id, ...details, createdAt: now, updatedAt: now, timeline: [] };
+    this.commit([...this.plants, plant]);
+    return plant;
+  }
+
+  // Merge changes into a registered plant; the id (derived from the first name) never changes
+  update(id, changes) {
+    const existing = this.requirePlant(id);
+    const details = this.validateDetails(changes, { requireAll: false });
+    const updated = { ...existing, ...details, updatedAt: new Date().toISOString() };
+
+    this.commit(this.plants.map(plant => (plant.id === id ? updated : plant)));
+    return updated;
+  }
+
+  remove(id) {
+    const existing = this.requirePlant(id);
+    this.commit(this.plants.filter(plant => plant.id !== id));
+    return existing;
+  }
+
+  validateDetails(data, options) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw gardenError('invalid_garden_plant', 'Garden plant must be a JSON object');
+    }
+
+    const details = {};
+    for (const field of ['name', 'plantId', ...DETAIL_FIELDS]) {
+      const value = data[field];
+      if (value === undefined) continue;
+      if (typeof value !== 'string') {
+        throw gardenError('invalid_garden_plant', `${field} must be a string`);
+      }
+      details[field] = value.trim().slice(0, MAX_FIELD_LENGTH);
+    }
+
+    if (options.requireAll || details.name !== undefined) {
+      if (!details.name) {
+        throw gardenError('invalid_garden_plant', 'name is required');
+      }
+    }
+    if (options.requireAll || details.plantId !== undefined) {
+      if (!details.plantId || !this.engine.getPlant(details.plantId)) {
+        throw gardenError('invalid_garden_plant', `plantId must be a known plant id, got "${details.plantId || ''}"`, {
+          allowed: this.engine.listPlants().map(plant => plant.id)
+        });
+      }
+    }
+
+    return details;
+  }
+
+  // What the plant's registered details say about its surroundings, in the
+  // free-text form engine.diagnose() expects for environment
+  environmentText(plant) {
+    return ['location', 'light', 'pot']
+      .filter(field => plant[field])
+      .map(field => `${field}: ${plant[field]}`)
+      .join('. ');
+  }
+
+  // input: plain symptom text or { text, symptoms, environment }. Plant
+  // detection is skipped; the registered details are added to the environment.
+  diagnose(id, input, options = {}) {
+    const plant = this.requirePlant(id);
+    const fields = input && typeof input === 'object' ? input : { symptoms: input };
+
+    const badField = ['text', 'symptoms', 'environment'].find(key => fields[key] !== undefined && typeof fields[key] !== 'string');
+    if (badField || (!fields.text && !fields.symptoms)) {
+      throw gardenError('invalid_input', badField
+        ? `The ${badField} field must be a string`
+        : 'Please provide a text or symptoms field describing the problem');
+    }
+
+    const result = this.engine.diagnose({
+      text: fields.text,
+      symptoms: fields.symptoms,
+      plantId: plant.plantId,
+      environment: [this.environmentText(plant), fields.environment].filter(Boolean).join('. ')
+    }, options);
+
+    result.gardenPlant = { id: plant.id, name: plant.name };
+    return result;
+  }
+
+  // Adds a diagnosis to the plant's timeline. The description follows the
+  // logging rules: redacted with logging.redact, and left out with doNotLog
+  // or logging.mode "derived".
+  recordDiagnosis(id, result, options = {}) {
+    const keepInput = !options.doNotLog && this.logging.mode !== 'derived';
+    return this.appendTimeline(id, {
+      type: 'diagnosis',
+      interactionId: result.interactionId || null,
+      input: keepInput ? redactText(result.originalInput, this.logging.redact) : undefined,
+      diagnoses: result.diagnoses.map(diagnosis => ({
+        cause: { id: diagnosis.cause.id, label: diagnosis.cause.label },
+        confidence: diagnosis.confidence
+      }))
+    });
+  }
+
+  // action: { action, causeId?, note? }, e.g. { action: 'Repotted into terracotta', causeId: 'overwatering' }
+  recordAction(id, action) {
+    if (!action || typeof action !== 'object' || typeof action.action !== 'string' || !action.action.trim()) {
+      throw gardenError('invalid_action', 'action is required and must be a string');
+    }
+    for (const field of ['causeId', 'note']) {
+      if (action[field] !== undefined && typeof action[field] !== 'string') {
+        throw gardenError('invalid_action', `${field} must be a string`);
+      }
+    }
+
+    return this.appendTimeline(id, {
+      type: 'action',
+      action: action.action.trim().slice(0, MAX_FIELD_LENGTH),
+      causeId: action.causeId || undefined,
+      note: action.note ? action.note.trim().slice(0, 500) : undefined
+    });
+  }
+
+  // Removes the description from diagnosis entries that match a purge
+  // (see Logger.purgeMatcher); the diagnoses themselves stay. Returns how
+  // many descriptions were, or with dryRun would be, removed.
+  purgeInputs(matches, options = {}) {
+    let cleared = 0;
+    const plants = this.plants.map(plant => {
+      const timeline = plant.timeline.map(entry => {
+        const asLogEntry = { id: entry.interactionId, timestamp: entry.timestamp, originalInput: entry.input, detectedPlant: plant.plantId };
+        if (entry.type !== 'diagnosis' || entry.input === undefined || !matches(asLogEntry)) {
+          return entry;
+        }
+        cleared += 1;
+        const { input, ...rest } = entry;
+        return rest;
+      });
+      return { ...plant, timeline };
+    });
+
+    if (cleared > 0 && !options.dryRun) {
+      this.commit(plants);
+    }
+    return cleared;
+  }
+
+  // Oldest entries are dropped once the timeline reaches maxTimelineEntries
+  appendTimeline(id, fields) {
+    const plant = this.requirePlant(id);
+    const entry = { id: crypto.randomUUID(), timestamp: new Date().toISOString(), ...fields };
+    const timeline = [...plant.timeline, entry].slice(-this.maxTimelineEntries);
+
+    this.commit(this.plants.map(existing => (existing.id === id ? { ...plant, timeline } : existing)));
+    return entry;
+  }
+
+  // Save first so a failed write leaves the in-memory garden untouched
+  commit(plants) {
+    if (this.filePath) {
+      const tempFile = `${this.filePath}.${process.pid}.tmp`;
+      try {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(tempFile, JSON.stringify({ plants }, null, 2));
+        fs.renameSync(tempFile, this.filePath);
+      } catch (error) {
+        try {
+          fs.unlinkSync(tempFile);
+        } catch (cleanupError) {
+          // Temp file was never created
+        }
+        throw new Error(`Failed to save garden: ${error.message}`);
+      }
+    }
+
+    this.plants = plants;
+  }
+}
+
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function gardenError(code, message, details) {
+  const error = new Error(message);
+  error.code = code;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+GardenStore.DEFAULT_GARDEN_FILE = DEFAULT_GARDEN_FILE;
+
+module.exports = GardenStore;
@@ -0,0 +1,379 @@
+const packageInfo = require('../package.json');
+const BatchDiagnoser = require('./batch');
+const CareScheduler = require('./care-plan');
+const { purgeInteractions } = require('./admin');
+const { bodyLimit, corsHeaders, guardRequest } = require('./access');
+const { isKnownTone, listTones } = require('./tone');
+const { API_PREFIX, buildOpenApiDocument, routeScope, validateRequest, validateResponse } = require('./openapi');
+
+// Framework-agnostic endpoint handlers shared by the Express server
+// (src/index.js) and the Vercel functions (api/). A handler takes
+// { method, params, query, headers, body } plus the services
+// { engine, logger, sessions, feedback, garden, careScheduler, batch,
+// apiKeys, rateLimiter } and returns { status, headers?, body }; a string
+// body is sent as is, anything else as JSON. Errors use one envelope
+// everywhere: { error: { code, message, details? } }. Every request passes
+// the API key, rate-limit and body-size checks in src/access.js, and
+// requests and responses are checked against the OpenAPI document in
+// src/openapi.js.
+
+const ERROR_STATUS = {
+  invalid_json: 400,
+  invalid_request: 400,
+  invalid_input: 400,
+  invalid_tone: 400,
+  invalid_answers: 400,
+  invalid_batch: 400,
+  invalid_query: 400,
+  invalid_feedback: 400,
+  invalid_purge: 400,
+  invalid_plant: 400,
+  invalid_garden_plant: 400,
+  invalid_action: 400,
+  invalid_care_plan: 400,
+  unknown_plant: 400,
+  unauthorized: 401,
+  forbidden: 403,
+  admin_disabled: 403,
+  protected_plant: 403,
+  not_found: 404,
+  session_not_found: 404,
+  interaction_not_found: 404,
+  method_not_allowed: 405,
+  conflict: 409,
+  payload_too_large: 413,
+  rate_limited: 429
+};
+
+function httpError(code, message, details) {
+  const error = new Error(message);
+  error.code = code;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+function errorBody(code, message, details) {
+  return { error: { code, message, ...(details ? { details } : {}) } };
+}
+
+// Known error codes keep their message; anything else is logged and hidden behind failureMessage
+function errorResponse(error, failureMessage) {
+  const status = ERROR_STATUS[error.code];
+  if (!status) {
+    console.error(`${failureMessage}:`, error);
+    return { status: 500, body: errorBody('internal_error', failureMessage) };
+  }
+  const response = { status, body: errorBody(error.code, error.message, error.details) };
+  if (error.headers) {
+    response.headers = error.headers;
+  }
+  return response;
+}
+
+// Express hands over parsed JSON; Vercel passes text bodies through as strings
+function parseBody(body) {
+  if (body === undefined || body === null || body === '') {
+    return {};
+  }
+  if (typeof body !== 'string') {
+    return body;
+  }
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    throw httpError('invalid_json', 'Unable to parse request body as JSON');
+  }
+}
+
+function fieldsOf(body) {
+  return body && typeof body === 'object' ? body : {};
+}
+
+function validateOptions({ tone, doNotLog }) {
+  if (tone !== undefined && !isKnownTone(tone)) {
+    throw httpError('invalid_tone', `Unknown tone "${tone}". Available tones: ${listTones().join(', ')}`);
+  }
+  if (doNotLog !== undefined && typeof doNotLog !== 'boolean') {
+    throw httpError('invalid_input', 'The doNotLog field must be a boolean');
+  }
+}
+
+function diagnose(request, { logger, sessions }) {
+  const { text, sessionId, answers, plantName, plantId, symptoms, environment, tone, doNotLog } = fieldsOf(request.body);
+  validateOptions({ tone, doNotLog });
+
+  // Follow-up answers for an ambiguous diagnosis
+  if (sessionId) {
+    const skipLogging = doNotLog || sessions.isDoNotLog(sessionId);
+    const result = sessions.answer(sessionId, answers);
+    result.interactionId = logger.logInteraction(result, { doNotLog: skipLogging });
+    return { status: 200, body: result };
+  }
+
+  const fields = { text, plantName, plantId, symptoms, environment };
+  const badField = Object.keys(fields).find(key => fields[key] !== undefined && typeof fields[key] !== 'string');
+  if (badField || (!text && !symptoms)) {
+    throw httpError('invalid_input', badField
+      ? `The ${badField} field must be a string`
+      : 'Provide a text or symptoms field describing your plant problem');
+  }
+
+  const result = sessions.start(fields, { tone, explain: request.query.explain === 'true', doNotLog });
+  result.interactionId = logger.logInteraction(result, { doNotLog });
+  return { status: 200, body: result };
+}
+
+// One failed record is reported in its row and never fails the request
+function diagnoseBatch(request, { batch }) {
+  const format = request.query.format;
+  const result = batch.runRequest(request.body, format);
+  if (format === 'csv' || format === 'jsonl') {
+    return {
+      status: 200,
+      headers: { 'Content-Type': BatchDiagnoser.CONTENT_TYPES[format] },
+      body: BatchDiagnoser.formatOutput(result, format)
+    };
+  }
+  return { status: 200, body: result };
+}
+
+function health() {
+  return {
+    status: 200,
+    body: {
+      status: 'healthy',
+      timestamp: new Date().toISOString(),
+      version: packageInfo.version,
+      environment: process.env.VERCEL ? 'vercel' : 'node'
+    }
+  };
+}
+
+function stats(request, { logger }) {
+  return { status: 200, body: logger.getLogStats(request.query) };
+}
+
+// Feedback on a logged diagnosis: confirmed, wrong, or "actually it was X"
+function recordFeedback(request, { feedback }) {
+  const entry = feedback.record(request.body);
+  return { status: 201, body: { id: entry.id, interactionId: entry.interactionId, verdict: entry.verdict } };
+}
+
+// Purge logged interactions (their feedback and garden descriptions) by query or age; needs the admin scope
+function purge(request, { logger, feedback, garden }) {
+  return { status: 200, body: purgeInteractions(logger, feedback, fieldsOf(request.body), garden) };
+}
+
+function listPlants(request, { engine }) {
+  return { status: 200, body: { plants: engine.listPlants() } };
+}
+
+function getPlant(request, { engine }) {
+  const plant = request.query.effective === 'true' ? engine.getEffectivePlant(request.params.id) : engine.getPlant(request.params.id);
+  if (!plant) {
+    throw httpError('not_found', `No plant with id "${request.params.id}"`);
+  }
+  return { status: 200, body: plant };
+}
+
+function addPlant(request, { engine }) {
+  return { status: 201, body: engine.addPlant(request.body) };
+}
+
+function updatePlant(request, { engine }) {
+  return { status: 200, body: engine.updatePlant(request.params.id, request.body, { partial: request.method === 'PATCH' }) };
+}
+
+function deletePlant(request, { engine }) {
+  return { status: 200, body: { deleted: engine.deletePlant(request.params.id).id } };
+}
+
+function listGarden(request, { garden }) {
+  return { status: 200, body: { plants: garden.list() } };
+}
+
+function addGardenPlant(request, { garden }) {
+  return { status: 201, body: garden.add(request.body) };
+}
+
+function getGardenPlant(request, { garden }) {
+  return { status: 200, body: garden.requirePlant(request.params.id) };
+}
+
+function updateGardenPlant(request, { garden }) {
+  return { status: 200, body: garden.update(request.params.id, request.body) };
+}
+
+function removeGardenPlant(request, { garden }) {
+  return { status: 200, body: { deleted: garden.remove(request.params.id).id } };
+}
+
+// Plant detection is skipped; the registered details fill in the environment
+function diagnoseGardenPlant(request, { garden, logger }) {
+  const body = fieldsOf(request.body);
+  const { tone, doNotLog } = body;
+  validateOptions({ tone, doNotLog });
+
+  const result = garden.diagnose(request.params.id, body, { tone, explain: request.query.explain === 'true' });
+  result.interactionId = logger.logInteraction(result, { doNotLog });
+  garden.recordDiagnosis(request.params.id, result, { doNotLog });
+  return { status: 200, body: result };
+}
+
+function recordGardenAction(request, { garden }) {
+  return { status: 201, body: garden.recordAction(request.params.id, request.body) };
+}
+
+// GET takes query parameters, POST a JSON body; ?format=ics or
+// Accept: text/calendar returns an iCalendar attachment
+function carePlan(request, { careScheduler }) {
+  const plan = careScheduler.createPlan(request.method === 'GET' ? request.query : fieldsOf(request.body));
+  if (CareScheduler.wantsICS(request.query.format, request.headers.accept)) {
+    return {
+      status: 200,
+      headers: {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${CareScheduler.icsFilename(plan)}"`
+      },
+      body: CareScheduler.toICS(plan)
+    };
+  }
+  return { status: 200, body: plan };
+}
+
+function openApiDocument() {
+  return { status: 200, body: buildOpenApiDocument() };
+}
+
+// Paths use Express syntax; Vercel functions pass :params in req.query.
+// Every /api/v1 route is also served at its unversioned alias. bodyLimit
+// picks the size limit in src/access.js.
+const ROUTES = [
+  { path: `${API_PREFIX}/diagnose`, methods: { POST: diagnose }, failure: 'Failed to process diagnosis request' },
+  {
+    path: `${API_PREFIX}/diagnose/batch`,
+    methods: { POST: diagnoseBatch },
+    failure: 'Failed to process batch diagnosis',
+    bodyLimit: 'batch'
+  },
+  { path: `${API_PREFIX}/health`, methods: { GET: health }, failure: 'Health check failed' },
+  { path: `${API_PREFIX}/stats`, methods: { GET: stats }, failure: 'Failed to retrieve statistics' },
+  { path: `${API_PREFIX}/feedback`, methods: { POST: recordFeedback }, failure: 'Failed to record feedback' },
+  { path: `${API_PREFIX}/admin/purge`, methods: { POST: purge }, failure: 'Failed to purge interactions' },
+  {
+    path: `${API_PREFIX}/plants`,
+    methods: { GET: listPlants, POST: addPlant },
+    failure: 'Failed to update plant data',
+    bodyLimit: 'plant'
+  },
+  {
+    path: `${API_PREFIX}/plants/:id`,
+    methods: { GET: getPlant, PUT: updatePlant, PATCH: updatePlant, DELETE: deletePlant },
+    failure: 'Failed to update plant data',
+    bodyLimit: 'plant'
+  },
+  { path: `${API_PREFIX}/garden`, methods: { GET: listGarden, POST: addGardenPlant }, failure: 'Failed to update garden' },
+  {
+    path: `${API_PREFIX}/garden/:id`,
+    methods: { GET: getGardenPlant, PATCH: updateGardenPlant, DELETE: removeGardenPlant },
+    failure: 'Failed to update garden'
+  },
+  { path: `${API_PREFIX}/garden/:id/diagnose`, methods: { POST: diagnoseGardenPlant }, failure: 'Failed to update garden' },
+  { path: `${API_PREFIX}/garden/:id/actions`, methods: { POST: recordGardenAction }, failure: 'Failed to update garden' },
+  { path: `${API_PREFIX}/care-plan`, methods: { GET: carePlan, POST: carePlan }, failure: 'Failed to build care plan' },
+  { path: '/api/openapi.json', methods: { GET: openApiDocument }, failure: 'Failed to build the API description', unversioned: true }
+].map(route => (route.unversioned ? route : { ...route, alias: route.path.replace(API_PREFIX, '/api') }));
+
+function findRoute(routePath) {
+  const route = ROUTES.find(candidate => candidate.path === routePath || candidate.alias === routePath);
+  if (!route) {
+    throw new Error(`Unknown route ${routePath}`);
+  }
+  return route;
+}
+
+// request.ip identifies anonymous clients for rate limiting
+function handleRequest(route, request, services) {
+  const config = services.engine.config;
+  const headers = request.headers || {};
+  const allowed = Object.keys(route.methods);
+  const cors = corsHeaders({ method: request.method, headers }, config, allowed);
+
+  if (request.method === 'OPTIONS') {
+    return { status: 204, headers: { ...cors, Allow: allowed.join(', ') }, body: '' };
+  }
+
+  const handler = route.methods[request.method];
+  if (!handler) {
+    return {
+      status: 405,
+      headers: { ...cors, Allow: allowed.join(', ') },
+      body: errorBody('method_not_allowed', `Use ${allowed.join(', ')} on ${route.path}`, { allowed })
+    };
+  }
+
+  let response;
+  let guardHeaders = {};
+  try {
+    const guard = guardRequest({ headers, ip: request.ip, body: request.body }, {
+      scope: routeScope(route.path, request.method),
+      maxBodyBytes: bodyLimit(route, config)
+    }, services);
+    guardHeaders = guard.headers;
+
+    const body = ['POST', 'PUT', 'PATCH'].includes(request.method) ? parseBody(request.body) : undefined;
+    const validRequest = {
+      method: request.method,
+      params: request.params || {},
+      query: request.query || {},
+      headers,
+      body
+    };
+    const errors = validateRequest(route.path, validRequest);
+    if (errors.length > 0) {
+      // tone and doNotLog keep their own error codes, as in the CLI and batch
+      validateOptions(fieldsOf(body));
+      throw httpError('invalid_request', `Request does not match the API schema: ${errors[0].path} ${errors[0].message}`, { errors });
+    }
+    response = handler(validRequest, services);
+  } catch (error) {
+    response = errorResponse(error, route.failure);
+  }
+
+  response = checkResponse(route, request.method, response, config);
+  return { ...response, headers: { ...cors, ...guardHeaders, ...response.headers } };
+}
+
+// api.validateResponses: "warn" logs responses that break the documented
+// schema, "strict" turns them into a 500, "off" skips the check
+function checkResponse(route, method, response, config) {
+  const mode = (config.api && config.api.validateResponses) || 'warn';
+  if (mode === 'off') {
+    return response;
+  }
+
+  const errors = validateResponse(route.path, method, response);
+  if (errors.length === 0) {
+    return response;
+  }
+
+  const summary = errors.slice(0, 5).map(error => `${error.path || '(body)'} ${error.message}`).join('; ');
+  if (mode === 'strict') {
+    console.error(`Response for ${method} ${route.path} does not match the API schema: ${summary}`);
+    return { status: 500, body: errorBody('internal_error', route.failure) };
+  }
+  console.warn(`Warning: response for ${method} ${route.path} does not match the API schema: ${summary}`);
+  return response;
+}
+
+module.exports = {
+  ERROR_STATUS,
+  ROUTES,
+  errorBody,
+  errorResponse,
+  findRoute,
+  handleRequest,
+  httpError
+};
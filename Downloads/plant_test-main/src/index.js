@@ -1,72 +1,72 @@
 const express = require('express');
-const cors = require('cors');
 const path = require('path');
 const PlantDiagnosisEngine = require('./diagnosis-engine');
 const Logger = require('./logger');
+const DiagnosisSessions = require('./diagnosis-sessions');
+const FeedbackStore = require('./feedback');
+const GardenStore = require('./garden');
+const CareScheduler = require('./care-plan');
+const BatchDiagnoser = require('./batch');
+const { ApiKeyStore, RateLimiter } = require('./access');
+const { mountExpressRoutes } = require('./adapters');
+const { loadConfig, parseConfigArgs, watchConfig } = require('./config');
 
 class PlantHelperAPI {
-  constructor() {
+  // options: { configPath, overrides } as accepted by loadConfig() in src/config.js
+  constructor(options = {}) {
+    this.configOptions = options;
     this.app = express();
-    this.engine = new PlantDiagnosisEngine();
-    this.logger = new Logger(this.engine.config);
+    const { config, path: configPath } = loadConfig(options);
+    this.configPath = configPath;
+    this.engine = new PlantDiagnosisEngine(config);
+    this.sessions = new DiagnosisSessions(this.engine);
+    this.apiKeys = new ApiKeyStore(config);
+    this.rateLimiter = new RateLimiter();
+    this.createServices();
     this.setupMiddleware();
     this.setupRoutes();
   }
 
-  setupMiddleware() {
-    this.app.use(cors());
-    this.app.use(express.json({ limit: '1mb' }));
-    this.app.use(express.static(path.join(__dirname, '../public')));
+  // Everything built from the config; sessions and rate-limit buckets survive a reload
+  createServices() {
+    this.logger = new Logger(this.engine.config);
+    this.feedback = new FeedbackStore(this.engine, this.logger);
+    this.garden = new GardenStore(this.engine, this.logger);
+    this.careScheduler = new CareScheduler(this.engine, this.garden);
+    this.batch = new BatchDiagnoser(this.engine, this.logger);
   }
 
-  setupRoutes() {
-    // Main diagnosis endpoint
-    this.app.post('/api/diagnose', (req, res) => {
-      try {
-        const { text } = req.body;
-        
-        if (!text || typeof text !== 'string') {
-          return res.status(400).json({
-            error: 'Invalid input',
-            message: 'Please provide a text field with your plant problem description'
-          });
-        }
+  // Re-reads every config layer; an invalid file (config or API keys) keeps the running config
+  reloadConfig() {
+    let config;
+    let apiKeys;
+    try {
+      config = loadConfig(this.configOptions).config;
+      apiKeys = new ApiKeyStore(config);
+    } catch (error) {
+      console.error(`⚠️ Config reload failed, keeping the current configuration:\n${error.message}`);
+      return false;
+    }
 
-        const result = this.engine.diagnose(text);
-        this.logger.logInteraction(result);
-        
-        res.json(result);
-      } catch (error) {
-        console.error('Diagnosis error:', error);
-        res.status(500).json({
-          error: 'Internal server error',
-          message: 'Failed to process diagnosis request'
-        });
-      }
-    });
+    const { server: previousServer } = this.engine.config;
+    this.engine.applyConfig(config);
+    this.apiKeys = apiKeys;
+    this.createServices();
 
-    // Health check endpoint
-    this.app.get('/api/health', (req, res) => {
-      res.json({
-        status: 'healthy',
-        timestamp: new Date().toISOString(),
-        version: '1.0.0'
-      });
-    });
+    if (config.server.port !== previousServer.port || config.server.host !== previousServer.host) {
+      console.warn('⚠️ server.host and server.port changes take effect after a restart');
+    }
+    console.log(`🔄 Configuration reloaded from ${this.configPath}`);
+    return true;
+  }
 
-    // Stats endpoint
-    this.app.get('/api/stats', (req, res) => {
-      try {
-        const stats = this.logger.getLogStats();
-        res.json(stats);
-      } catch (error) {
-        console.error('Stats error:', error);
-        res.status(500).json({
-          error: 'Internal server error',
-          message: 'Failed to retrieve statistics'
-        });
-      }
-    });
+  // Body parsing, CORS and access checks happen per route (src/adapters.js)
+  setupMiddleware() {
+    this.app.use(express.static(path.join(__dirname, '../public')));
+  }
+
+  setupRoutes() {
+    mountExpressRoutes(this.app, this);
 
     // Serve web interface
     this.app.get('/', (req, res) => {
@@ -75,23 +75,55 @@ class PlantHelperAPI {
   }
 
   start() {
-    const port = this.engine.config.server?.port || 3000;
-    const host = this.engine.config.server?.host || 'localhost';
-    
-    this.app.listen(port, host, () => {
+    const { port, host, watchConfig: watch } = this.engine.config.server;
+
+    // Learned keyword weights (src/learn-weights.js) reload with the config
+    if (watch) {
+      const stops = [this.configPath, this.engine.keywordWeightsPath()].map(file => watchConfig(file, () => this.reloadConfig()));
+      this.stopWatching = () => stops.forEach(stop => stop());
+    }
+
+    this.server = this.app.listen(port, host, () => {
       console.log(`🌿 Plant Helper API running at http://${host}:${port}`);
       console.log(`📱 Web interface: http://${host}:${port}`);
       console.log(`🔗 API endpoint: http://${host}:${port}/api/diagnose`);
       console.log(`📊 Stats endpoint: http://${host}:${port}/api/stats`);
+      console.log(`🪴 Plants endpoint: http://${host}:${port}/api/plants`);
+      console.log(`📅 Care plan endpoint: http://${host}:${port}/api/care-plan`);
+      console.log(`🏡 Garden endpoint: http://${host}:${port}/api/garden`);
+      console.log(`👍 Feedback endpoint: http://${host}:${port}/api/feedback`);
+      if (watch) {
+        console.log(`⚙️  Watching ${this.configPath} and ${this.engine.keywordWeightsPath()} for changes`);
+      }
       console.log('\nPress Ctrl+C to stop the server');
     });
   }
+
+  stop() {
+    if (this.stopWatching) {
+      this.stopWatching();
+      this.stopWatching = null;
+    }
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
 }
 
-// Run server if this file is executed directly
+// Run server if this file is executed directly:
+// node src/index.js [--config path] [--set key.path=value ...]
 if (require.main === module) {
-  const api = new PlantHelperAPI();
-  api.start();
+  let api;
+  try {
+    api = new PlantHelperAPI(parseConfigArgs(process.argv.slice(2)));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  }
+  if (api) {
+    api.start();
+  }
 }
 
 module.exports = PlantHelperAPI;
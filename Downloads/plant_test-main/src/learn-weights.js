@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const PlantDiagnosisEngine = require('./diagnosis-engine');
+const FeedbackStore = require('./feedback');
+const { matchTerm } = require('./text-analysis');
+const { loadConfig, parseConfigArgs } = require('./config');
+
+const DEFAULTS = {
+  learningRate: 0.5,
+  minSamples: 3,
+  minWeight: 0.5,
+  maxWeight: 1.5
+};
+
+// Offline job: turns accumulated feedback into per-cause keyword weights.
+// A keyword present in the original description gains weight for a cause
+// users confirmed and loses weight for a cause they marked wrong.
+class KeywordWeightLearner {
+  constructor(engine, options = {}) {
+    this.engine = engine;
+    this.options = { ...DEFAULTS, ...((engine.config.feedback && engine.config.feedback.learning) || {}), ...options };
+  }
+
+  // Keywords of a cause that appear (not negated) in the description
+  matchedKeywords(plant, causeId, analysis) {
+    const cause = plant.causes.find(c => c.id === causeId);
+    if (!cause) {
+      return [];
+    }
+    return [...new Set(cause.keywords.map(keyword => keyword.toLowerCase()))]
+      .filter(keyword => matchTerm(analysis, keyword).found);
+  }
+
+  // { evidence, skipped }: entries without an original description (logged
+  // with logging.mode "derived") or for an unknown plant teach nothing and
+  // are counted in skipped
+  collectEvidence(entries) {
+    const evidence = {};
+    const skipped = { missingInput: 0, unknownPlant: 0 };
+    const tally = (causeId, keyword, field) => {
+      evidence[causeId] = evidence[causeId] || {};
+      evidence[causeId][keyword] = evidence[causeId][keyword] || { confirmed: 0, rejected: 0 };
+      evidence[causeId][keyword][field] += 1;
+    };
+
+    for (const entry of entries) {
+      const interaction = entry.interaction || {};
+      const plant = this.engine.getEffectivePlant(interaction.detectedPlant);
+      if (typeof interaction.originalInput !== 'string') {
+        skipped.missingInput += 1;
+        continue;
+      }
+      if (!plant) {
+        skipped.unknownPlant += 1;
+        continue;
+      }
+
+      const analysis = this.engine.analyzeInput(interaction.originalInput.toLowerCase());
+      const confirmedCause = entry.verdict === 'confirmed' ? entry.causeId
+        : entry.verdict === 'actual' ? entry.actualCauseId : null;
+      const rejectedCause = entry.verdict === 'wrong' ? entry.causeId
+        : entry.verdict === 'actual' && entry.causeId !== entry.actualCauseId ? entry.causeId : null;
+
+      if (confirmedCause) {
+        this.matchedKeywords(plant, confirmedCause, analysis).forEach(keyword => tally(confirmedCause, keyword, 'confirmed'));
+      }
+      if (rejectedCause) {
+        this.matchedKeywords(plant, rejectedCause, analysis).forEach(keyword => tally(rejectedCause, keyword, 'rejected'));
+      }
+    }
+
+    return { evidence, skipped };
+  }
+
+  learn(entries) {
+    const { learningRate, minSamples, minWeight, maxWeight } = this.options;
+    const { evidence, skipped } = this.collectEvidence(entries);
+    const causes = {};
+
+    for (const [causeId, keywords] of Object.entries(evidence)) {
+      for (const [keyword, { confirmed, rejected }] of Object.entries(keywords)) {
+        const samples = confirmed + rejected;
+        if (samples < minSamples) continue;
+
+        // Net agreement in [-1, 1], damped by one pseudo-sample so small counts move less
+        const agreement = (confirmed - rejected) / (samples + 1);
+        const weight = Math.min(Math.max(1 + learningRate * agreement, minWeight), maxWeight);
+        if (weight === 1) continue;
+
+        causes[causeId] = causes[causeId] || {};
+        causes[causeId][keyword] = Math.round(weight * 1000) / 1000;
+      }
+    }
+
+    return {
+      generatedAt: new Date().toISOString(),
+      feedbackCount: entries.length,
+      skipped,
+      options: this.options,
+      causes,
+      evidence
+    };
+  }
+}
+
+// Usage: node src/learn-weights.js [--config file] [--set key.path=value]...
+//        [--feedback file] [--out file] [--dry-run]
+function runLearner(argv) {
+  try {
+    const { configPath, overrides, args } = parseConfigArgs(argv);
+    const readOption = name => {
+      const index = args.indexOf(name);
+      return index !== -1 ? args[index + 1] : undefined;
+    };
+    const engine = new PlantDiagnosisEngine(loadConfig({ configPath, overrides }).config);
+    const feedbackConfig = engine.config.feedback || {};
+    const feedbackFile = readOption('--feedback') || feedbackConfig.file || FeedbackStore.DEFAULT_FEEDBACK_FILE;
+    const outFile = readOption('--out') || engine.keywordWeightsPath();
+
+    const entries = FeedbackStore.readFile(feedbackFile);
+    const weights = new KeywordWeightLearner(engine).learn(entries);
+    const adjusted = Object.values(weights.causes).reduce((count, keywords) => count + Object.keys(keywords).length, 0);
+
+    console.log(`📚 Read ${entries.length} feedback entries from ${feedbackFile}`);
+    if (weights.skipped.missingInput > 0) {
+      console.warn(`⚠️  Skipped ${weights.skipped.missingInput} entries without the original description; interactions logged with logging.mode "derived" cannot train weights`);
+    }
+    if (weights.skipped.unknownPlant > 0) {
+      console.warn(`⚠️  Skipped ${weights.skipped.unknownPlant} entries for plants no longer in the knowledge base`);
+    }
+    for (const [causeId, keywords] of Object.entries(weights.causes)) {
+      console.log(`  ${causeId}: ${Object.entries(keywords).map(([keyword, weight]) => `${keyword} x${weight}`).join(', ')}`);
+    }
+
+    if (args.includes('--dry-run')) {
+      console.log(`🔎 Dry run: ${adjusted} keyword weight(s) would be written to ${outFile}`);
+      return 0;
+    }
+
+    fs.mkdirSync(path.dirname(path.resolve(outFile)), { recursive: true });
+    const tempFile = `${outFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(weights, null, 2));
+    fs.renameSync(tempFile, outFile);
+    console.log(`✅ Wrote ${adjusted} keyword weight(s) to ${outFile}.`);
+    console.log(path.resolve(outFile) === engine.keywordWeightsPath()
+      ? '   Servers with server.watchConfig apply them right away; restart the others.'
+      : '   Point feedback.weightsFile at this file to use them.');
+    return 0;
+  } catch (error) {
+    console.error(`❌ Learning keyword weights failed: ${error.message}`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = runLearner(process.argv.slice(2));
+}
+
+module.exports = KeywordWeightLearner;
+module.exports.runLearner = runLearner;
@@ -0,0 +1,198 @@
+// Aggregates logged interactions for /api/stats. Shared by the Express
+// server and the Vercel function so both return the same shape.
+
+const GROUP_BY = ['day', 'week'];
+const HISTOGRAM_BUCKETS = 10;
+const TOP_CAUSES_PER_PLANT = 5;
+const MAX_RANGE_DAYS = 3660;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function statsError(message) {
+  const error = new Error(message);
+  error.code = 'invalid_query';
+  return error;
+}
+
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && toDateString(date) === value;
+}
+
+// Monday of the ISO week containing the date
+function weekStart(dateString) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  const offset = (date.getUTCDay() + 6) % 7;
+  return toDateString(new Date(date.getTime() - offset * DAY_MS));
+}
+
+// Query: { from, to, groupBy, plant }. Without from/to only today is
+// counted, as before; from without to runs until today; to without from
+// starts at the oldest log.
+function parseStatsQuery(query = {}, now = new Date()) {
+  const pick = key => (Array.isArray(query[key]) ? query[key][0] : query[key]);
+  const from = pick('from');
+  const to = pick('to');
+  const groupBy = pick('groupBy') || 'day';
+  const plant = pick('plant');
+  const today = toDateString(now);
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value !== undefined && !isValidDate(value)) {
+      throw statsError(`${name} must be a date in YYYY-MM-DD format`);
+    }
+  }
+  if (!GROUP_BY.includes(groupBy)) {
+    throw statsError(`groupBy must be one of: ${GROUP_BY.join(', ')}`);
+  }
+  if (plant !== undefined && (typeof plant !== 'string' || !plant.trim())) {
+    throw statsError('plant must be a plant id or name');
+  }
+
+  const range = {
+    from: from || (to ? null : today),
+    to: to || today,
+    groupBy,
+    plant: plant ? plant.trim() : null
+  };
+
+  if (range.from && range.from > range.to) {
+    throw statsError('from must not be after to');
+  }
+  if (range.from && (Date.parse(range.to) - Date.parse(range.from)) / DAY_MS > MAX_RANGE_DAYS) {
+    throw statsError(`Date range is limited to ${MAX_RANGE_DAYS} days`);
+  }
+
+  return range;
+}
+
+function entryDate(entry) {
+  const time = Date.parse(entry.timestamp);
+  return Number.isNaN(time) ? null : toDateString(new Date(time));
+}
+
+function matchesPlant(entry, plant) {
+  if (!plant) return true;
+  const wanted = plant.toLowerCase();
+  return (entry.detectedPlant || '').toLowerCase() === wanted || (entry.plantName || '').toLowerCase() === wanted;
+}
+
+function topDiagnosis(entry) {
+  const diagnoses = entry.diagnoses || [];
+  return diagnoses.reduce((best, diagnosis) => (!best || diagnosis.confidence > best.confidence ? diagnosis : best), null);
+}
+
+function emptyPeriod(period) {
+  return { period, interactions: 0, averageConfidence: 0, noSymptoms: 0, genericFallback: 0, confidenceSum: 0 };
+}
+
+function selectEntries(entries, range) {
+  return entries.filter(entry => {
+    const date = entryDate(entry);
+    return date && (!range.from || date >= range.from) && date <= range.to && matchesPlant(entry, range.plant);
+  });
+}
+
+function buildStats(entries, range) {
+  const inRange = selectEntries(entries, range);
+
+  const from = range.from || inRange.reduce((oldest, entry) => {
+    const date = entryDate(entry);
+    return !oldest || date < oldest ? date : oldest;
+  }, null) || range.to;
+
+  const periodKey = date => (range.groupBy === 'week' ? weekStart(date) : date);
+  const periods = new Map();
+  for (let time = Date.parse(from); time <= Date.parse(range.to); time += DAY_MS) {
+    const key = periodKey(toDateString(new Date(time)));
+    if (!periods.has(key)) periods.set(key, emptyPeriod(key));
+  }
+
+  const stats = {
+    range: { from, to: range.to, groupBy: range.groupBy, plant: range.plant },
+    totalInteractions: inRange.length,
+    averageConfidence: 0,
+    plantsDetected: {},
+    mostCommonIssues: {},
+    series: [],
+    topCausesByPlant: {},
+    detectionMethods: {},
+    genericFallbackRate: 0,
+    noSymptomsRate: 0,
+    confidenceHistogram: Array.from({ length: HISTOGRAM_BUCKETS }, (_, index) => ({
+      range: [index / HISTOGRAM_BUCKETS, (index + 1) / HISTOGRAM_BUCKETS],
+      count: 0
+    }))
+  };
+
+  const causeCounts = {};
+  let confidenceSum = 0;
+  let noSymptoms = 0;
+
+  for (const entry of inRange) {
+    const period = periods.get(periodKey(entryDate(entry)));
+    const top = topDiagnosis(entry);
+    const method = entry.detectionMethod || 'unknown';
+
+    period.interactions += 1;
+    stats.plantsDetected[entry.plantName] = (stats.plantsDetected[entry.plantName] || 0) + 1;
+    stats.detectionMethods[method] = (stats.detectionMethods[method] || 0) + 1;
+    if (method === 'generic_fallback') {
+      period.genericFallback += 1;
+    }
+
+    (entry.diagnoses || []).forEach(diagnosis => {
+      stats.mostCommonIssues[diagnosis.cause.id] = (stats.mostCommonIssues[diagnosis.cause.id] || 0) + 1;
+    });
+
+    if (!top) continue;
+
+    confidenceSum += top.confidence;
+    period.confidenceSum += top.confidence;
+    const bucket = Math.min(Math.floor(top.confidence * HISTOGRAM_BUCKETS), HISTOGRAM_BUCKETS - 1);
+    stats.confidenceHistogram[Math.max(bucket, 0)].count += 1;
+
+    if (top.cause.id === 'no_symptoms') {
+      noSymptoms += 1;
+      period.noSymptoms += 1;
+      continue;
+    }
+
+    // Top causes count the primary (highest confidence) diagnosis only
+    const plantId = entry.detectedPlant || 'unknown';
+    causeCounts[plantId] = causeCounts[plantId] || {};
+    const counted = causeCounts[plantId][top.cause.id] || { cause: top.cause.id, label: top.cause.label, count: 0 };
+    counted.count += 1;
+    causeCounts[plantId][top.cause.id] = counted;
+  }
+
+  const total = inRange.length;
+  stats.averageConfidence = total > 0 ? confidenceSum / total : 0;
+  stats.genericFallbackRate = total > 0 ? (stats.detectionMethods.generic_fallback || 0) / total : 0;
+  stats.noSymptomsRate = total > 0 ? noSymptoms / total : 0;
+
+  stats.series = [...periods.values()].map(({ confidenceSum: sum, ...period }) => ({
+    ...period,
+    averageConfidence: period.interactions > 0 ? sum / period.interactions : 0
+  }));
+
+  for (const [plantId, causes] of Object.entries(causeCounts)) {
+    stats.topCausesByPlant[plantId] = Object.values(causes)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, TOP_CAUSES_PER_PLANT);
+  }
+
+  return stats;
+}
+
+module.exports = {
+  parseStatsQuery,
+  selectEntries,
+  buildStats,
+  weekStart
+};
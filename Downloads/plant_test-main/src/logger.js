@@ -1,5 +1,20 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { parseStatsQuery, selectEntries, buildStats } = require('./log-stats');
+const { redactText } = require('./redaction');
+
+const DEFAULT_FILENAME_FORMAT = 'plant-helper-{YYYY-MM-DD}.jsonl';
+const DEFAULT_MAX_FILE_SIZE_MB = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Files written before the JSONL backend: one pretty-printed JSON array per day
+const LEGACY_LOG_PATTERN = /^plant-helper-(\d{4})-(\d{2})-(\d{2})\.json$/;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
 
 class Logger {
   constructor(config = {}) {
@@ -17,6 +32,9 @@ class Logger {
     }
 
     this.logsDir = this.resolveLogsDirectory();
+    this.filenameFormat = this.config.logging.filenameFormat || DEFAULT_FILENAME_FORMAT;
+    this.filenamePattern = this.buildFilenamePattern(this.filenameFormat);
+    this.lastMaintenanceDay = null;
 
     if (this.config.logging.enabled && this.logsDir) {
       this.ensureLogsDirectory();
@@ -60,55 +78,228 @@ class Logger {
     }
   }
 
-  getLogFilename() {
-    const now = new Date();
-    const dateStr = now.toISOString().split('T')[0]; // YYYY-MM-DD format
-    return `plant-helper-${dateStr}.json`;
+  // Date placeholders in filenameFormat: {YYYY-MM-DD}, {YYYY}, {MM}, {DD} (UTC)
+  getLogFilename(date = new Date(), segment = 0) {
+    const isoDate = date.toISOString().split('T')[0];
+    const [year, month, day] = isoDate.split('-');
+    const filename = this.filenameFormat
+      .replace(/\{YYYY-MM-DD\}/g, isoDate)
+      .replace(/\{YYYY\}/g, year)
+      .replace(/\{MM\}/g, month)
+      .replace(/\{DD\}/g, day);
+
+    if (segment === 0) {
+      return filename;
+    }
+
+    // Size rotation: plant-helper-2025-10-28.jsonl -> plant-helper-2025-10-28.1.jsonl
+    const extension = path.extname(filename);
+    return `${filename.slice(0, filename.length - extension.length)}.${segment}${extension}`;
   }
 
-  loadTodayLogs() {
+  // Matches any file this logger writes, including rotated segments and .gz archives
+  buildFilenamePattern(format) {
+    const extension = path.extname(format);
+    const stem = format.slice(0, format.length - extension.length);
+    const groups = [];
+    const source = stem.split(/(\{YYYY-MM-DD\}|\{YYYY\}|\{MM\}|\{DD\})/).map(part => {
+      if (part === '{YYYY-MM-DD}') {
+        groups.push('year', 'month', 'day');
+        return '(\\d{4})-(\\d{2})-(\\d{2})';
+      }
+      if (part === '{YYYY}' || part === '{MM}' || part === '{DD}') {
+        groups.push({ '{YYYY}': 'year', '{MM}': 'month', '{DD}': 'day' }[part]);
+        return part === '{YYYY}' ? '(\\d{4})' : '(\\d{2})';
+      }
+      return escapeRegExp(part);
+    }).join('');
+
+    return {
+      regex: new RegExp(`^${source}(?:\\.(\\d+))?${escapeRegExp(extension)}(\\.gz)?$`),
+      groups
+    };
+  }
+
+  // { date: 'YYYY-MM-DD', segment, compressed, legacy } or null for unrelated files
+  parseLogFilename(filename) {
+    const match = this.filenamePattern.regex.exec(filename);
+    if (match) {
+      const parts = {};
+      this.filenamePattern.groups.forEach((group, index) => {
+        parts[group] = match[index + 1];
+      });
+      const groupCount = this.filenamePattern.groups.length;
+      return {
+        date: parts.year && parts.month && parts.day ? `${parts.year}-${parts.month}-${parts.day}` : null,
+        segment: match[groupCount + 1] ? parseInt(match[groupCount + 1], 10) : 0,
+        compressed: Boolean(match[groupCount + 2]),
+        legacy: false
+      };
+    }
+
+    const legacyMatch = LEGACY_LOG_PATTERN.exec(filename);
+    if (legacyMatch) {
+      return { date: `${legacyMatch[1]}-${legacyMatch[2]}-${legacyMatch[3]}`, segment: 0, compressed: false, legacy: true };
+    }
+
+    return null;
+  }
+
+  // Log files with their parsed names, oldest first
+  listLogFiles() {
     if (!this.config.logging.enabled || !this.logsDir) {
-      return [...this.memoryLogs];
+      return [];
     }
 
-    const filename = this.getLogFilename();
-    const filepath = path.join(this.logsDir, filename);
-    
+    let filenames;
     try {
-      if (fs.existsSync(filepath)) {
-        const data = fs.readFileSync(filepath, 'utf8');
-        return JSON.parse(data);
-      }
+      filenames = fs.readdirSync(this.logsDir);
+    } catch (error) {
+      console.warn(`Warning: Could not read logs directory ${this.logsDir}: ${error.message}`);
+      return [];
+    }
+
+    return filenames
+      .map(filename => ({ filename, filepath: path.join(this.logsDir, filename), ...this.parseLogFilename(filename) }))
+      .filter(file => file.date !== undefined)
+      .sort((a, b) => (a.date || '').localeCompare(b.date || '') || a.segment - b.segment || a.filename.localeCompare(b.filename));
+  }
+
+  // Reads JSONL (optionally gzipped) or a legacy JSON array. A corrupt line
+  // only loses that entry, never the rest of the file.
+  readLogFile(filepath) {
+    let content;
+    try {
+      const raw = fs.readFileSync(filepath);
+      content = (filepath.endsWith('.gz') ? zlib.gunzipSync(raw) : raw).toString('utf8');
     } catch (error) {
-      console.warn(`Warning: Could not load existing log file ${filename}: ${error.message}`);
+      console.warn(`Warning: Could not read log file ${path.basename(filepath)}: ${error.message}`);
+      return [];
+    }
+
+    if (content.trimStart().startsWith('[')) {
+      try {
+        const entries = JSON.parse(content);
+        return Array.isArray(entries) ? entries : [];
+      } catch (error) {
+        console.warn(`Warning: Could not parse legacy log file ${path.basename(filepath)}: ${error.message}`);
+        return [];
+      }
+    }
+
+    const entries = [];
+    let skipped = 0;
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        skipped += 1;
+      }
     }
-    
-    return [];
+    if (skipped > 0) {
+      console.warn(`Warning: Skipped ${skipped} corrupt line(s) in ${path.basename(filepath)}`);
+    }
+    return entries;
+  }
+
+  readLogs(files) {
+    return files.reduce((entries, file) => entries.concat(this.readLogFile(file.filepath)), []);
   }
 
-  saveLogs(logs) {
+  loadTodayLogs() {
     if (!this.config.logging.enabled || !this.logsDir) {
-      return;
+      return [...this.memoryLogs];
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    return this.readLogs(this.listLogFiles().filter(file => file.date === today));
+  }
+
+  loadAllLogs() {
+    if (!this.config.logging.enabled || !this.logsDir) {
+      return [...this.memoryLogs];
+    }
+
+    return this.readLogs(this.listLogFiles());
+  }
+
+  // Current segment for today, moving on to the next one once maxFileSizeMB is reached
+  getActiveLogPath(date = new Date()) {
+    const maxBytes = (this.config.logging.maxFileSizeMB || DEFAULT_MAX_FILE_SIZE_MB) * 1024 * 1024;
+    let segment = 0;
+
+    while (true) {
+      const filepath = path.join(this.logsDir, this.getLogFilename(date, segment));
+      let size;
+      try {
+        size = fs.statSync(filepath).size;
+      } catch (error) {
+        return filepath;
+      }
+      if (size < maxBytes) {
+        return filepath;
+      }
+      segment += 1;
     }
+  }
+
+  // Each entry is a single appendFileSync (one O_APPEND write), so concurrent
+  // requests and processes never overwrite each other's lines
+  appendEntry(logEntry) {
+    const filepath = this.getActiveLogPath();
 
-    const filename = this.getLogFilename();
-    const filepath = path.join(this.logsDir, filename);
-    
     try {
-      fs.writeFileSync(filepath, JSON.stringify(logs, null, 2));
+      if (this.isLegacyFile(filepath)) {
+        this.convertLegacyFile(filepath, filepath);
+      }
+      fs.appendFileSync(filepath, JSON.stringify(logEntry) + '\n');
     } catch (error) {
-      console.error(`Error saving logs to ${filename}: ${error.message}`);
+      console.error(`Error writing log entry to ${path.basename(filepath)}: ${error.message}`);
     }
   }
 
-  logInteraction(diagnosisResult) {
-    const logEntry = {
+  // A pre-JSONL array file at the path we are about to append to (filenameFormat still ending in .json)
+  isLegacyFile(filepath) {
+    try {
+      const fd = fs.openSync(filepath, 'r');
+      const buffer = Buffer.alloc(64);
+      const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+      fs.closeSync(fd);
+      return buffer.toString('utf8', 0, bytesRead).trimStart().startsWith('[');
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // logging.mode "derived" keeps only plant id, cause ids and scores, so
+  // feedback on those entries cannot train keyword weights (src/learn-weights.js
+  // reports them as skipped); otherwise the input is stored after
+  // logging.redact has been applied
+  buildLogEntry(diagnosisResult) {
+    const base = {
+      id: crypto.randomUUID(),
       timestamp: diagnosisResult.timestamp,
-      originalInput: diagnosisResult.originalInput,
       detectedPlant: diagnosisResult.detectedPlant,
       plantName: diagnosisResult.plantName,
       plantMatchScore: diagnosisResult.plantMatchScore,
       detectionMethod: diagnosisResult.detectionMethod,
+      detectionStatus: diagnosisResult.detectionStatus
+    };
+
+    if (this.config.logging.mode === 'derived') {
+      return {
+        ...base,
+        diagnoses: diagnosisResult.diagnoses.map(d => ({
+          cause: { id: d.cause.id, label: d.cause.label },
+          confidence: d.confidence
+        }))
+      };
+    }
+
+    return {
+      ...base,
+      originalInput: redactText(diagnosisResult.originalInput, this.config.logging.redact),
       diagnoses: diagnosisResult.diagnoses.map(d => ({
         cause: d.cause,
         confidence: d.confidence,
@@ -117,6 +308,16 @@ class Logger {
         eco_tip: d.eco_tip
       }))
     };
+  }
+
+  // Returns the id feedback uses to reference this interaction, or null when
+  // the caller asked for the interaction not to be logged
+  logInteraction(diagnosisResult, options = {}) {
+    if (options.doNotLog) {
+      return null;
+    }
+
+    const logEntry = this.buildLogEntry(diagnosisResult);
 
     this.memoryLogs.push(logEntry);
     if (this.memoryLogs.length > this.maxMemoryLogs) {
@@ -124,51 +325,292 @@ class Logger {
     }
 
     if (!this.config.logging.enabled || !this.logsDir) {
+      return logEntry.id;
+    }
+
+    this.appendEntry(logEntry);
+    this.maintainDaily();
+    return logEntry.id;
+  }
+
+  // Look an interaction up by id, newest log files first
+  findInteraction(id) {
+    const inMemory = this.memoryLogs.find(log => log.id === id);
+    if (inMemory || !this.config.logging.enabled || !this.logsDir) {
+      return inMemory || null;
+    }
+
+    for (const file of this.listLogFiles().reverse()) {
+      const match = this.readLogFile(file.filepath).find(log => log.id === id);
+      if (match) {
+        return match;
+      }
+    }
+
+    return null;
+  }
+
+  // The filter purge() applies, as a predicate on log entries; GardenStore
+  // uses it on timeline inputs too
+  static purgeMatcher(criteria = {}) {
+    const { olderThanDays, before, text, plant, interactionId } = criteria;
+    const filters = [];
+
+    if (olderThanDays !== undefined) {
+      if (typeof olderThanDays !== 'number' || !Number.isFinite(olderThanDays) || olderThanDays < 0) {
+        throw purgeError('olderThanDays must be a non-negative number');
+      }
+      const cutoff = Date.now() - olderThanDays * DAY_MS;
+      filters.push(entry => Date.parse(entry.timestamp) < cutoff);
+    }
+    if (before !== undefined) {
+      const cutoff = Date.parse(`${before}T00:00:00Z`);
+      if (typeof before !== 'string' || Number.isNaN(cutoff)) {
+        throw purgeError('before must be a date in YYYY-MM-DD format');
+      }
+      filters.push(entry => Date.parse(entry.timestamp) < cutoff);
+    }
+    for (const [name, value] of [['text', text], ['plant', plant], ['interactionId', interactionId]]) {
+      if (value !== undefined && (typeof value !== 'string' || !value.trim())) {
+        throw purgeError(`${name} must be a non-empty string`);
+      }
+    }
+    if (text !== undefined) {
+      const needle = text.toLowerCase();
+      filters.push(entry => typeof entry.originalInput === 'string' && entry.originalInput.toLowerCase().includes(needle));
+    }
+    if (plant !== undefined) {
+      filters.push(entry => entry.detectedPlant === plant);
+    }
+    if (interactionId !== undefined) {
+      filters.push(entry => entry.id === interactionId);
+    }
+    if (filters.length === 0) {
+      throw purgeError('Provide at least one of olderThanDays, before, text, plant or interactionId');
+    }
+
+    return entry => filters.every(filter => filter(entry));
+  }
+
+  // criteria: { olderThanDays, before (YYYY-MM-DD), text, plant, interactionId, dryRun }.
+  // Entries matching every given filter are removed; at least one filter is required.
+  purge(criteria = {}) {
+    const { dryRun = false } = criteria;
+    const matches = Logger.purgeMatcher(criteria);
+    const report = { removed: 0, removedIds: [], filesRewritten: [], filesDeleted: [], dryRun };
+
+    const keptInMemory = this.memoryLogs.filter(entry => !matches(entry));
+    if (!this.config.logging.enabled || !this.logsDir) {
+      report.removedIds = this.memoryLogs.filter(matches).map(entry => entry.id);
+      report.removed = report.removedIds.length;
+    }
+    if (!dryRun) {
+      this.memoryLogs = keptInMemory;
+    }
+
+    for (const file of this.listLogFiles()) {
+      try {
+        this.purgeFile(file, matches, report);
+      } catch (error) {
+        console.error(`Error purging ${file.filename}: ${error.message}`);
+      }
+    }
+
+    return report;
+  }
+
+  // Rewrites one file without the matching entries. If an append lands
+  // while we rewrite, the file changed size and we start over.
+  purgeFile(file, matches, report) {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const sizeBefore = fs.statSync(file.filepath).size;
+      const entries = this.readLogFile(file.filepath);
+      const kept = entries.filter(entry => !matches(entry));
+      const removed = entries.filter(matches);
+
+      if (removed.length === 0) {
+        return;
+      }
+      if (report.dryRun) {
+        report.removed += removed.length;
+        report.removedIds.push(...removed.map(entry => entry.id).filter(Boolean));
+        return;
+      }
+
+      const legacy = this.isLegacyFile(file.filepath);
+      let content = legacy ? JSON.stringify(kept, null, 2) : kept.map(entry => JSON.stringify(entry) + '\n').join('');
+      if (file.compressed) {
+        content = zlib.gzipSync(content);
+      }
+
+      const tempPath = `${file.filepath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, content);
+      if (fs.statSync(file.filepath).size !== sizeBefore) {
+        fs.unlinkSync(tempPath);
+        continue;
+      }
+
+      if (kept.length === 0) {
+        fs.unlinkSync(tempPath);
+        fs.unlinkSync(file.filepath);
+        report.filesDeleted.push(file.filename);
+      } else {
+        fs.renameSync(tempPath, file.filepath);
+        report.filesRewritten.push(file.filename);
+      }
+      report.removed += removed.length;
+      report.removedIds.push(...removed.map(entry => entry.id).filter(Boolean));
       return;
     }
 
-    const logs = this.loadTodayLogs();
-    logs.push(logEntry);
-    this.saveLogs(logs);
+    throw new Error('file kept changing while purging, try again');
   }
 
-  getLogStats() {
-    const logs = this.loadTodayLogs();
-    const stats = {
-      totalInteractions: logs.length,
-      plantsDetected: {},
-      averageConfidence: 0,
-      mostCommonIssues: {}
-    };
+  maintainDaily() {
+    const today = new Date().toISOString().split('T')[0];
+    if (this.lastMaintenanceDay !== today) {
+      this.lastMaintenanceDay = today;
+      this.maintain();
+    }
+  }
 
-    if (logs.length === 0) {
-      return stats;
-    }
-
-    let totalConfidence = 0;
-    
-    logs.forEach(log => {
-      // Count plant detections
-      const plantName = log.plantName;
-      stats.plantsDetected[plantName] = (stats.plantsDetected[plantName] || 0) + 1;
-      
-      // Calculate average confidence
-      if (log.diagnoses && log.diagnoses.length > 0) {
-        const maxConfidence = Math.max(...log.diagnoses.map(d => d.confidence));
-        totalConfidence += maxConfidence;
-      }
-      
-      // Count common issues
-      log.diagnoses.forEach(diagnosis => {
-        const causeId = diagnosis.cause.id;
-        stats.mostCommonIssues[causeId] = (stats.mostCommonIssues[causeId] || 0) + 1;
-      });
-    });
+  // Deletes files older than retentionDays and gzips files older than
+  // compressAfterDays. Today's files are never touched.
+  maintain(now = new Date()) {
+    const report = { deleted: [], compressed: [] };
+    if (!this.config.logging.enabled || !this.logsDir) {
+      return report;
+    }
+
+    const { retentionDays, compressAfterDays } = this.config.logging;
+    const today = now.toISOString().split('T')[0];
+    const ageInDays = date => Math.floor((Date.parse(today) - Date.parse(date)) / DAY_MS);
+
+    for (const file of this.listLogFiles()) {
+      if (!file.date || file.date >= today) continue;
+      const age = ageInDays(file.date);
+
+      try {
+        if (typeof retentionDays === 'number' && retentionDays > 0 && age > retentionDays) {
+          fs.unlinkSync(file.filepath);
+          report.deleted.push(file.filename);
+        } else if (typeof compressAfterDays === 'number' && compressAfterDays >= 0 && age > compressAfterDays &&
+          !file.compressed && !file.legacy) {
+          this.compressFile(file.filepath);
+          report.compressed.push(file.filename);
+        }
+      } catch (error) {
+        console.warn(`Warning: Log maintenance failed for ${file.filename}: ${error.message}`);
+      }
+    }
+
+    return report;
+  }
+
+  compressFile(filepath) {
+    const gzPath = `${filepath}.gz`;
+    const tempPath = `${gzPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, zlib.gzipSync(fs.readFileSync(filepath)));
+    fs.renameSync(tempPath, gzPath);
+    fs.unlinkSync(filepath);
+  }
 
-    stats.averageConfidence = totalConfidence / logs.length;
+  convertLegacyFile(sourcePath, targetPath) {
+    const entries = this.readLogFile(sourcePath);
+    const lines = entries.map(entry => JSON.stringify(entry) + '\n').join('');
 
-    return stats;
+    if (sourcePath === targetPath) {
+      const tempPath = `${targetPath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, lines);
+      fs.renameSync(tempPath, targetPath);
+    } else {
+      fs.appendFileSync(targetPath, lines);
+    }
+    return entries.length;
   }
+
+  // Converts plant-helper-YYYY-MM-DD.json arrays into the JSONL layout. The
+  // originals are kept as *.migrated unless deleteOriginals is set.
+  migrateLegacyLogs(options = {}) {
+    const { deleteOriginals = false, dryRun = false } = options;
+    const report = { migrated: [], entries: 0 };
+    if (!this.config.logging.enabled || !this.logsDir) {
+      return report;
+    }
+
+    // With a ".json" filenameFormat the legacy files also match the current pattern
+    const legacyFiles = this.listLogFiles().filter(f => f.date && !f.compressed && (f.legacy || this.isLegacyFile(f.filepath)));
+
+    for (const file of legacyFiles) {
+      const targetPath = path.join(this.logsDir, this.getLogFilename(new Date(`${file.date}T00:00:00Z`)));
+      let count;
+      if (dryRun) {
+        count = this.readLogFile(file.filepath).length;
+      } else {
+        count = this.convertLegacyFile(file.filepath, targetPath);
+        if (targetPath !== file.filepath) {
+          if (deleteOriginals) {
+            fs.unlinkSync(file.filepath);
+          } else {
+            fs.renameSync(file.filepath, `${file.filepath}.migrated`);
+          }
+        }
+      }
+
+      report.migrated.push({ from: file.filename, to: path.basename(targetPath), entries: count });
+      report.entries += count;
+    }
+
+    return report;
+  }
+
+  // Entries from the log files that can hold the range (a day of slack on
+  // each side for entries written around midnight)
+  loadLogs(range = {}) {
+    if (!this.config.logging.enabled || !this.logsDir) {
+      return [...this.memoryLogs];
+    }
+
+    const shift = (date, days) => new Date(Date.parse(date) + days * DAY_MS).toISOString().split('T')[0];
+    const from = range.from ? shift(range.from, -1) : null;
+    const to = range.to ? shift(range.to, 1) : null;
+
+    return this.readLogs(this.listLogFiles().filter(file =>
+      !file.date || ((!from || file.date >= from) && (!to || file.date <= to))
+    ));
+  }
+
+  // query: { from, to, groupBy, plant } as accepted by /api/stats (see src/log-stats.js)
+  getLogStats(query = {}) {
+    const range = parseStatsQuery(query);
+    return buildStats(this.loadLogs(range), range);
+  }
+
+  // Logged interactions, newest first. Same query as getLogStats plus limit,
+  // but without from/to it covers every log rather than just today.
+  getHistory(query = {}) {
+    const range = parseStatsQuery(query);
+    if (!query.from && !query.to) {
+      range.from = null;
+    }
+
+    const limit = query.limit === undefined ? 20 : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      const error = new Error('limit must be a positive whole number');
+      error.code = 'invalid_query';
+      throw error;
+    }
+
+    return selectEntries(this.loadLogs(range), range)
+      .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)))
+      .slice(0, limit);
+  }
+}
+
+function purgeError(message) {
+  const error = new Error(message);
+  error.code = 'invalid_purge';
+  return error;
 }
 
 module.exports = Logger;
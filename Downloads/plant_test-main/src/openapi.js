@@ -0,0 +1,814 @@
+const packageInfo = require('../package.json');
+const CareScheduler = require('./care-plan');
+const FeedbackStore = require('./feedback');
+const { INHERITED_FIELDS, PLANT_SCHEMA, validateValue } = require('./plant-schema');
+const { RANKS } = require('./taxonomy');
+const { LIGHT_LEVELS, HUMIDITY_LEVELS, DRAINAGE_LEVELS, LOCATIONS, SEASONS } = require('./environment');
+const { listTones } = require('./tone');
+
+// The OpenAPI document for /api/v1, and request/response validation against
+// it. Schemas are plain JSON Schema as used by OpenAPI 3.0 and are checked
+// with the knowledge-base validator in src/plant-schema.js.
+
+const API_PREFIX = '/api/v1';
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const string = { type: 'string' };
+const text = { type: 'string', minLength: 1 };
+const date = { type: 'string', format: 'date', pattern: '^\\d{4}-\\d{2}-\\d{2}$' };
+const timestamp = { type: 'string', format: 'date-time' };
+const integer = { type: 'integer', minimum: 0 };
+const confidence = { type: 'number', minimum: 0, maximum: 1 };
+const strings = { type: 'array', items: string };
+const counts = { type: 'object', additionalProperties: integer };
+const tone = { type: 'string', enum: listTones() };
+
+const DETECTION_METHODS = ['plant_id', 'plant_name_match', 'alias_match', 'fuzzy_match', 'generic_fallback', 'no_input'];
+// 'ambiguous' results still carry the best candidate; clients ask "Did you mean...?"
+const DETECTION_STATUSES = ['matched', 'ambiguous', 'unmatched'];
+const plantRef = { type: 'string', nullable: true };
+
+const SCHEMAS = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: {
+          code: string,
+          message: string,
+          details: { description: 'Extra context, e.g. validation errors or allowed values' }
+        }
+      }
+    }
+  },
+  Cause: {
+    type: 'object',
+    required: ['id', 'label'],
+    properties: { id: string, label: string, keywords: strings }
+  },
+  Diagnosis: {
+    type: 'object',
+    required: ['cause', 'confidence', 'why', 'actions', 'eco_tip'],
+    properties: {
+      cause: ref('Cause'),
+      confidence,
+      why: string,
+      actions: strings,
+      eco_tip: string,
+      origin: {
+        type: 'object',
+        description: 'Id of the plant (itself or an ancestor) each piece of advice came from; null for built-in fallbacks',
+        properties: { cause: plantRef, actions: plantRef, eco_tip: plantRef }
+      },
+      scoring: { type: 'object', description: 'Score breakdown, only with ?explain=true' }
+    }
+  },
+  Environment: {
+    type: 'object',
+    description: 'Conditions read from the environment field; season falls back to the request date',
+    required: ['season', 'evidence'],
+    properties: {
+      light: { type: 'string', enum: LIGHT_LEVELS },
+      humidity: { type: 'string', enum: HUMIDITY_LEVELS },
+      temperature: { type: 'number', description: 'Degrees Celsius' },
+      drainage: { type: 'string', enum: DRAINAGE_LEVELS },
+      location: { type: 'string', enum: LOCATIONS },
+      season: { type: 'string', enum: SEASONS },
+      evidence: { type: 'object', additionalProperties: string, description: 'The words each factor was read from' }
+    }
+  },
+  Lineage: {
+    type: 'array',
+    description: 'The plant followed by the ancestors it inherits from, nearest first',
+    items: {
+      type: 'object',
+      required: ['id', 'name', 'rank'],
+      properties: { id: string, name: string, rank: { type: 'string', enum: RANKS } }
+    }
+  },
+  FollowUp: {
+    type: 'object',
+    required: ['sessionId', 'questions'],
+    properties: {
+      sessionId: {
+        ...string,
+        description: 'Signed session state, valid for 30 minutes. Nothing is stored server-side; instances continue each other\'s sessions only when they share PLANT_HELPER_SESSION_SECRET'
+      },
+      questions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'type', 'text'],
+          properties: { id: string, type: { type: 'string', enum: ['text', 'yes_no'] }, text: string }
+        }
+      }
+    }
+  },
+  PlantCandidate: {
+    type: 'object',
+    required: ['plantId', 'name', 'method', 'score'],
+    properties: {
+      plantId: string,
+      name: string,
+      method: { type: 'string', enum: DETECTION_METHODS },
+      score: confidence,
+      matched: { type: 'string', description: 'The name or alias found in the input' }
+    }
+  },
+  DiagnosisResult: {
+    type: 'object',
+    required: [
+      'plantName', 'plantMatchScore', 'diagnoses', 'timestamp', 'originalInput', 'detectedPlant', 'detectionMethod',
+      'detectionStatus', 'plantCandidates', 'negatedTerms', 'tone'
+    ],
+    properties: {
+      plantName: string,
+      plantMatchScore: confidence,
+      diagnoses: { type: 'array', items: ref('Diagnosis') },
+      timestamp,
+      originalInput: string,
+      detectedPlant: string,
+      detectionMethod: { type: 'string', enum: DETECTION_METHODS },
+      detectionStatus: { type: 'string', enum: DETECTION_STATUSES },
+      plantCandidates: { type: 'array', items: ref('PlantCandidate'), description: 'Ranked plants found in the input, best first' },
+      lineage: ref('Lineage'),
+      environment: ref('Environment'),
+      negatedTerms: strings,
+      tone,
+      interactionId: { type: 'string', nullable: true },
+      explanation: { type: 'object', description: 'Plant detection and scoring details, only with ?explain=true' },
+      followUp: ref('FollowUp'),
+      gardenPlant: {
+        type: 'object',
+        required: ['id', 'name'],
+        properties: { id: string, name: string }
+      }
+    }
+  },
+  DiagnoseRequest: {
+    type: 'object',
+    properties: {
+      text: string,
+      symptoms: string,
+      plantName: string,
+      plantId: string,
+      environment: string,
+      tone,
+      doNotLog: { type: 'boolean' },
+      sessionId: { type: 'string', description: 'Answer the follow-up questions of an earlier result' },
+      answers: { type: 'object', description: 'Answers keyed by follow-up question id: "yes", "no" or free text' }
+    }
+  },
+  BatchRequest: {
+    type: 'object',
+    required: ['records'],
+    properties: {
+      records: {
+        type: 'array',
+        minItems: 1,
+        items: { description: 'A DiagnoseRequest-like record with an optional id; bad records become error rows' }
+      },
+      tone,
+      doNotLog: { type: 'boolean' }
+    }
+  },
+  BatchResult: {
+    type: 'object',
+    required: ['results', 'summary'],
+    properties: {
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'index', 'status'],
+          properties: {
+            id: { type: 'string', nullable: true },
+            index: integer,
+            status: { type: 'string', enum: ['ok', 'error'] },
+            detectedPlant: string,
+            plantName: string,
+            detectionMethod: { type: 'string', enum: DETECTION_METHODS },
+            detectionStatus: { type: 'string', enum: DETECTION_STATUSES },
+            plantMatchScore: confidence,
+            diagnoses: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['cause', 'confidence'],
+                properties: { cause: ref('Cause'), confidence }
+              }
+            },
+            interactionId: { type: 'string', nullable: true },
+            error: {
+              type: 'object',
+              required: ['code', 'message'],
+              properties: { code: string, message: string }
+            }
+          }
+        }
+      },
+      summary: {
+        type: 'object',
+        required: ['total', 'succeeded', 'failed', 'averageConfidence'],
+        properties: {
+          total: integer,
+          succeeded: integer,
+          failed: integer,
+          averageConfidence: confidence,
+          plantsDetected: counts,
+          topCauses: counts,
+          errors: counts,
+          durationMs: integer
+        }
+      }
+    }
+  },
+  Health: {
+    type: 'object',
+    required: ['status', 'timestamp', 'version', 'environment'],
+    properties: {
+      status: { type: 'string', enum: ['healthy'] },
+      timestamp,
+      version: string,
+      environment: { type: 'string', enum: ['node', 'vercel'] }
+    }
+  },
+  Stats: {
+    type: 'object',
+    required: ['range', 'totalInteractions', 'averageConfidence', 'series'],
+    properties: {
+      range: {
+        type: 'object',
+        required: ['to', 'groupBy'],
+        properties: {
+          from: { type: 'string', nullable: true },
+          to: string,
+          groupBy: string,
+          plant: { type: 'string', nullable: true }
+        }
+      },
+      totalInteractions: integer,
+      averageConfidence: confidence,
+      plantsDetected: counts,
+      mostCommonIssues: counts,
+      detectionMethods: counts,
+      series: { type: 'array', items: { type: 'object' } },
+      topCausesByPlant: { type: 'object' },
+      genericFallbackRate: confidence,
+      noSymptomsRate: confidence,
+      confidenceHistogram: { type: 'array', items: { type: 'object' } }
+    }
+  },
+  FeedbackRequest: {
+    type: 'object',
+    required: ['interactionId', 'verdict'],
+    properties: {
+      interactionId: string,
+      verdict: { type: 'string', enum: FeedbackStore.VERDICTS },
+      causeId: string,
+      actualCauseId: string,
+      comment: string
+    }
+  },
+  FeedbackReceipt: {
+    type: 'object',
+    required: ['id', 'interactionId', 'verdict'],
+    properties: { id: string, interactionId: string, verdict: { type: 'string', enum: FeedbackStore.VERDICTS } }
+  },
+  PurgeRequest: {
+    type: 'object',
+    properties: {
+      olderThanDays: { type: 'number', minimum: 0 },
+      before: date,
+      text,
+      plant: text,
+      interactionId: text,
+      dryRun: { type: 'boolean' }
+    }
+  },
+  PurgeReport: {
+    type: 'object',
+    required: ['removed', 'removedIds', 'dryRun', 'feedbackRemoved', 'gardenInputsCleared'],
+    properties: {
+      removed: integer,
+      removedIds: strings,
+      filesRewritten: strings,
+      filesDeleted: strings,
+      dryRun: { type: 'boolean' },
+      feedbackRemoved: integer,
+      gardenInputsCleared: { ...integer, description: 'Garden timeline diagnoses whose description was removed' }
+    }
+  },
+  PlantSummary: {
+    type: 'object',
+    required: ['id', 'name', 'aliases', 'causes'],
+    properties: {
+      id: string,
+      name: string,
+      aliases: strings,
+      causes: { ...strings, description: 'Cause ids, including inherited ones' },
+      rank: { type: 'string', enum: RANKS },
+      parent: string,
+      genus: string,
+      family: string,
+      source: string
+    }
+  },
+  PlantList: {
+    type: 'object',
+    required: ['plants'],
+    properties: { plants: { type: 'array', items: ref('PlantSummary') } }
+  },
+  // The knowledge-base schema itself, with its RegExp patterns as strings.
+  // Plants with an ancestor may omit inherited fields; ?effective=true adds
+  // them back along with lineage and origins.
+  Plant: JSON.parse(JSON.stringify({
+    ...PLANT_SCHEMA,
+    required: PLANT_SCHEMA.required.filter(field => !INHERITED_FIELDS.includes(field)),
+    properties: {
+      ...PLANT_SCHEMA.properties,
+      lineage: ref('Lineage'),
+      origins: { type: 'object', description: 'Id of the plant each symptom, cause, solution, eco tip and care section came from' }
+    }
+  }, (key, value) => (value instanceof RegExp ? value.source : value))),
+  // Plant writes are checked by the knowledge base itself, which reports every problem in details
+  PlantInput: { type: 'object', description: 'A plant entry matching the Plant schema' },
+  Deleted: {
+    type: 'object',
+    required: ['deleted'],
+    properties: { deleted: string }
+  },
+  GardenPlantInput: {
+    type: 'object',
+    properties: { name: string, plantId: string, location: string, light: string, pot: string, notes: string }
+  },
+  TimelineEntry: {
+    type: 'object',
+    required: ['id', 'timestamp', 'type'],
+    properties: {
+      id: string,
+      timestamp,
+      type: { type: 'string', enum: ['diagnosis', 'action'] },
+      interactionId: { type: 'string', nullable: true },
+      input: string,
+      diagnoses: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['cause', 'confidence'],
+          properties: { cause: ref('Cause'), confidence }
+        }
+      },
+      action: string,
+      causeId: string,
+      note: string
+    }
+  },
+  GardenPlant: {
+    type: 'object',
+    required: ['id', 'name', 'plantId', 'createdAt', 'updatedAt', 'timeline'],
+    properties: {
+      id: string,
+      name: string,
+      plantId: string,
+      location: string,
+      light: string,
+      pot: string,
+      notes: string,
+      createdAt: timestamp,
+      updatedAt: timestamp,
+      timeline: { type: 'array', items: ref('TimelineEntry') }
+    }
+  },
+  GardenList: {
+    type: 'object',
+    required: ['plants'],
+    properties: {
+      plants: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'name', 'plantId', 'timelineEntries', 'lastDiagnosis'],
+          properties: {
+            id: string,
+            name: string,
+            plantId: string,
+            timelineEntries: integer,
+            lastDiagnosis: {
+              type: 'object',
+              nullable: true,
+              properties: { timestamp, cause: { ...ref('Cause'), nullable: true } }
+            }
+          }
+        }
+      }
+    }
+  },
+  GardenDiagnoseRequest: {
+    type: 'object',
+    properties: { text: string, symptoms: string, environment: string, tone, doNotLog: { type: 'boolean' } }
+  },
+  GardenActionRequest: {
+    type: 'object',
+    required: ['action'],
+    properties: { action: text, causeId: string, note: string }
+  },
+  CarePlanRequest: {
+    type: 'object',
+    properties: {
+      plantId: string,
+      gardenPlantId: string,
+      plantName: string,
+      text: string,
+      symptoms: string,
+      environment: string,
+      start: date,
+      days: { type: 'integer', minimum: 1, maximum: 365 },
+      hemisphere: { type: 'string', enum: ['north', 'south'] },
+      lastWatered: date,
+      lastFertilized: date,
+      lastRepotted: date
+    }
+  },
+  CarePlan: {
+    type: 'object',
+    required: ['plant', 'start', 'end', 'days', 'season', 'hemisphere', 'care', 'recovery', 'events'],
+    properties: {
+      plant: { type: 'object', required: ['id', 'name'], properties: { id: string, name: string } },
+      gardenPlant: { type: 'object', required: ['id', 'name'], properties: { id: string, name: string } },
+      start: date,
+      end: date,
+      days: integer,
+      season: { type: 'string', enum: CareScheduler.SEASONS },
+      hemisphere: { type: 'string', enum: ['north', 'south'] },
+      care: { type: 'object' },
+      recovery: {
+        type: 'object',
+        nullable: true,
+        properties: { causeId: string, label: string, confidence, actions: strings, steps: { type: 'array', items: { type: 'object' } } }
+      },
+      events: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['date', 'type', 'summary', 'source'],
+          properties: {
+            date,
+            type: string,
+            summary: string,
+            source: { type: 'string', enum: ['routine', 'recovery'] },
+            causeId: string,
+            durationDays: integer
+          }
+        }
+      },
+      diagnosis: { type: 'object', nullable: true }
+    }
+  }
+};
+
+const idParameter = (description) => ({ name: 'id', in: 'path', required: true, description, schema: string });
+const queryParameter = (name, schema, description) => ({ name, in: 'query', description, schema });
+const explainParameter = queryParameter('explain', { type: 'string', enum: ['true', 'false'] }, 'Include the scoring breakdown');
+const carePlanQuery = Object.entries(SCHEMAS.CarePlanRequest.properties).map(([name, schema]) => (
+  queryParameter(name, name === 'days' ? { type: 'string', pattern: '^\\d+$' } : schema)
+));
+
+// path -> method -> { operationId, summary, parameters, requestBody, status, response, content }.
+// response names a schema; content lists extra non-JSON representations.
+const OPERATIONS = {
+  '/diagnose': {
+    post: {
+      operationId: 'diagnose',
+      summary: 'Diagnose a plant problem, or answer follow-up questions',
+      parameters: [explainParameter],
+      requestBody: 'DiagnoseRequest',
+      response: 'DiagnosisResult'
+    }
+  },
+  '/diagnose/batch': {
+    post: {
+      operationId: 'diagnoseBatch',
+      summary: 'Diagnose many records; failed records are reported per row',
+      parameters: [queryParameter('format', { type: 'string', enum: ['json', 'csv', 'jsonl'] }, 'Response format')],
+      requestBody: 'BatchRequest',
+      response: 'BatchResult',
+      content: { 'text/csv': string, 'application/x-ndjson': string }
+    }
+  },
+  '/health': {
+    get: { operationId: 'getHealth', summary: 'Health check', response: 'Health' }
+  },
+  '/stats': {
+    get: {
+      operationId: 'getStats',
+      summary: 'Interaction statistics for a date range',
+      parameters: [
+        queryParameter('from', date, 'First day, defaults to today'),
+        queryParameter('to', date, 'Last day, defaults to today'),
+        queryParameter('groupBy', { type: 'string', enum: ['day', 'week'] }),
+        queryParameter('plant', string, 'Plant id or name')
+      ],
+      response: 'Stats'
+    }
+  },
+  '/feedback': {
+    post: {
+      operationId: 'recordFeedback',
+      summary: 'Rate a logged diagnosis',
+      requestBody: 'FeedbackRequest',
+      status: 201,
+      response: 'FeedbackReceipt'
+    }
+  },
+  '/admin/purge': {
+    post: {
+      operationId: 'purgeInteractions',
+      summary: 'Purge logged interactions and their feedback',
+      requestBody: 'PurgeRequest',
+      response: 'PurgeReport'
+    }
+  },
+  '/plants': {
+    get: { operationId: 'listPlants', summary: 'List knowledge-base plants', response: 'PlantList' },
+    post: {
+      operationId: 'addPlant',
+      summary: 'Add a plant',
+      requestBody: 'PlantInput',
+      status: 201,
+      response: 'Plant'
+    }
+  },
+  '/plants/{id}': {
+    get: {
+      operationId: 'getPlant',
+      summary: 'Get a plant',
+      parameters: [
+        idParameter('Plant id'),
+        queryParameter('effective', { type: 'string', enum: ['true', 'false'] }, 'Include data inherited from the genus and family')
+      ],
+      response: 'Plant'
+    },
+    put: {
+      operationId: 'replacePlant',
+      summary: 'Replace a plant',
+      parameters: [idParameter('Plant id')],
+      requestBody: 'PlantInput',
+      response: 'Plant'
+    },
+    patch: {
+      operationId: 'updatePlant',
+      summary: 'Update some fields of a plant',
+      parameters: [idParameter('Plant id')],
+      requestBody: 'PlantInput',
+      response: 'Plant'
+    },
+    delete: {
+      operationId: 'deletePlant',
+      summary: 'Delete a plant',
+      parameters: [idParameter('Plant id')],
+      response: 'Deleted'
+    }
+  },
+  '/garden': {
+    get: { operationId: 'listGarden', summary: 'List your garden', response: 'GardenList' },
+    post: {
+      operationId: 'addGardenPlant',
+      summary: 'Register a plant in your garden',
+      requestBody: 'GardenPlantInput',
+      status: 201,
+      response: 'GardenPlant'
+    }
+  },
+  '/garden/{id}': {
+    get: {
+      operationId: 'getGardenPlant',
+      summary: 'Get a garden plant with its timeline',
+      parameters: [idParameter('Garden plant id')],
+      response: 'GardenPlant'
+    },
+    patch: {
+      operationId: 'updateGardenPlant',
+      summary: 'Update a garden plant',
+      parameters: [idParameter('Garden plant id')],
+      requestBody: 'GardenPlantInput',
+      response: 'GardenPlant'
+    },
+    delete: {
+      operationId: 'removeGardenPlant',
+      summary: 'Remove a garden plant',
+      parameters: [idParameter('Garden plant id')],
+      response: 'Deleted'
+    }
+  },
+  '/garden/{id}/diagnose': {
+    post: {
+      operationId: 'diagnoseGardenPlant',
+      summary: 'Diagnose a garden plant and add the result to its timeline',
+      parameters: [idParameter('Garden plant id'), explainParameter],
+      requestBody: 'GardenDiagnoseRequest',
+      response: 'DiagnosisResult'
+    }
+  },
+  '/garden/{id}/actions': {
+    post: {
+      operationId: 'recordGardenAction',
+      summary: 'Record a care action on a garden plant',
+      parameters: [idParameter('Garden plant id')],
+      requestBody: 'GardenActionRequest',
+      status: 201,
+      response: 'TimelineEntry'
+    }
+  },
+  '/care-plan': {
+    get: {
+      operationId: 'getCarePlan',
+      summary: 'Care schedule for a plant, with a recovery plan when symptoms are given',
+      parameters: [...carePlanQuery, queryParameter('format', { type: 'string', enum: ['json', 'ics'] })],
+      response: 'CarePlan',
+      content: { 'text/calendar': string }
+    },
+    post: {
+      operationId: 'createCarePlan',
+      summary: 'Care schedule for a plant, with a recovery plan when symptoms are given',
+      parameters: [queryParameter('format', { type: 'string', enum: ['json', 'ics'] })],
+      requestBody: 'CarePlanRequest',
+      response: 'CarePlan',
+      content: { 'text/calendar': string }
+    }
+  }
+};
+
+// The API key scope each path requires (see src/access.js), or [read, write]
+// where GET needs the first and every other method the second; /health and
+// this document are public
+const PATH_SCOPES = {
+  '/diagnose': 'diagnose',
+  '/diagnose/batch': 'diagnose',
+  '/feedback': 'diagnose',
+  '/care-plan': 'diagnose',
+  '/stats': 'stats',
+  '/admin/purge': 'admin',
+  '/plants': ['plants', 'plants:write'],
+  '/plants/{id}': ['plants', 'plants:write'],
+  '/garden': ['garden', 'garden:write'],
+  '/garden/{id}': ['garden', 'garden:write'],
+  '/garden/{id}/diagnose': ['garden', 'garden:write'],
+  '/garden/{id}/actions': ['garden', 'garden:write']
+};
+
+function scopeFor(apiPath, method) {
+  const scope = PATH_SCOPES[apiPath];
+  if (Array.isArray(scope)) {
+    return ['GET', 'HEAD'].includes(method.toUpperCase()) ? scope[0] : scope[1];
+  }
+  return scope || null;
+}
+
+const SECURITY_SCHEMES = {
+  bearerKey: { type: 'http', scheme: 'bearer', description: 'API key or the admin token' },
+  headerKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+};
+
+const schemaOf = (nameOrSchema) => (typeof nameOrSchema === 'string' ? ref(nameOrSchema) : nameOrSchema);
+const errorResponse = description => ({ description, content: { 'application/json': { schema: ref('Error') } } });
+
+function buildOperation(operation, scope) {
+  const status = operation.status || 200;
+  const built = {
+    operationId: operation.operationId,
+    summary: operation.summary,
+    responses: {
+      [status]: {
+        description: 'Success',
+        content: {
+          'application/json': { schema: schemaOf(operation.response) },
+          ...Object.fromEntries(Object.entries(operation.content || {}).map(([type, schema]) => [type, { schema }]))
+        }
+      },
+      '4XX': errorResponse('Invalid request; error.code says why'),
+      500: errorResponse('Unexpected server error')
+    }
+  };
+  if (operation.parameters) {
+    built.parameters = operation.parameters;
+  }
+  if (operation.requestBody) {
+    built.requestBody = { required: true, content: { 'application/json': { schema: schemaOf(operation.requestBody) } } };
+  }
+  // Anonymous access ({}) is allowed unless security.apiKeys.required is set
+  if (scope) {
+    built.description = `Requires an API key with the "${scope}" scope unless security.apiKeys.anonymousScopes grants it`;
+    built.security = [{ bearerKey: [] }, { headerKey: [] }, {}];
+  }
+  return built;
+}
+
+let documentCache = null;
+
+// The document served at /api/openapi.json
+function buildOpenApiDocument() {
+  if (!documentCache) {
+    const paths = {};
+    for (const [apiPath, operations] of Object.entries(OPERATIONS)) {
+      paths[API_PREFIX + apiPath] = Object.fromEntries(
+        Object.entries(operations).map(([method, operation]) => [method, buildOperation(operation, scopeFor(apiPath, method))])
+      );
+    }
+    documentCache = {
+      openapi: '3.0.3',
+      info: {
+        title: 'Plant Helper API',
+        version: packageInfo.version,
+        description: `Plant problem diagnosis, knowledge base, garden and care plans. The unversioned /api/... paths are aliases of ${API_PREFIX}/...`
+      },
+      paths,
+      components: { schemas: SCHEMAS, securitySchemes: SECURITY_SCHEMES }
+    };
+  }
+  return documentCache;
+}
+
+// Inlines $refs so validateValue() can walk the schema; SCHEMAS has no cycles
+function resolveSchema(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(resolveSchema);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+  if (schema.$ref) {
+    const { $ref, ...rest } = schema;
+    return { ...resolveSchema(SCHEMAS[$ref.split('/').pop()]), ...rest };
+  }
+  return Object.fromEntries(Object.entries(schema).map(([key, value]) => [key, resolveSchema(value)]));
+}
+
+const resolvedCache = new Map();
+function resolved(nameOrSchema) {
+  if (!resolvedCache.has(nameOrSchema)) {
+    resolvedCache.set(nameOrSchema, resolveSchema(schemaOf(nameOrSchema)));
+  }
+  return resolvedCache.get(nameOrSchema);
+}
+
+// '/api/v1/garden/:id' (Express syntax, as in src/handlers.js) -> '/garden/{id}'
+function documentedPath(routePath) {
+  return routePath.replace(API_PREFIX, '').replace(/:(\w+)/g, '{$1}');
+}
+
+function findOperation(routePath, method) {
+  const operations = OPERATIONS[documentedPath(routePath)];
+  return operations ? operations[method.toLowerCase()] || null : null;
+}
+
+// The scope a request to a route requires, or null for public routes
+function routeScope(routePath, method) {
+  return scopeFor(documentedPath(routePath), method);
+}
+
+const prefixed = (prefix, errors) => errors.map(error => ({ ...error, path: error.path ? `${prefix}.${error.path}` : prefix }));
+
+// Errors in the query string and JSON body of a request, [] when it is valid
+function validateRequest(routePath, request) {
+  const operation = findOperation(routePath, request.method);
+  if (!operation) {
+    return [];
+  }
+
+  const errors = [];
+  for (const parameter of operation.parameters || []) {
+    const value = parameter.in === 'query' ? request.query[parameter.name] : undefined;
+    if (value !== undefined) {
+      errors.push(...prefixed(`query.${parameter.name}`, validateValue(value, parameter.schema)));
+    }
+  }
+  if (operation.requestBody) {
+    errors.push(...prefixed('body', validateValue(request.body, resolved(operation.requestBody))));
+  }
+  return errors;
+}
+
+// Errors in a JSON response body: the documented schema for the success
+// status, the error envelope for anything else
+function validateResponse(routePath, method, response) {
+  const operation = findOperation(routePath, method);
+  if (!operation || typeof response.body === 'string') {
+    return [];
+  }
+  const schema = response.status === (operation.status || 200) ? operation.response : 'Error';
+  return validateValue(response.body, resolved(schema));
+}
+
+module.exports = {
+  API_PREFIX,
+  DETECTION_METHODS,
+  DETECTION_STATUSES,
+  buildOpenApiDocument,
+  routeScope,
+  validateRequest,
+  validateResponse
+};
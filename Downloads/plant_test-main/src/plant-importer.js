@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('./csv');
+const { validatePlant } = require('./plant-schema');
+
+class PlantImporter {
+  constructor(engine) {
+    this.engine = engine;
+  }
+
+  static slugify(name) {
+    return name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+  }
+
+  static titleCase(name) {
+    return name.replace(/\b[a-z]/g, letter => letter.toUpperCase());
+  }
+
+  static splitList(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => String(item).trim()).filter(Boolean);
+    }
+    if (typeof value !== 'string') {
+      return [];
+    }
+    return value.split(/[|;]/).map(item => item.trim()).filter(Boolean);
+  }
+
+  // Accepts a JSON array (of names or {name, aliases, genus, family}), CSV with a
+  // `name` header, or a plain newline-separated list of names
+  parse(content, format) {
+    const detectedFormat = format || this.detectFormat(content);
+
+    if (detectedFormat === 'json') {
+      const data = JSON.parse(content);
+      if (!Array.isArray(data)) {
+        throw new Error('JSON import must be an array of names or plant records');
+      }
+      return data.map(item => (typeof item === 'string' ? { name: item } : item));
+    }
+
+    if (detectedFormat === 'csv') {
+      const records = parseCsv(content);
+      if (records.length > 0 && !('name' in records[0])) {
+        throw new Error('CSV import needs a "name" column');
+      }
+      return records;
+    }
+
+    return content
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+      .map(name => ({ name }));
+  }
+
+  detectFormat(content) {
+    const trimmed = content.trimStart();
+    if (trimmed.startsWith('[')) return 'json';
+    const firstLine = trimmed.split(/\r?\n/)[0].toLowerCase();
+    if (firstLine.includes(',') && firstLine.split(',').map(c => c.trim()).includes('name')) return 'csv';
+    return 'text';
+  }
+
+  // A stub that inherits symptoms, causes, solutions and eco tip from the
+  // generic plant (see src/taxonomy.js) instead of carrying a copy
+  buildProfile(record) {
+    const name = String(record.name || '').trim().replace(/\s+/g, ' ');
+    const profile = {
+      id: PlantImporter.slugify(name),
+      name: PlantImporter.titleCase(name.toLowerCase()),
+      aliases: PlantImporter.splitList(record.aliases).map(alias => alias.toLowerCase()),
+      parent: 'generic',
+      source: 'imported'
+    };
+
+    for (const field of ['genus', 'family']) {
+      if (record[field] && String(record[field]).trim()) {
+        profile[field] = String(record[field]).trim();
+      }
+    }
+
+    return profile;
+  }
+
+  // Map of lower-cased names/aliases to the plant that owns them
+  buildNameIndex() {
+    const index = new Map();
+    for (const plant of this.engine.plants) {
+      for (const term of [plant.name, ...(plant.aliases || [])]) {
+        index.set(term.toLowerCase(), plant);
+      }
+    }
+    return index;
+  }
+
+  importRecords(records, options = {}) {
+    const { dryRun = false } = options;
+    const genericPlant = this.engine.getPlant('generic');
+    const report = { added: [], updated: [], skipped: [], conflicts: [] };
+
+    if (!genericPlant) {
+      throw new Error('Cannot import plants without a "generic" plant to inherit from');
+    }
+
+    const nameIndex = this.buildNameIndex();
+    const seenIds = new Set();
+
+    for (const record of records) {
+      const rawName = record && typeof record.name === 'string' ? record.name.trim() : '';
+      const profile = rawName ? this.buildProfile(record) : null;
+
+      if (!profile || !profile.id) {
+        report.skipped.push({ name: rawName, reason: 'missing or unusable name' });
+        continue;
+      }
+
+      if (seenIds.has(profile.id)) {
+        report.skipped.push({ name: rawName, id: profile.id, reason: 'duplicate in import' });
+        continue;
+      }
+      seenIds.add(profile.id);
+
+      const existing = this.engine.getPlant(profile.id);
+      if (existing) {
+        if (existing.source !== 'imported') {
+          report.skipped.push({ name: rawName, id: profile.id, reason: 'curated plant already exists' });
+          continue;
+        }
+
+        const newAliases = profile.aliases.filter(alias => !existing.aliases.includes(alias));
+        const changed = ['genus', 'family'].filter(field => profile[field] && profile[field] !== existing[field]);
+        if (newAliases.length === 0 && changed.length === 0) {
+          report.skipped.push({ name: rawName, id: profile.id, reason: 'already imported' });
+          continue;
+        }
+
+        if (!dryRun) {
+          existing.aliases.push(...newAliases);
+          changed.forEach(field => { existing[field] = profile[field]; });
+        }
+        report.updated.push({ name: rawName, id: profile.id, aliases: newAliases });
+        continue;
+      }
+
+      const clash = [profile.name, ...profile.aliases]
+        .map(term => nameIndex.get(term.toLowerCase()))
+        .find(Boolean);
+      if (clash) {
+        report.conflicts.push({
+          name: rawName,
+          id: profile.id,
+          conflictsWith: clash.id,
+          reason: `name or alias already used by "${clash.id}"`
+        });
+        continue;
+      }
+
+      // Under a known genus or family the plant inherits from that instead
+      if (this.engine.taxonomy.parentOf({ ...profile, parent: undefined }) !== null) {
+        delete profile.parent;
+      }
+
+      const errors = validatePlant(profile, { inherits: true });
+      if (errors.length > 0) {
+        report.skipped.push({
+          name: rawName,
+          id: profile.id,
+          reason: errors.map(error => `${error.path}: ${error.message}`).join('; ')
+        });
+        continue;
+      }
+
+      if (!dryRun) {
+        this.engine.addPlant(profile, { persist: false });
+      }
+      for (const term of [profile.name, ...profile.aliases]) {
+        nameIndex.set(term.toLowerCase(), profile);
+      }
+      report.added.push({ name: rawName, id: profile.id });
+    }
+
+    if (!dryRun && (report.added.length > 0 || report.updated.length > 0)) {
+      this.engine.rebuildIndexes();
+      this.engine.savePlantData();
+    }
+
+    return report;
+  }
+
+  importFile(filePath, options = {}) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase().replace('.', '');
+    const format = options.format || (['json', 'csv'].includes(extension) ? extension : undefined);
+    return this.importRecords(this.parse(content, format), options);
+  }
+}
+
+module.exports = PlantImporter;
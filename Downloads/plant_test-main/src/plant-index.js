@@ -0,0 +1,180 @@
+const { semanticGroups } = require('./text-analysis');
+
+// Inverted indexes over the knowledge base, built when plants load and
+// rebuilt whenever they change. A lookup returns candidates that the engine
+// still checks with its usual matching rules, so results are exactly those
+// of scanning every plant. Plant names match whole words, so their lookups
+// are exact; cause keywords may match inside a longer input word ("wilt" in
+// "wilting"), so those lookups probe every substring of each input word, up
+// to the longest indexed token.
+
+// Whole words of a plant name or an input text, with possessives and plurals
+// reduced ("ferns", "fern's" -> "fern") the same way on both sides
+function nameTokens(text) {
+  return (String(text || '').toLowerCase().replace(/’/g, "'").match(/[\p{L}\p{N}']+/gu) || [])
+    .map(word => {
+      const base = word.replace(/'s?$/, '').replace(/'/g, '');
+      return base.length > 3 && base.endsWith('s') && !base.endsWith('ss') ? base.slice(0, -1) : base;
+    })
+    .filter(Boolean);
+}
+
+// Start of the first run of tokens equal to phrase, or -1
+function findPhrase(tokens, phrase) {
+  if (phrase.length === 0) {
+    return -1;
+  }
+  for (let start = 0; start + phrase.length <= tokens.length; start++) {
+    if (phrase.every((token, offset) => tokens[start + offset] === token)) {
+      return start;
+    }
+  }
+  return -1;
+}
+
+class TokenIndex {
+  constructor() {
+    this.postings = new Map();
+    // An empty token occurs inside every word
+    this.always = new Set();
+    this.maxTokenLength = 0;
+  }
+
+  add(token, value) {
+    if (!token) {
+      this.always.add(value);
+      return;
+    }
+    if (!this.postings.has(token)) {
+      this.postings.set(token, new Set());
+    }
+    this.postings.get(token).add(value);
+    this.maxTokenLength = Math.max(this.maxTokenLength, token.length);
+  }
+
+  // Values filed under one of the tokens
+  find(tokens) {
+    const found = new Set();
+    for (const token of tokens) {
+      const values = this.postings.get(token);
+      if (values) {
+        values.forEach(value => found.add(value));
+      }
+    }
+    return found;
+  }
+
+  // Values filed under any token that occurs inside one of the words
+  lookup(words) {
+    const found = new Set(this.always);
+    for (const word of new Set(words)) {
+      for (let start = 0; start < word.length; start++) {
+        const end = Math.min(word.length, start + this.maxTokenLength);
+        for (let stop = start + 1; stop <= end; stop++) {
+          const values = this.postings.get(word.slice(start, stop));
+          if (values) {
+            values.forEach(value => found.add(value));
+          }
+        }
+      }
+    }
+    return found;
+  }
+}
+
+class PlantIndex {
+  constructor(plants) {
+    this.plants = [];
+    this.byId = new Map();
+    this.names = new TokenIndex();
+    this.aliases = new TokenIndex();
+    // nameTokens of each plant's name and aliases
+    this.terms = new Map();
+    // Per-plant symptom and cause data, prepared on first use
+    this.prepared = new WeakMap();
+    plants.forEach(plant => this.add(plant));
+  }
+
+  add(plant) {
+    const position = this.plants.length;
+    this.plants.push(plant);
+    if (!this.byId.has(plant.id)) {
+      this.byId.set(plant.id, plant);
+    }
+    // Aliases of two letters or less never match
+    const terms = {
+      name: nameTokens(plant.name),
+      aliases: (plant.aliases || [])
+        .filter(alias => alias.trim().length > 2)
+        .map(alias => ({ alias, tokens: nameTokens(alias) }))
+    };
+    this.terms.set(plant, terms);
+    terms.name.forEach(token => this.names.add(token, position));
+    terms.aliases.forEach(({ tokens }) => tokens.forEach(token => this.aliases.add(token, position)));
+  }
+
+  get(plantId) {
+    return this.byId.get(plantId) || null;
+  }
+
+  inOrder(positions) {
+    return [...positions].sort((a, b) => a - b).map(position => this.plants[position]);
+  }
+
+  // Plants, in knowledge-base order, sharing a name token with the input tokens
+  nameCandidates(tokens) {
+    return this.inOrder(this.names.find(tokens));
+  }
+
+  // Plants, in knowledge-base order, sharing an alias token with the input tokens
+  aliasCandidates(tokens) {
+    return this.inOrder(this.aliases.find(tokens));
+  }
+
+  // { name, aliases: [{ alias, tokens }] } for an indexed plant
+  termsOf(plant) {
+    return this.terms.get(plant);
+  }
+
+  // { symptoms, causeIndex } for a plant. Each symptom keeps its lower-cased
+  // words and semantic groups; causeIndex maps keyword words to causes.
+  profile(plant) {
+    let profile = this.prepared.get(plant);
+    if (!profile) {
+      const causeIndex = new TokenIndex();
+      plant.causes.forEach((cause, position) => {
+        for (const keyword of cause.keywords || []) {
+          keyword.toLowerCase().split(/\s+/).forEach(word => causeIndex.add(word, position));
+        }
+      });
+      profile = {
+        symptoms: (plant.symptoms || []).map(symptom => {
+          const lower = symptom.toLowerCase();
+          return { symptom, lower, words: lower.split(' '), groups: semanticGroups(lower) };
+        }),
+        causeIndex
+      };
+      this.prepared.set(plant, profile);
+    }
+    return profile;
+  }
+
+  symptomsOf(plant) {
+    return this.profile(plant).symptoms;
+  }
+
+  // Causes, in the plant's order, with a keyword word inside one of the
+  // texts; a cause outside this list cannot match any of its keywords
+  causeCandidates(plant, texts) {
+    const words = texts.filter(Boolean).flatMap(text => text.split(/\s+/));
+    const positions = this.profile(plant).causeIndex.lookup(words);
+    return plant.causes.filter((cause, position) => positions.has(position));
+  }
+}
+
+module.exports = {
+  PlantIndex,
+  TokenIndex,
+  findPhrase,
+  nameTokens
+};
@@ -0,0 +1,331 @@
+const fs = require('fs');
+const { RANKS, Taxonomy } = require('./taxonomy');
+const { LIGHT_LEVELS, HUMIDITY_LEVELS, DRAINAGE_LEVELS, LOCATIONS } = require('./environment');
+
+const SEASONS = ['spring', 'summer', 'autumn', 'winter'];
+const RECOVERY_STEP_TYPES = ['hold_watering', 'hold_fertilizing', 'water', 'fertilize', 'treat', 'adjust', 'check'];
+const DAYS = { type: 'number', minimum: 1 };
+
+// Optional structured care parameters used by src/care-plan.js
+const CARE_SCHEMA = {
+  type: 'object',
+  properties: {
+    watering: {
+      type: 'object',
+      properties: { spring: DAYS, summer: DAYS, autumn: DAYS, winter: DAYS }
+    },
+    fertilizing: {
+      type: 'object',
+      properties: {
+        intervalDays: DAYS,
+        seasons: { type: 'array', items: { type: 'string', enum: SEASONS } }
+      }
+    },
+    repotting: {
+      type: 'object',
+      properties: { intervalMonths: { type: 'number', minimum: 1 } }
+    },
+    recovery: {
+      type: 'object',
+      additionalProperties: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['day', 'type', 'summary'],
+          properties: {
+            day: { type: 'number', minimum: 0 },
+            type: { type: 'string', enum: RECOVERY_STEP_TYPES },
+            summary: { type: 'string', minLength: 1 },
+            description: { type: 'string', minLength: 1 },
+            durationDays: DAYS
+          }
+        }
+      }
+    }
+  }
+};
+
+const levels = values => ({ type: 'array', minItems: 1, items: { type: 'string', enum: values } });
+
+// Optional ideal growing conditions used by src/environment.js; each level
+// list holds the acceptable levels, temperatures are in °C
+const ENVIRONMENT_SCHEMA = {
+  type: 'object',
+  properties: {
+    light: levels(LIGHT_LEVELS),
+    humidity: levels(HUMIDITY_LEVELS),
+    temperature: {
+      type: 'object',
+      properties: { min: { type: 'number' }, max: { type: 'number' } }
+    },
+    drainage: levels(DRAINAGE_LEVELS),
+    location: levels(LOCATIONS)
+  }
+};
+
+// Fields a plant with an ancestor may leave to inheritance (see src/taxonomy.js)
+const INHERITED_FIELDS = ['symptoms', 'causes', 'solutions', 'eco_tip'];
+
+// Schema for a single plant entry in data/plants.json
+const PLANT_SCHEMA = {
+  type: 'object',
+  required: ['id', 'name', 'aliases', 'symptoms', 'causes', 'solutions', 'eco_tip'],
+  properties: {
+    id: { type: 'string', pattern: /^[a-z0-9_]+$/ },
+    name: { type: 'string', minLength: 1 },
+    aliases: { type: 'array', items: { type: 'string', minLength: 1 } },
+    symptoms: { type: 'array', items: { type: 'string', minLength: 1 } },
+    causes: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['id', 'label', 'keywords'],
+        properties: {
+          id: { type: 'string', pattern: /^[a-z0-9_]+$/ },
+          label: { type: 'string', minLength: 1 },
+          keywords: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } }
+        }
+      }
+    },
+    solutions: {
+      type: 'object',
+      additionalProperties: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } }
+    },
+    eco_tip: { type: 'string', minLength: 1 },
+    family: { type: 'string', minLength: 1 },
+    genus: { type: 'string', minLength: 1 },
+    parent: { type: 'string', pattern: /^[a-z0-9_]+$/ },
+    rank: { type: 'string', enum: RANKS },
+    source: { type: 'string', minLength: 1 },
+    care: CARE_SCHEMA,
+    environment: ENVIRONMENT_SCHEMA
+  }
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function formatPath(segments) {
+  return segments.reduce((result, segment) => (
+    typeof segment === 'number' ? `${result}[${segment}]` : (result ? `${result}.${segment}` : segment)
+  ), '');
+}
+
+// Schemas without a type accept any value; nullable and type integer follow
+// OpenAPI so the same checker validates API requests and responses (src/openapi.js)
+function checkValue(value, schema, segments, errors) {
+  const actualType = typeOf(value);
+  if (schema.type === undefined || (value === null && schema.nullable)) {
+    return;
+  }
+
+  const expectedType = schema.type === 'integer' ? 'number' : schema.type;
+  if (actualType !== expectedType) {
+    errors.push({ path: formatPath(segments), message: `expected ${schema.type} but got ${actualType}` });
+    return;
+  }
+
+  if (schema.type === 'string') {
+    if (schema.minLength && value.trim().length < schema.minLength) {
+      errors.push({ path: formatPath(segments), message: 'must not be empty' });
+    } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: formatPath(segments), message: `"${value}" does not match ${schema.pattern}` });
+    } else if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({ path: formatPath(segments), message: `"${value}" must be one of: ${schema.enum.join(', ')}` });
+    }
+    return;
+  }
+
+  if (expectedType === 'number') {
+    if (!Number.isFinite(value)) {
+      errors.push({ path: formatPath(segments), message: 'must be a finite number' });
+    } else if ((schema.integer || schema.type === 'integer') && !Number.isInteger(value)) {
+      errors.push({ path: formatPath(segments), message: 'must be a whole number' });
+    } else if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: formatPath(segments), message: `must be at least ${schema.minimum}` });
+    } else if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: formatPath(segments), message: `must be at most ${schema.maximum}` });
+    }
+    return;
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push({ path: formatPath(segments), message: `must contain at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => checkValue(item, schema.items, [...segments, index], errors));
+    }
+    return;
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: formatPath([...segments, key]), message: 'is required' });
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = (schema.properties && schema.properties[key]) || schema.additionalProperties;
+      if (childSchema && child !== undefined) {
+        checkValue(child, childSchema, [...segments, key], errors);
+      }
+    }
+  }
+}
+
+// Cross-field checks the structural schema cannot express
+function checkConsistency(plant, errors) {
+  const temperature = typeOf(plant.environment) === 'object' && typeOf(plant.environment.temperature) === 'object'
+    ? plant.environment.temperature : {};
+  if (typeof temperature.min === 'number' && typeof temperature.max === 'number' && temperature.min > temperature.max) {
+    errors.push({ path: 'environment.temperature', message: `min (${temperature.min}) is above max (${temperature.max})` });
+  }
+
+  if (!Array.isArray(plant.causes) || typeOf(plant.solutions) !== 'object') {
+    return;
+  }
+
+  const causeIds = new Set();
+  plant.causes.forEach((cause, index) => {
+    if (!cause || typeof cause.id !== 'string') return;
+
+    if (causeIds.has(cause.id)) {
+      errors.push({ path: `causes[${index}].id`, message: `duplicate cause id "${cause.id}"` });
+    }
+    causeIds.add(cause.id);
+
+    if (!plant.solutions[cause.id]) {
+      errors.push({ path: `causes[${index}]`, message: `cause "${cause.id}" has no entry in solutions` });
+    }
+  });
+
+  for (const key of Object.keys(plant.solutions)) {
+    if (!causeIds.has(key)) {
+      errors.push({ path: `solutions.${key}`, message: `no cause with id "${key}"` });
+    }
+  }
+
+  const recovery = plant.care && typeOf(plant.care.recovery) === 'object' ? plant.care.recovery : {};
+  for (const key of Object.keys(recovery)) {
+    if (!causeIds.has(key)) {
+      errors.push({ path: `care.recovery.${key}`, message: `no cause with id "${key}"` });
+    }
+  }
+}
+
+// Structural check of any value against a schema in the format above
+function validateValue(value, schema) {
+  const errors = [];
+  checkValue(value, schema, [], errors);
+  return errors;
+}
+
+// options.inherits: the plant has an ancestor, so INHERITED_FIELDS may be
+// missing and causes/solutions are only consistent once inherited data is in
+function validatePlant(plant, options = {}) {
+  const errors = [];
+  const schema = options.inherits
+    ? { ...PLANT_SCHEMA, required: PLANT_SCHEMA.required.filter(field => !INHERITED_FIELDS.includes(field)) }
+    : PLANT_SCHEMA;
+  checkValue(plant, schema, [], errors);
+  if (typeOf(plant) === 'object' && !options.inherits) {
+    checkConsistency(plant, errors);
+  }
+  return errors;
+}
+
+// A plant judged within its knowledge base: taxonomy problems, its own
+// fields, and for a plant with ancestors its effective (inherited) profile
+function validatePlantIn(plant, taxonomy) {
+  if (typeOf(plant) !== 'object') {
+    return validatePlant(plant);
+  }
+
+  const inherits = taxonomy.parentOf(plant) !== null;
+  const errors = [...taxonomy.problemsOf(plant), ...validatePlant(plant, { inherits })];
+  if (inherits && errors.length === 0) {
+    const profile = taxonomy.effective(plant);
+    if (profile.eco_tip === undefined) {
+      errors.push({ path: 'eco_tip', message: 'is required, here or on an ancestor' });
+    }
+    if (profile.causes.length === 0) {
+      errors.push({ path: 'causes', message: 'must contain at least 1 item(s), here or on an ancestor' });
+    }
+    checkConsistency(profile, errors);
+  }
+  return errors;
+}
+
+function validatePlantData(plants, file = 'plants.json') {
+  if (!Array.isArray(plants)) {
+    return [{ file, plantId: null, path: '', message: `expected an array of plants but got ${typeOf(plants)}` }];
+  }
+
+  const errors = [];
+  const seenIds = new Set();
+  const taxonomy = new Taxonomy(plants);
+
+  plants.forEach((plant, index) => {
+    const plantId = plant && typeof plant.id === 'string' ? plant.id : `#${index}`;
+
+    for (const error of validatePlantIn(plant, taxonomy)) {
+      errors.push({ file, plantId, ...error });
+    }
+
+    if (plant && typeof plant.id === 'string') {
+      if (seenIds.has(plant.id)) {
+        errors.push({ file, plantId, path: 'id', message: `duplicate plant id "${plant.id}"` });
+      }
+      seenIds.add(plant.id);
+    }
+  });
+
+  if (!seenIds.has('generic')) {
+    errors.push({ file, plantId: null, path: '', message: 'missing required "generic" fallback plant' });
+  }
+
+  return errors;
+}
+
+function formatValidationError(error) {
+  const location = error.plantId ? `plant "${error.plantId}"` : 'knowledge base';
+  const field = error.path ? ` ${error.path}` : '';
+  return `${error.file}: ${location}${field}: ${error.message}`;
+}
+
+function readPlantFile(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Plant data file not found: ${filePath}`);
+    }
+    throw new Error(`Could not read plant data file ${filePath}: ${error.message}`);
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  PLANT_SCHEMA,
+  CARE_SCHEMA,
+  ENVIRONMENT_SCHEMA,
+  INHERITED_FIELDS,
+  validateValue,
+  validatePlant,
+  validatePlantIn,
+  validatePlantData,
+  formatValidationError,
+  readPlantFile
+};
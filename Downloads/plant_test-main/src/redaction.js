@@ -0,0 +1,50 @@
+// Scrubs personal details from user input before it is written to the logs.
+// Order matters: emails and URLs contain digits and dots that the phone and
+// number patterns would otherwise split apart.
+
+const REDACTORS = [
+  { kind: 'emails', pattern: /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi, replacement: '[email]' },
+  { kind: 'urls', pattern: /\b(?:https?:\/\/|www\.)[^\s<>"']+/gi, replacement: '[url]' },
+  // 7+ digits with the usual separators: +44 20 7946 0958, (555) 123-4567.
+  // Dates such as 2024-05-01 or 01.05.2024 have as many digits but are kept.
+  {
+    kind: 'phones',
+    pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d[\d\s.-]{5,}\d/g,
+    replacement: '[phone]',
+    minDigits: 7,
+    except: /\b(?:\d{4}([-./])\d{1,2}\1\d{1,2}|\d{1,2}([-./])\d{1,2}\2\d{4})\b/
+  },
+  { kind: 'numbers', pattern: /\d+(?:[.,]\d+)*/g, replacement: '[number]' }
+];
+
+const REDACTION_KINDS = REDACTORS.map(redactor => redactor.kind);
+
+// redact: { emails, phones, urls, numbers } booleans, or an array of kinds
+function normalizeRedactOptions(redact) {
+  if (Array.isArray(redact)) {
+    return REDACTION_KINDS.reduce((options, kind) => ({ ...options, [kind]: redact.includes(kind) }), {});
+  }
+  return redact && typeof redact === 'object' ? redact : {};
+}
+
+function redactText(text, redact) {
+  if (typeof text !== 'string' || !text) {
+    return text;
+  }
+
+  const options = normalizeRedactOptions(redact);
+  return REDACTORS.reduce((result, redactor) => {
+    if (!options[redactor.kind]) {
+      return result;
+    }
+    return result.replace(redactor.pattern, match => {
+      const tooShort = redactor.minDigits && match.replace(/\D/g, '').length < redactor.minDigits;
+      return tooShort || (redactor.except && redactor.except.test(match)) ? match : redactor.replacement;
+    });
+  }, text);
+}
+
+module.exports = {
+  REDACTION_KINDS,
+  redactText
+};
@@ -0,0 +1,205 @@
+// Plant taxonomy: a plant inherits symptoms, causes, solutions, eco tip,
+// care and ideal environment from its ancestors, e.g. weeping birch -> birch -> Betulaceae. The
+// parent is the plant named by `parent` when set; otherwise a species falls
+// under the genus-rank plant with the same `genus`, and a species or genus
+// under the family-rank plant with the same `family`. Own values win: causes,
+// solutions and recovery steps by cause id, other care by section, the
+// environment by factor.
+
+const RANKS = ['family', 'genus', 'species'];
+const CARE_SECTIONS = ['watering', 'fertilizing', 'repotting'];
+
+function rankOf(plant) {
+  return plant.rank || 'species';
+}
+
+// Malformed levels are reported by validation; merging just skips them
+function listOf(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+function mapOf(value) {
+  return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+}
+
+function has(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+class Taxonomy {
+  constructor(plants) {
+    this.byId = new Map();
+    this.genera = new Map();
+    this.families = new Map();
+    this.effectiveProfiles = new Map();
+    // Profiles built here, so effective() can be called on its own results
+    this.resolved = new WeakSet();
+
+    for (const plant of plants) {
+      if (!plant || typeof plant !== 'object') continue;
+      if (!this.byId.has(plant.id)) {
+        this.byId.set(plant.id, plant);
+      }
+      if (rankOf(plant) === 'genus' && plant.genus && !this.genera.has(plant.genus)) {
+        this.genera.set(plant.genus, plant);
+      }
+      if (rankOf(plant) === 'family' && plant.family && !this.families.has(plant.family)) {
+        this.families.set(plant.family, plant);
+      }
+    }
+  }
+
+  // { plant, via: 'parent' | 'genus' | 'family' }, or null for a root
+  parentOf(plant) {
+    if (plant.parent) {
+      const parent = this.byId.get(plant.parent);
+      return parent ? { plant: parent, via: 'parent' } : null;
+    }
+
+    const rank = rankOf(plant);
+    const genus = rank === 'species' && plant.genus ? this.genera.get(plant.genus) : null;
+    if (genus && genus !== plant) {
+      return { plant: genus, via: 'genus' };
+    }
+    const family = rank !== 'family' && plant.family ? this.families.get(plant.family) : null;
+    if (family && family !== plant) {
+      return { plant: family, via: 'family' };
+    }
+    return null;
+  }
+
+  // The plant followed by its ancestors, nearest first; stops before a cycle
+  lineage(plant) {
+    const levels = [plant];
+    for (let parent = this.parentOf(plant); parent && !levels.includes(parent.plant); parent = this.parentOf(parent.plant)) {
+      levels.push(parent.plant);
+    }
+    return levels;
+  }
+
+  // Taxonomy errors of one plant, as { path, message }
+  problemsOf(plant) {
+    const problems = [];
+
+    if (plant.parent !== undefined && typeof plant.parent === 'string' && !this.byId.has(plant.parent)) {
+      problems.push({ path: 'parent', message: `no plant with id "${plant.parent}"` });
+    }
+    if (rankOf(plant) === 'genus' && !plant.genus) {
+      problems.push({ path: 'genus', message: 'is required for a genus-rank plant' });
+    }
+    if (rankOf(plant) === 'family' && !plant.family) {
+      problems.push({ path: 'family', message: 'is required for a family-rank plant' });
+    }
+    if (rankOf(plant) === 'genus' && plant.genus && this.genera.get(plant.genus) !== plant) {
+      problems.push({ path: 'genus', message: `"${this.genera.get(plant.genus).id}" is already the plant for genus "${plant.genus}"` });
+    }
+    if (rankOf(plant) === 'family' && plant.family && this.families.get(plant.family) !== plant) {
+      problems.push({ path: 'family', message: `"${this.families.get(plant.family).id}" is already the plant for family "${plant.family}"` });
+    }
+
+    const levels = this.lineage(plant);
+    const last = this.parentOf(levels[levels.length - 1]);
+    if (last) {
+      const cycle = [...levels.slice(levels.indexOf(last.plant)), last.plant].map(level => level.id);
+      problems.push({ path: 'parent', message: `inheritance cycle: ${cycle.join(' -> ')}` });
+    }
+
+    return problems;
+  }
+
+  // Plants whose lineage passes through the given plant
+  descendantsOf(plant) {
+    return [...this.byId.values()].filter(other => other !== plant && this.lineage(other).includes(plant));
+  }
+
+  // The plant with inherited data filled in, plus `lineage` (id, name and
+  // rank of each level) and `origins` (the plant id each value came from).
+  // Cached until the taxonomy is rebuilt.
+  effective(plant) {
+    if (this.resolved.has(plant)) {
+      return plant;
+    }
+    if (this.effectiveProfiles.has(plant)) {
+      return this.effectiveProfiles.get(plant);
+    }
+
+    const levels = this.lineage(plant);
+    const origins = { symptoms: {}, causes: {}, solutions: {}, eco_tip: null, care: { recovery: {} }, environment: {} };
+    const symptoms = [];
+    const causes = [];
+    const solutions = {};
+    const care = {};
+    const environment = {};
+    let ecoTip;
+
+    for (const level of levels) {
+      for (const symptom of listOf(level.symptoms)) {
+        if (!has(origins.symptoms, symptom)) {
+          symptoms.push(symptom);
+          origins.symptoms[symptom] = level.id;
+        }
+      }
+      for (const cause of listOf(level.causes)) {
+        if (cause && typeof cause.id === 'string' && !has(origins.causes, cause.id)) {
+          causes.push(cause);
+          origins.causes[cause.id] = level.id;
+        }
+      }
+      for (const [causeId, actions] of Object.entries(mapOf(level.solutions))) {
+        if (!has(origins.solutions, causeId)) {
+          solutions[causeId] = actions;
+          origins.solutions[causeId] = level.id;
+        }
+      }
+      if (ecoTip === undefined && level.eco_tip !== undefined) {
+        ecoTip = level.eco_tip;
+        origins.eco_tip = level.id;
+      }
+
+      const levelCare = mapOf(level.care);
+      for (const section of CARE_SECTIONS) {
+        if (levelCare[section] && !care[section]) {
+          care[section] = levelCare[section];
+          origins.care[section] = level.id;
+        }
+      }
+      for (const [causeId, steps] of Object.entries(mapOf(levelCare.recovery))) {
+        if (!has(origins.care.recovery, causeId)) {
+          care.recovery = { ...care.recovery, [causeId]: steps };
+          origins.care.recovery[causeId] = level.id;
+        }
+      }
+      for (const [factor, range] of Object.entries(mapOf(level.environment))) {
+        if (!has(environment, factor)) {
+          environment[factor] = range;
+          origins.environment[factor] = level.id;
+        }
+      }
+    }
+
+    const profile = {
+      ...plant,
+      aliases: plant.aliases || [],
+      symptoms,
+      causes,
+      solutions,
+      eco_tip: ecoTip,
+      ...(Object.keys(care).length > 0 ? { care } : {}),
+      ...(Object.keys(environment).length > 0 ? { environment } : {}),
+      lineage: levels.map(level => ({ id: level.id, name: level.name, rank: rankOf(level) })),
+      origins
+    };
+    if (ecoTip === undefined) {
+      delete profile.eco_tip;
+    }
+
+    this.effectiveProfiles.set(plant, profile);
+    this.resolved.add(profile);
+    return profile;
+  }
+}
+
+module.exports = {
+  RANKS,
+  Taxonomy
+};
@@ -1,11 +1,33 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
 const PlantDiagnosisEngine = require('./diagnosis-engine');
 const Logger = require('./logger');
+const PlantImporter = require('./plant-importer');
+const DiagnosisSessions = require('./diagnosis-sessions');
+const { listTones } = require('./tone');
+const { validatePlantData } = require('./plant-schema');
+const { runEvaluation } = require('./evaluate');
+const KeywordWeightLearner = require('./learn-weights');
+const GardenStore = require('./garden');
+const CareScheduler = require('./care-plan');
+const BatchDiagnoser = require('./batch');
+const PlantHelperAPI = require('./index');
+const { loadConfig } = require('./config');
+const { buildOpenApiDocument, validateRequest, validateResponse } = require('./openapi');
+const { ApiKeyStore, RateLimiter } = require('./access');
+const { runBenchmark } = require('./benchmark');
+const { parseEnvironment } = require('./environment');
 
 console.log('🌿 Testing Plant Helper App...\n');
 
 // Test the diagnosis engine
 const engine = new PlantDiagnosisEngine();
-const logger = new Logger(engine.config);
+// A scratch logs directory, so the stats below only see what this run logged
+const testLogsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plant-helper-test-logs-'));
+const logger = new Logger({ ...engine.config, logging: { ...engine.config.logging, enabled: true, directory: testLogsDir } });
 
 // Test cases
 const testCases = [
@@ -28,6 +50,10 @@ const testCases = [
   {
     name: "Monstera light issues",
     input: "My monstera is stretching and has small leaves"
+  },
+  {
+    name: "Negated symptoms ignored",
+    input: "My snake plant has no bugs and the leaves are not yellow, but they are very mushy"
   }
 ];
 
@@ -44,6 +70,9 @@ testCases.forEach((testCase, index) => {
     console.log(`✅ Plant: ${result.plantName} (${Math.round(result.plantMatchScore * 100)}%)`);
     console.log(`   Method: ${result.detectionMethod}`);
     console.log(`   Diagnoses: ${result.diagnoses.length}`);
+    if (result.negatedTerms && result.negatedTerms.length > 0) {
+      console.log(`   Negated: ${result.negatedTerms.join(', ')}`);
+    }
     
     if (result.diagnoses.length > 0) {
       result.diagnoses.forEach((diagnosis, i) => {
@@ -64,10 +93,317 @@ console.log(`Min confidence threshold: ${engine.config.diagnosis.minConfidenceTh
 console.log(`Max diagnoses: ${engine.config.diagnosis.maxDiagnoses}`);
 console.log(`Server port: ${engine.config.server?.port || 'default'}`);
 
+// Test structured input fields
+console.log('\nTesting structured input...');
+const structured = engine.diagnose({
+  plantName: 'Snake plant',
+  symptoms: 'leaves are yellow and mushy',
+  environment: 'bright window, watered weekly'
+});
+console.log(`Plant: ${structured.plantName} (${structured.detectionMethod}), top cause: ${structured.diagnoses[0].cause.id}`);
+const byId = engine.diagnose({ plantId: 'generic', symptoms: 'my monstera has small leaves' });
+console.log(`Explicit plant id kept: ${byId.detectedPlant === 'generic' ? 'yes' : 'no'}`);
+assert.strictEqual(byId.detectedPlant, 'generic', 'an explicit plantId should override detection from the text');
+
+// Test tone profiles (same diagnosis, different wording)
+console.log('\nTesting tone profiles...');
+listTones().forEach(tone => {
+  const toned = engine.diagnose('My tulsi leaves are dry and crispy', { tone });
+  console.log(`${tone}: ${toned.diagnoses[0].cause.id} - ${toned.diagnoses[0].why}`);
+});
+
+// Test explain mode (scoring breakdown must reproduce the confidence)
+console.log('\nTesting explain mode...');
+const explained = engine.diagnose('My snake plant is very mushy at the base', { explain: true });
+const topScoring = explained.diagnoses[0].scoring;
+console.log(`Detection candidates: ${explained.explanation.plantDetection.candidates.map(c => `${c.plantId}/${c.method}`).join(', ')}`);
+console.log(`Top cause keywords: ${topScoring.matchedKeywords.join(', ') || 'none'}`);
+console.log(`Breakdown matches confidence: ${topScoring.confidence === explained.diagnoses[0].confidence ? 'yes' : 'no'}`);
+assert.strictEqual(topScoring.confidence, explained.diagnoses[0].confidence, 'the score breakdown should add up to the reported confidence');
+
+// Test follow-up questions for ambiguous input
+console.log('\nTesting follow-up questions...');
+const sessions = new DiagnosisSessions(engine, { secret: 'test-secret' });
+const firstTurn = sessions.start('My plant is not looking good');
+console.log(`Questions asked: ${firstTurn.followUp ? firstTurn.followUp.questions.map(q => q.text).join(' | ') : 'none'}`);
+assert.ok(firstTurn.followUp, 'an ambiguous description should get follow-up questions');
+const [plantQuestion] = firstTurn.followUp.questions;
+// Another instance with the same secret, as with several serverless instances
+const otherInstance = new DiagnosisSessions(engine, { secret: 'test-secret' });
+const secondTurn = otherInstance.answer(firstTurn.followUp.sessionId, { [plantQuestion.id]: 'snake plant' });
+console.log(`After answering on another instance: ${secondTurn.plantName}, top cause ${secondTurn.diagnoses[0].cause.id}`);
+assert.strictEqual(secondTurn.detectedPlant, 'snake_plant', 'another instance with the same secret should continue the session');
+let rejected = false;
+try {
+  new DiagnosisSessions(engine, { secret: 'other-secret' }).answer(firstTurn.followUp.sessionId, {});
+} catch (error) {
+  rejected = error.code === 'session_not_found';
+}
+console.log(`Rejected with another secret: ${rejected ? 'yes' : 'no'}`);
+assert.ok(rejected, 'a session id signed with another secret should be rejected');
+
+// Test the garden registry in a scratch file (detection skipped, environment from the registration)
+console.log('\nTesting garden registry...');
+const gardenDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plant-helper-garden-'));
+const gardenConfig = { garden: { file: path.join(gardenDir, 'garden.json') } };
+const garden = new GardenStore(engine, logger, gardenConfig);
+const kitchenTulsi = garden.add({ name: 'Kitchen tulsi', plantId: 'tulsi', light: 'dark corner, low light' });
+const gardenResult = garden.diagnose(kitchenTulsi.id, 'my snake plant looks sad and the leaves are small');
+garden.recordDiagnosis(kitchenTulsi.id, gardenResult);
+garden.recordAction(kitchenTulsi.id, { action: 'Moved to the south window', causeId: 'light_issues' });
+console.log(`Registered: ${kitchenTulsi.id}, diagnosed as ${gardenResult.detectedPlant}, top cause ${gardenResult.diagnoses[0].cause.id}`);
+console.log(`Timeline after reload: ${new GardenStore(engine, logger, gardenConfig).requirePlant(kitchenTulsi.id).timeline.map(entry => entry.type).join(', ')}`);
+
+// Descriptions in the timeline follow logging.redact and logging.mode, and admin purges clear them
+const privateGardenLogger = new Logger({ logging: { enabled: false, redact: { phones: true } } });
+const privateGarden = new GardenStore(engine, privateGardenLogger, { garden: { file: path.join(gardenDir, 'private-garden.json') } });
+const balconyTulsi = privateGarden.add({ name: 'Balcony tulsi', plantId: 'tulsi' });
+const redactedEntry = privateGarden.recordDiagnosis(balconyTulsi.id, privateGarden.diagnose(balconyTulsi.id, 'my tulsi is dry, call me on 555 123 4567'));
+privateGardenLogger.config.logging.mode = 'derived';
+const derivedGardenEntry = privateGarden.recordDiagnosis(balconyTulsi.id, privateGarden.diagnose(balconyTulsi.id, 'my tulsi is wilting'));
+console.log(`Garden input: ${redactedEntry.input}, derived entry has input: ${derivedGardenEntry.input !== undefined ? 'yes' : 'no'}`);
+assert.ok(redactedEntry.input.includes('[phone]') && !redactedEntry.input.includes('4567'), 'garden input should be redacted');
+assert.strictEqual(derivedGardenEntry.input, undefined, 'derived garden entries should not keep the input');
+const gardenInputsCleared = privateGarden.purgeInputs(Logger.purgeMatcher({ text: 'tulsi' }));
+console.log(`Garden inputs cleared by purge: ${gardenInputsCleared}`);
+assert.strictEqual(gardenInputsCleared, 1);
+assert.ok(privateGarden.requirePlant(balconyTulsi.id).timeline.every(entry => entry.input === undefined), 'purged garden inputs should be gone');
+fs.rmSync(gardenDir, { recursive: true, force: true });
+
+// Test care plans: watering is held during recovery, and the plan exports as iCalendar
+console.log('\nTesting care plans...');
+const recoveryPlan = new CareScheduler(engine).createPlan({ plantId: 'snake_plant', symptoms: 'yellow mushy leaves', start: '2026-01-05', days: 21 });
+const waterDates = recoveryPlan.events.filter(event => event.type === 'water').map(event => event.date);
+console.log(`Recovery: ${recoveryPlan.recovery.causeId}, steps on days ${recoveryPlan.recovery.steps.map(step => step.day).join('/')}, watering on ${waterDates.join(', ')}`);
+const calendar = CareScheduler.toICS(recoveryPlan);
+console.log(`iCalendar events: ${(calendar.match(/BEGIN:VEVENT/g) || []).length}, CRLF line endings: ${calendar.split('\n').every(line => !line || line.endsWith('\r')) ? 'yes' : 'no'}`);
+assert.strictEqual((calendar.match(/BEGIN:VEVENT/g) || []).length, recoveryPlan.events.length, 'every plan event should become a VEVENT');
+assert.ok(calendar.split('\n').every(line => !line || line.endsWith('\r')), 'iCalendar lines should end in CRLF');
+
+// Test batch diagnosis: caller ids kept, bad records reported without stopping the run
+console.log('\nTesting batch diagnosis...');
+const batchRecords = BatchDiagnoser.parseRecords('id,text,plant_name\nQ-1,"dry, crispy leaves",tulsi\nQ-2,,\nQ-3,yellow mushy leaves,snake plant\n', 'csv');
+const batch = new BatchDiagnoser(engine).run(batchRecords);
+console.log(`Rows: ${batch.results.map(r => `${r.id}=${r.status === 'ok' ? r.diagnoses[0].cause.id : r.error.code}`).join(', ')}`);
+console.log(`Summary: ${batch.summary.succeeded}/${batch.summary.total} diagnosed, CSV columns: ${BatchDiagnoser.formatOutput(batch, 'csv').split('\r\n')[0].split(',').length}`);
+
+// Test the scriptable CLI subcommands: JSON output and exit codes
+console.log('\nTesting CLI subcommands...');
+const runCli = (...cliArgs) => spawnSync(process.execPath, [path.join(__dirname, 'cli.js'), ...cliArgs], { encoding: 'utf8', timeout: 20000 });
+const cliDiagnosis = runCli('diagnose', 'My snake plant is yellow, mushy and soft', '--json', '--do-not-log');
+console.log(`diagnose --json: exit ${cliDiagnosis.status}, top cause ${JSON.parse(cliDiagnosis.stdout).diagnoses[0].cause.id}`);
+console.log(`Exit codes: empty input ${runCli('diagnose', '', '--do-not-log').status}, unknown plant ${runCli('plants', 'show', 'nope').status}, bad stats query ${runCli('stats', '--from', 'soon').status}`);
+
+// Test layered configuration: env and overrides on top of the file, bad values rejected, hot reload
+console.log('\nTesting layered configuration...');
+const layered = loadConfig({ env: { PLANT_HELPER_DIAGNOSIS_MAX_DIAGNOSES: '2' }, overrides: { 'ui.tone': 'concise' } });
+console.log(`maxDiagnoses ${layered.config.diagnosis.maxDiagnoses} from ${layered.sources['diagnosis.maxDiagnoses']}, tone ${layered.config.ui.tone}`);
+try {
+  loadConfig({ env: {}, overrides: { 'diagnosis.maxDiagnoses': 0 } });
+} catch (error) {
+  console.log(`Rejected: ${error.details.errors.map(e => `${e.path} ${e.message} (from ${e.source})`).join('; ')}`);
+}
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plant-helper-config-'));
+const configFile = path.join(configDir, 'config.json');
+fs.writeFileSync(configFile, JSON.stringify({ logging: { enabled: false }, garden: { file: path.join(configDir, 'garden.json') } }));
+const reloadApi = new PlantHelperAPI({ configPath: configFile, env: {} });
+const [previousFuse, previousLogger] = [reloadApi.engine.fuse, reloadApi.logger];
+fs.writeFileSync(configFile, JSON.stringify({ logging: { enabled: false }, garden: { file: path.join(configDir, 'garden.json') }, diagnosis: { maxDiagnoses: 1 } }));
+const reloaded = reloadApi.reloadConfig();
+const rebuilt = reloadApi.engine.fuse !== previousFuse && reloadApi.logger !== previousLogger;
+console.log(`Reloaded: ${reloaded}, maxDiagnoses ${reloadApi.engine.config.diagnosis.maxDiagnoses}, new index and logger: ${rebuilt ? 'yes' : 'no'}`);
+assert.ok(reloaded && rebuilt, 'a valid config edit should rebuild the index and logger');
+assert.strictEqual(reloadApi.engine.config.diagnosis.maxDiagnoses, 1);
+fs.writeFileSync(configFile, JSON.stringify({ diagnosis: { maxDiagnoses: 0 } }));
+const keptRunningConfig = !reloadApi.reloadConfig() && reloadApi.engine.config.diagnosis.maxDiagnoses === 1;
+console.log(`Invalid edit kept the running config: ${keptRunningConfig ? 'yes' : 'no'}`);
+assert.ok(keptRunningConfig, 'an invalid config edit should keep the running config');
+fs.rmSync(configDir, { recursive: true, force: true });
+
+// Test the OpenAPI contract: every diagnosis result, including empty input, matches the documented schema
+console.log('\nTesting OpenAPI contract...');
+const openApiDocument = buildOpenApiDocument();
+console.log(`OpenAPI ${openApiDocument.openapi}: ${Object.keys(openApiDocument.paths).length} paths`);
+const contractErrors = testCases.flatMap(({ input }) =>
+  validateResponse('/api/v1/diagnose', 'POST', { status: 200, body: engine.diagnose(input) }));
+console.log(`Diagnosis results off-schema: ${contractErrors.length}`);
+console.log(`Bad request rejected: ${validateRequest('/api/v1/diagnose', { method: 'POST', query: {}, body: { text: 5 } }).map(e => `${e.path} ${e.message}`).join('; ')}`);
+
+// Test access control: token buckets refill over time, keys are stored hashed and scoped
+console.log('\nTesting access control...');
+let clock = 0;
+const limiter = new RateLimiter(() => clock);
+const burst = [1, 2, 3].map(() => limiter.take('ip:test', { burst: 2, perMinute: 6 }));
+clock += 10000;
+console.log(`Burst: ${burst.map(r => (r.allowed ? 'ok' : `retry in ${r.retryAfter}s`)).join(', ')}, after 10s: ${limiter.take('ip:test', { burst: 2, perMinute: 6 }).allowed ? 'ok' : 'limited'}`);
+const keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plant-helper-keys-'));
+const keyStore = new ApiKeyStore({ security: { apiKeys: { file: path.join(keysDir, 'api-keys.json') } } });
+const { key: issuedKey } = keyStore.add({ label: 'kiosk', scopes: ['diagnose'] });
+console.log(`Key found by value: ${keyStore.find(issuedKey).label}, stored in plain text: ${fs.readFileSync(keyStore.filePath, 'utf8').includes(issuedKey) ? 'yes' : 'no'}`);
+assert.ok(!fs.readFileSync(keyStore.filePath, 'utf8').includes(issuedKey), 'API keys should only be stored hashed');
+fs.rmSync(keysDir, { recursive: true, force: true });
+
+// Test feedback-driven keyword weights (applied in memory only)
+console.log('\nTesting learned keyword weights...');
+const feedbackEntries = Array.from({ length: 3 }, () => ({
+  verdict: 'confirmed',
+  causeId: 'overwatering',
+  interaction: { originalInput: 'My snake plant is yellow, mushy and soft', detectedPlant: 'snake_plant' }
+}));
+// Feedback on an interaction logged in derived mode has no description to learn from
+const derivedEntry = { verdict: 'confirmed', causeId: 'overwatering', interaction: { detectedPlant: 'snake_plant' } };
+const learned = new KeywordWeightLearner(engine).learn([...feedbackEntries, derivedEntry]);
+const unweighted = engine.diagnose('My snake plant is yellow, mushy and soft').diagnoses[0].confidence;
+const savedWeights = engine.keywordWeights;
+engine.keywordWeights = learned.causes;
+const weighted = engine.diagnose('My snake plant is yellow, mushy and soft').diagnoses[0].confidence;
+engine.keywordWeights = savedWeights;
+console.log(`Learned: ${JSON.stringify(learned.causes)}`);
+console.log(`Confirmed keyword raises confidence: ${weighted > unweighted ? 'yes' : 'no'}`);
+assert.ok(weighted > unweighted, 'learned weights for a confirmed keyword should raise its confidence');
+console.log(`Skipped without a description: ${learned.skipped.missingInput}`);
+
+// Test knowledge base validation
+console.log('\nTesting knowledge base validation...');
+console.log(`Validation errors in loaded plants: ${validatePlantData(engine.plants).length}`);
+const brokenPlant = { ...engine.plants[0], solutions: { ...engine.plants[0].solutions, typo_cause: ['Do something'] } };
+const brokenErrors = validatePlantData([brokenPlant], 'broken.json');
+console.log(`Dangling solutions key caught: ${brokenErrors.some(e => e.path === 'solutions.typo_cause') ? 'yes' : 'no'}`);
+assert.ok(brokenErrors.some(e => e.path === 'solutions.typo_cause'), 'a solutions key without a cause should be reported');
+
+// Test bulk import (dry run, knowledge base is left untouched)
+console.log('\nTesting plant import...');
+const importReport = new PlantImporter(engine).importRecords(
+  [{ name: 'paper birch', aliases: 'white birch' }, { name: 'paper birch' }, { name: engine.plants[0].name }],
+  { dryRun: true }
+);
+console.log(`Added: ${importReport.added.length}, skipped: ${importReport.skipped.length}, conflicts: ${importReport.conflicts.length}`);
+console.log(`Imported stub fields: ${Object.keys(new PlantImporter(engine).buildProfile({ name: 'paper birch' })).join(', ')}`);
+
+// Test the plant and symptom indexes: same results as scanning every plant
+console.log('\nTesting knowledge base indexes...');
+const [benchmarkReport] = runBenchmark({ sizes: [50], rounds: 1 });
+console.log(`Plants: ${benchmarkReport.size}, queries: ${benchmarkReport.queries}, identical to full scan: ${benchmarkReport.identical ? 'yes' : 'no'}`);
+assert.ok(benchmarkReport.identical, 'indexed lookups should match a full scan');
+console.log(`Found by index: ${engine.getPlant('monstera').name}, ${engine.detectPlant('my snake plant is drooping').plant.id}`);
+
+// Test plant detection: whole words only, the longest name wins, close candidates are ambiguous
+console.log('\nTesting plant detection...');
+const detectionEngine = new PlantDiagnosisEngine();
+const detectionImporter = new PlantImporter(detectionEngine);
+['ash', 'birch', 'paper birch'].forEach(name => {
+  detectionEngine.addPlant(detectionImporter.buildProfile({ name }), { persist: false });
+});
+console.log(`"I wash it daily": ${detectionEngine.detectPlant('I wash it daily').plant.id}`);
+console.log(`"my paper birch's leaves": ${detectionEngine.detectPlant("my paper birch's leaves are yellow").plant.id}`);
+const ambiguousResult = detectionEngine.diagnose('my aloe vera and my tulsi are both wilting');
+console.log(`Two plants named: ${ambiguousResult.detectionStatus}, candidates: ${ambiguousResult.plantCandidates.map(c => c.plantId).join(', ')}`);
+assert.strictEqual(ambiguousResult.detectionStatus, 'ambiguous');
+const nameOverAlias = detectionEngine.detectPlant('my monstera next to the snake plant');
+console.log(`Name beats another plant's alias: ${nameOverAlias.plant.id} (${nameOverAlias.status})`);
+assert.strictEqual(nameOverAlias.status, 'matched', 'an exact name should not be ambiguous with another plant\'s alias');
+
+console.log('\nTesting plant taxonomy...');
+const taxonomyEngine = new PlantDiagnosisEngine();
+taxonomyEngine.addPlant({
+  id: 'betulaceae', name: 'Betulaceae', aliases: [], rank: 'family', family: 'Betulaceae',
+  symptoms: ['leaf spots', 'dieback'],
+  causes: [{ id: 'leaf_spot', label: 'Fungal leaf spot', keywords: ['spots', 'leaf spot'] }],
+  solutions: { leaf_spot: ['Rake up fallen leaves', 'Prune for airflow'] },
+  eco_tip: 'Leave fallen catkins for birds'
+}, { persist: false });
+taxonomyEngine.addPlant({
+  id: 'birch_genus', name: 'Birch genus', aliases: [], rank: 'genus', genus: 'Betula', family: 'Betulaceae',
+  causes: [{ id: 'bronze_birch_borer', label: 'Bronze birch borer', keywords: ['d-shaped holes', 'thinning crown'] }],
+  solutions: { bronze_birch_borer: ['Water deeply in drought', 'Remove infested limbs'] }
+}, { persist: false });
+taxonomyEngine.addPlant({
+  id: 'weeping_birch', name: 'Weeping Birch', aliases: [], genus: 'Betula',
+  solutions: { leaf_spot: ['Thin the weeping branches so leaves dry quickly'] }
+}, { persist: false });
+const weepingBirch = taxonomyEngine.getEffectivePlant('weeping_birch');
+console.log(`Weeping birch lineage: ${weepingBirch.lineage.map(level => `${level.id} (${level.rank})`).join(' -> ')}`);
+console.log(`Inherited causes: ${weepingBirch.causes.map(cause => `${cause.id} from ${weepingBirch.origins.causes[cause.id]}`).join(', ')}`);
+const taxonomyResult = taxonomyEngine.diagnose('My weeping birch has brown spots on its leaves');
+const spotDiagnosis = taxonomyResult.diagnoses.find(diagnosis => diagnosis.cause.id === 'leaf_spot');
+console.log(`Leaf spot advice: cause from ${spotDiagnosis.origin.cause}, actions from ${spotDiagnosis.origin.actions}, eco tip from ${spotDiagnosis.origin.eco_tip}`);
+try {
+  taxonomyEngine.deletePlant('betulaceae');
+  console.error('❌ Deleting a family its descendants depend on should fail');
+} catch (error) {
+  console.log(`Deleting the family: ${error.code}, ${error.details.length} problem(s) in ${[...new Set(error.details.map(detail => detail.plantId))].join(', ')}`);
+}
+
+console.log('\nTesting environment priors...');
+const parsedEnvironment = parseEnvironment('North-facing bathroom, no drainage holes, about 60F', { date: '2026-01-15' });
+console.log(`Parsed: ${['light', 'humidity', 'temperature', 'drainage', 'location', 'season'].map(factor => `${factor}=${parsedEnvironment[factor]}`).join(', ')}`);
+const priorText = 'My monstera has yellow leaves and brown crispy edges';
+const withoutEnvironment = engine.diagnose(priorText);
+const withEnvironment = engine.diagnose({ text: priorText, environment: 'dark corner, pot without drainage holes' });
+const confidenceOf = (result, causeId) => (result.diagnoses.find(diagnosis => diagnosis.cause.id === causeId) || { confidence: 0 }).confidence.toFixed(2);
+console.log(`Overwatering: ${confidenceOf(withoutEnvironment, 'overwatering')} -> ${confidenceOf(withEnvironment, 'overwatering')}, top cause ${withEnvironment.diagnoses[0].cause.id}`);
+console.log(`Why: ${withEnvironment.diagnoses[0].why}`);
+const brightResult = engine.diagnose({ text: priorText, environment: 'bright window, humid bathroom' });
+console.log(`Low humidity with a humid bathroom: ${confidenceOf(withoutEnvironment, 'low_humidity')} -> ${confidenceOf(brightResult, 'low_humidity')}`);
+
 // Test logging
 console.log('\nTesting logging...');
+// Three entries in the week of 2025-10-27 and one after it
+[
+  ['2025-10-28T09:00:00.000Z', 'My tulsi is getting dry and the leaves are turning brown'],
+  ['2025-10-30T18:30:00.000Z', 'My plant is not looking good'],
+  ['2025-11-01T12:00:00.000Z', 'My snake plant has yellow mushy leaves'],
+  ['2025-11-04T08:00:00.000Z', 'My aloe is mushy']
+].forEach(([timestamp, text]) => {
+  const entry = logger.buildLogEntry({ ...engine.diagnose(text), timestamp });
+  fs.appendFileSync(path.join(testLogsDir, logger.getLogFilename(new Date(timestamp))), `${JSON.stringify(entry)}\n`);
+});
 const stats = logger.getLogStats();
 console.log(`Total interactions logged: ${stats.totalInteractions}`);
 console.log(`Plants detected: ${Object.keys(stats.plantsDetected).length}`);
+const history = logger.getLogStats({ from: '2025-10-27', to: '2025-11-02', groupBy: 'week' });
+console.log(`Weekly history: ${history.series.map(p => `${p.period}=${p.interactions}`).join(', ')}, generic fallback ${Math.round(history.genericFallbackRate * 100)}%, no symptoms ${Math.round(history.noSymptomsRate * 100)}%`);
+fs.rmSync(testLogsDir, { recursive: true, force: true });
+
+// Test JSONL storage: rotation, corrupt lines, gzip and legacy migration in a scratch directory
+const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plant-helper-logs-'));
+fs.writeFileSync(path.join(scratchDir, 'plant-helper-2025-01-02.json'), JSON.stringify([{ id: 'legacy', diagnoses: [] }], null, 2));
+const scratchLogger = new Logger({
+  logging: { enabled: true, directory: scratchDir, filenameFormat: 'log-{YYYY}{MM}{DD}.jsonl', maxFileSizeMB: 0.0005, compressAfterDays: 1 }
+});
+const migration = scratchLogger.migrateLegacyLogs();
+testCases.slice(0, 3).forEach(testCase => scratchLogger.logInteraction(engine.diagnose(testCase.input)));
+fs.appendFileSync(path.join(scratchDir, scratchLogger.getLogFilename()), '{"truncated":\n');
+console.log(`Migrated entries: ${migration.entries}, compressed: ${scratchLogger.listLogFiles().filter(f => f.compressed).map(f => f.filename).join(', ')}`);
+console.log(`Today's segments: ${scratchLogger.listLogFiles().filter(f => !f.compressed).length}, readable entries: ${scratchLogger.loadAllLogs().length}`);
+fs.rmSync(scratchDir, { recursive: true, force: true });
+
+// Test privacy controls: redaction, doNotLog and derived-only logging
+console.log('\nTesting privacy controls...');
+const privateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plant-helper-private-'));
+const privateLogger = new Logger({
+  logging: { enabled: true, directory: privateDir, redact: { emails: true, phones: true, urls: true, numbers: false } }
+});
+privateLogger.logInteraction(engine.diagnose('My tulsi is dry, last watered on 2024-05-01. Reach me at jo@example.com or +1 (555) 123-4567'));
+privateLogger.logInteraction(engine.diagnose('My aloe is mushy'), { doNotLog: true });
+privateLogger.config.logging.mode = 'derived';
+privateLogger.logInteraction(engine.diagnose('My monstera has brown tips'));
+const privateEntries = privateLogger.loadAllLogs();
+console.log(`Stored input: ${privateEntries[0].originalInput}`);
+assert.ok(privateEntries[0].originalInput.includes('2024-05-01') && privateEntries[0].originalInput.includes('[phone]'), 'dates should survive phone redaction');
+console.log(`Entries kept: ${privateEntries.length}, derived entry has input: ${'originalInput' in privateEntries[1] ? 'yes' : 'no'}`);
+assert.strictEqual(privateEntries.length, 2, 'doNotLog interactions should not be logged');
+assert.ok(!('originalInput' in privateEntries[1]), 'derived log entries should not keep the input');
+console.log(`Purged by text: ${privateLogger.purge({ text: 'tulsi' }).removed}, left: ${privateLogger.loadAllLogs().length}`);
+fs.rmSync(privateDir, { recursive: true, force: true });
+
+// Accuracy against the labeled corpus (fails the run below config thresholds)
+console.log('\nTesting accuracy...');
+const evaluationExitCode = runEvaluation([]);
 
-console.log('\n🎉 All tests completed! The Plant Helper app is working correctly.');
+if (evaluationExitCode === 0) {
+  console.log('\n🎉 All tests completed! The Plant Helper app is working correctly.');
+} else {
+  console.error('\n❌ Accuracy checks failed, see the report above.');
+  process.exitCode = evaluationExitCode;
+}
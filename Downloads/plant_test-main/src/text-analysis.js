@@ -0,0 +1,180 @@
+// Light-weight negation and intensity analysis for symptom descriptions.
+// "No bugs, leaves are not yellow" should not count as evidence for pests
+// or yellowing, and "all the leaves for weeks" should count for more than
+// "slightly".
+
+const NEGATION_CUES = ['no', 'not', 'never', 'without', 'none', 'nor', 'neither', 'cannot'];
+
+// Words that close a negation scope early ("no bugs but yellow leaves")
+const SCOPE_BREAKERS = ['but', 'and', 'although', 'though', 'however', 'yet', 'while', 'except'];
+
+const INTENSITY_MODIFIERS = [
+  { phrase: 'slightly', factor: 0.6 },
+  { phrase: 'a little', factor: 0.6 },
+  { phrase: 'a bit', factor: 0.6 },
+  { phrase: 'mildly', factor: 0.6 },
+  { phrase: 'barely', factor: 0.4 },
+  { phrase: 'somewhat', factor: 0.7 },
+  { phrase: 'a few', factor: 0.8 },
+  { phrase: 'one leaf', factor: 0.7 },
+  { phrase: 'occasionally', factor: 0.7 },
+  { phrase: 'sometimes', factor: 0.8 },
+  { phrase: 'very', factor: 1.3 },
+  { phrase: 'really', factor: 1.2 },
+  { phrase: 'extremely', factor: 1.5 },
+  { phrase: 'severely', factor: 1.5 },
+  { phrase: 'badly', factor: 1.3 },
+  { phrase: 'completely', factor: 1.4 },
+  { phrase: 'totally', factor: 1.4 },
+  { phrase: 'all the leaves', factor: 1.4 },
+  { phrase: 'all leaves', factor: 1.4 },
+  { phrase: 'every leaf', factor: 1.4 },
+  { phrase: 'most leaves', factor: 1.2 },
+  { phrase: 'constantly', factor: 1.3 },
+  { phrase: 'always', factor: 1.3 },
+  { phrase: 'for days', factor: 1.1 },
+  { phrase: 'for weeks', factor: 1.3 },
+  { phrase: 'for months', factor: 1.4 }
+];
+
+// Words for common plant problems; a symptom and a description that share a
+// group are related even when they share no words ("soggy" and "wet")
+const SEMANTIC_GROUPS = {
+  'color_problems': ['yellow', 'brown', 'black', 'white', 'pale', 'faded', 'discolored'],
+  'texture_problems': ['crispy', 'mushy', 'soft', 'hard', 'rough', 'smooth', 'sticky'],
+  'shape_problems': ['drooping', 'wilting', 'curled', 'twisted', 'deformed', 'stunted'],
+  'growth_problems': ['not growing', 'slow growth', 'small', 'tiny', 'weak', 'thin'],
+  'water_problems': ['dry', 'wet', 'soggy', 'thirsty', 'parched', 'waterlogged'],
+  'light_problems': ['pale', 'stretching', 'leggy', 'spindly', 'weak', 'thin'],
+  'pest_problems': ['holes', 'spots', 'bugs', 'webs', 'sticky', 'powdery']
+};
+
+const MIN_INTENSITY = 0.3;
+const MAX_INTENSITY = 1.6;
+
+function isNegationCue(word) {
+  return NEGATION_CUES.includes(word) || word.endsWith("n't");
+}
+
+// True when a keyword carries its own negation ("not growing", "no splits")
+function hasNegationCue(term) {
+  return term.toLowerCase().split(/\s+/).some(isNegationCue);
+}
+
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /[a-z0-9']+|[.,;:!?\n]/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    tokens.push({ word: match[0], start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+function analyzeText(inputText) {
+  const text = String(inputText || '').toLowerCase().replace(/’/g, "'");
+  const tokens = tokenize(text);
+  const clauses = [];
+  const negations = [];
+
+  // Clauses end at punctuation; negation scopes also end at SCOPE_BREAKERS
+  let clauseStart = 0;
+  let scope = null;
+
+  const closeScope = end => {
+    if (scope && end > scope.start) {
+      negations.push({ cue: scope.cue, start: scope.cueStart, end, scope: text.slice(scope.start, end).trim() });
+    }
+    scope = null;
+  };
+
+  for (const token of tokens) {
+    if (/^[.,;:!?\n]$/.test(token.word)) {
+      closeScope(token.start);
+      clauses.push({ start: clauseStart, end: token.start });
+      clauseStart = token.end;
+    } else if (SCOPE_BREAKERS.includes(token.word)) {
+      closeScope(token.start);
+    } else if (isNegationCue(token.word)) {
+      closeScope(token.start);
+      scope = { cue: token.word, cueStart: token.start, start: token.end };
+    }
+  }
+  closeScope(text.length);
+  clauses.push({ start: clauseStart, end: text.length });
+
+  // Blank out negated spans (cue included) so plain substring checks skip them
+  const chars = text.split('');
+  for (const negation of negations) {
+    for (let i = negation.start; i < negation.end; i++) {
+      if (chars[i] !== '\n') chars[i] = ' ';
+    }
+  }
+
+  const modifiers = [];
+  for (const { phrase, factor } of INTENSITY_MODIFIERS) {
+    const pattern = new RegExp(`\\b${phrase}\\b`, 'g');
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      modifiers.push({ phrase, factor, position: match.index });
+    }
+  }
+
+  return {
+    text,
+    affirmedText: chars.join(''),
+    clauses,
+    negations: negations.filter(negation => negation.scope.length > 0),
+    modifiers
+  };
+}
+
+function clauseAt(analysis, position) {
+  return analysis.clauses.find(clause => position >= clause.start && position <= clause.end) ||
+    { start: 0, end: analysis.text.length };
+}
+
+// Product of the intensity modifiers sharing a clause with the position
+function intensityAt(analysis, position) {
+  const clause = clauseAt(analysis, position);
+  const factor = analysis.modifiers
+    .filter(modifier => modifier.position >= clause.start && modifier.position <= clause.end)
+    .reduce((product, modifier) => product * modifier.factor, 1);
+  return Math.min(Math.max(factor, MIN_INTENSITY), MAX_INTENSITY);
+}
+
+// Look a term up in an analysis: found only if it appears outside every
+// negation scope; negated if it (or one of its words, e.g. "yellow" in
+// "yellow leaves") only appears inside one
+function matchTerm(analysis, term) {
+  const termLower = term.toLowerCase();
+  const searchText = hasNegationCue(termLower) ? analysis.text : analysis.affirmedText;
+  const position = searchText.indexOf(termLower);
+
+  if (position !== -1) {
+    return { found: true, negated: false, intensity: intensityAt(analysis, position) };
+  }
+
+  const negated = analysis.text.includes(termLower) || termLower.split(/\s+/).some(word =>
+    word.length > 2 &&
+    !isNegationCue(word) &&
+    word !== termLower &&
+    analysis.text.includes(word) &&
+    !analysis.affirmedText.includes(word)
+  );
+
+  return { found: false, negated, intensity: 1 };
+}
+
+// Names of the semantic groups with a word (as a substring) in the text
+function semanticGroups(text) {
+  return Object.keys(SEMANTIC_GROUPS).filter(group => SEMANTIC_GROUPS[group].some(keyword => text.includes(keyword)));
+}
+
+module.exports = {
+  analyzeText,
+  semanticGroups,
+  matchTerm,
+  hasNegationCue,
+  intensityAt
+};
@@ -0,0 +1,201 @@
+// Wording for user-facing text, one profile per `ui.tone`. Only phrasing
+// lives here; causes, actions and eco tips still come from the plant data.
+// Placeholders like {cause} are filled in by renderTemplate().
+
+const TONES = {
+  'friendly-sassy': {
+    'why.generalPattern': "Nothing specific jumped out, but my money is on {cause}. It's one of the usual suspects.",
+    'why.keywordsAndSymptoms': "You mentioned '{keywords}' and I spotted '{symptoms}'. That's {cause} waving at us.",
+    'why.keywords': "You mentioned '{keywords}'. Sounds a lot like {cause} to me.",
+    'why.symptoms': "I spotted '{symptoms}'. That's {cause} waving at us.",
+    'why.commonSymptoms': "'{words}'? Classic {cause} behaviour.",
+    'why.plantTypeFallback': 'Going by the plant type and the usual drama, this looks like {cause}.',
+    'why.environment.raise': 'Plus, with {factors}, {cause} is even more likely.',
+    'why.environment.lower': 'That said, with {factors}, {cause} is less likely.',
+    'noSymptoms.why': "I couldn't pick out any symptoms there. Give me the juicy details, like 'yellow leaves', 'drooping' or 'brown spots'.",
+    'noSymptoms.actions': [
+      "Tell me exactly what you're seeing",
+      'Name the plant if you know it',
+      'Describe the symptoms in a bit more detail',
+      "Spill the tea on watering, light and recent changes"
+    ],
+    'noSymptoms.ecoTip': 'When in doubt, hold the watering can. Most plants forgive thirst faster than drowning!',
+    'emptyInput.why': "You forgot the best part: what's wrong with your plant?",
+    'emptyInput.actions': [
+      "Describe what you're seeing (yellow leaves, drooping, etc.)",
+      'Mention the plant name if you know it',
+      'Include details about watering and light conditions',
+      "Describe any recent changes to the plant's environment"
+    ],
+    'emptyInput.ecoTip': 'The more you tell me, the less I have to guess!',
+    'fallback.actions': [
+      'Poke the soil with your finger to check moisture',
+      'Make sure the water can actually drain out',
+      'Adjust your watering schedule',
+      'Keep an eye on how the plant responds'
+    ],
+    'cli.welcome': [
+      '🌿 Welcome to Plant Helper CLI! 🌿',
+      "I'll help diagnose your plant problems with some sassy but helpful advice.",
+      'Type "quit" at any time to exit.\n'
+    ],
+    'cli.prompt': '\n🌱 Describe your plant problem (or type "quit" to exit): ',
+    'cli.emptyPrompt': '🤔 Come on, tell me what\'s up with your plant (or type "quit" to exit).',
+    'cli.analyzing': '\n🔍 Analyzing your plant problem...',
+    'cli.noDiagnoses': "\n❌ I've got nothing specific. Give me more details about your plant's symptoms.",
+    'cli.footer': [
+      '💡 Remember: These are suggestions based on your description.',
+      '   If symptoms persist, consider consulting a local plant expert.'
+    ],
+    'cli.goodbye': '\n👋 Thanks for using Plant Helper! Keep your plants happy! 🌱',
+    'cli.retry': 'Please try again or type "quit" to exit.\n',
+    'cli.followUpIntro': '🤔 A few quick questions could narrow this down (press Enter to skip):',
+    'cli.refining': '\n🔍 Refining the diagnosis...',
+    'cli.feedbackPrompt': '👍/👎 Did I nail it with {cause}? (y/n, Enter to skip) ',
+    'cli.feedbackThanks': '🙌 Thanks! That helps me get smarter.',
+    'cli.didYouMean': '\n🤷 Did you mean {plants}? I went with {plant} for now.',
+    'cli.pickPlant': 'Which one is it? Pick a number (Enter to stick with {plant}): '
+  },
+
+  'neutral-professional': {
+    'why.generalPattern': 'Based on general plant care patterns, this could be a {cause} issue.',
+    'why.keywordsAndSymptoms': "Detected keywords: '{keywords}' and symptoms: '{symptoms}' suggesting {cause}.",
+    'why.keywords': "Detected keywords: '{keywords}' suggesting {cause}.",
+    'why.symptoms': "Detected symptoms: '{symptoms}' suggesting {cause}.",
+    'why.commonSymptoms': "Detected common symptoms like '{words}' suggesting {cause}.",
+    'why.plantTypeFallback': 'Based on the plant type and common issues, this appears to be a {cause} problem.',
+    'why.environment.raise': 'Environmental factors ({factors}) increase the likelihood of {cause}.',
+    'why.environment.lower': 'Environmental factors ({factors}) reduce the likelihood of {cause}.',
+    'noSymptoms.why': "I couldn't detect specific symptoms in your description. Try mentioning specific issues like 'yellow leaves', 'drooping', or 'brown spots'.",
+    'noSymptoms.actions': [
+      "Provide more specific details about what you're seeing",
+      'Mention the plant name if you know it',
+      'Describe the symptoms more clearly',
+      'Include information about watering, light, and recent changes'
+    ],
+    'noSymptoms.ecoTip': 'When in doubt, less water is usually better than more water for most plants!',
+    'emptyInput.why': "Please provide a description of your plant's problem.",
+    'emptyInput.actions': [
+      "Describe what you're seeing (yellow leaves, drooping, etc.)",
+      'Mention the plant name if you know it',
+      'Include details about watering and light conditions',
+      "Describe any recent changes to the plant's environment"
+    ],
+    'emptyInput.ecoTip': 'The more details you provide, the better I can help diagnose the issue!',
+    'fallback.actions': [
+      'Check soil moisture with your finger',
+      'Ensure proper drainage',
+      'Adjust watering schedule',
+      'Monitor plant response'
+    ],
+    'cli.welcome': [
+      'Plant Helper CLI',
+      'Describe a plant problem to receive a diagnosis and recommended actions.',
+      'Type "quit" at any time to exit.\n'
+    ],
+    'cli.prompt': '\nDescribe your plant problem (or type "quit" to exit): ',
+    'cli.emptyPrompt': 'Please describe your plant\'s problem or type "quit" to exit.',
+    'cli.analyzing': '\nAnalyzing your plant problem...',
+    'cli.noDiagnoses': "\nNo specific diagnoses found. Try providing more details about your plant's symptoms.",
+    'cli.footer': [
+      'Note: These are suggestions based on your description.',
+      '   If symptoms persist, consider consulting a local plant expert.'
+    ],
+    'cli.goodbye': '\nThank you for using Plant Helper.',
+    'cli.retry': 'Please try again or type "quit" to exit.\n',
+    'cli.followUpIntro': 'The following questions may help narrow down the diagnosis (press Enter to skip):',
+    'cli.refining': '\nRefining the diagnosis...',
+    'cli.feedbackPrompt': 'Was "{cause}" the correct diagnosis? (y/n, Enter to skip) ',
+    'cli.feedbackThanks': 'Thank you, your feedback has been recorded.',
+    'cli.didYouMean': '\nDid you mean {plants}? The results below are for {plant}.',
+    'cli.pickPlant': 'Enter the number of the plant you meant (press Enter to keep {plant}): '
+  },
+
+  concise: {
+    'why.generalPattern': 'Possible {cause}.',
+    'why.keywordsAndSymptoms': "Likely {cause}: '{keywords}', '{symptoms}'.",
+    'why.keywords': "Likely {cause}: '{keywords}'.",
+    'why.symptoms': "Likely {cause}: '{symptoms}'.",
+    'why.commonSymptoms': "Likely {cause}: '{words}'.",
+    'why.plantTypeFallback': 'Likely {cause}.',
+    'why.environment.raise': 'More likely given {factors}.',
+    'why.environment.lower': 'Less likely given {factors}.',
+    'noSymptoms.why': "No symptoms found. Mention e.g. 'yellow leaves' or 'drooping'.",
+    'noSymptoms.actions': [
+      'Describe the symptoms',
+      'Name the plant',
+      'Mention watering, light and recent changes'
+    ],
+    'noSymptoms.ecoTip': 'If unsure, water less.',
+    'emptyInput.why': 'No description given.',
+    'emptyInput.actions': [
+      'Describe the symptoms',
+      'Name the plant',
+      'Mention watering and light'
+    ],
+    'emptyInput.ecoTip': 'More detail, better diagnosis.',
+    'fallback.actions': [
+      'Check soil moisture',
+      'Ensure drainage',
+      'Adjust watering'
+    ],
+    'cli.welcome': ['Plant Helper. Type "quit" to exit.\n'],
+    'cli.prompt': '\nProblem: ',
+    'cli.emptyPrompt': 'Describe the problem or type "quit".',
+    'cli.analyzing': '',
+    'cli.noDiagnoses': '\nNo diagnosis. Add more detail.',
+    'cli.footer': ['Suggestions only.'],
+    'cli.goodbye': '\nBye.',
+    'cli.retry': 'Try again or type "quit".\n',
+    'cli.followUpIntro': 'Follow-up (Enter to skip):',
+    'cli.refining': '',
+    'cli.feedbackPrompt': '{cause} right? (y/n) ',
+    'cli.feedbackThanks': 'Noted.',
+    'cli.didYouMean': '\nDid you mean {plants}? Showing {plant}.',
+    'cli.pickPlant': 'Plant # (Enter keeps {plant}): '
+  }
+};
+
+const DEFAULT_TONE = 'friendly-sassy';
+
+function listTones() {
+  return Object.keys(TONES);
+}
+
+function isKnownTone(tone) {
+  return Object.prototype.hasOwnProperty.call(TONES, tone);
+}
+
+// Per-request tone wins, then config.ui.tone, then the default
+function resolveTone(requestedTone, config = {}) {
+  if (isKnownTone(requestedTone)) {
+    return requestedTone;
+  }
+  const configuredTone = config.ui && config.ui.tone;
+  return isKnownTone(configuredTone) ? configuredTone : DEFAULT_TONE;
+}
+
+function fill(text, vars) {
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) => (
+    vars[name] !== undefined ? String(vars[name]) : placeholder
+  ));
+}
+
+function renderTemplate(tone, key, vars = {}) {
+  const profile = TONES[tone] || TONES[DEFAULT_TONE];
+  const template = profile[key] !== undefined ? profile[key] : TONES[DEFAULT_TONE][key];
+
+  if (template === undefined) {
+    throw new Error(`Unknown template "${key}"`);
+  }
+
+  return Array.isArray(template) ? template.map(line => fill(line, vars)) : fill(template, vars);
+}
+
+module.exports = {
+  DEFAULT_TONE,
+  listTones,
+  isKnownTone,
+  resolveTone,
+  renderTemplate
+};